@@ -49,10 +49,33 @@ bible.parseReference = function (textReference, language) {
 
 	// check books for DBS, OSIS, USFM
 
+	// USFM code (JHN 3:16) followed by a number or a space
+	function matchUsfm(ignoreCase) {
+		for (var usfmBookid in bible.BOOK_DATA) {
+			var usfm = bible.BOOK_DATA[usfmBookid].usfm,
+				possibleUsfm = input.substring(0, usfm ? usfm.length : 0);
+
+			if (usfm && input.length > usfm.length &&
+				(ignoreCase ? possibleUsfm.toLowerCase() == usfm.toLowerCase() : possibleUsfm == usfm) &&
+				/(\d|\.|\s)/.test(input.substr(usfm.length, 1))) {
+
+				matchingbookid = usfmBookid;
+				input = input.substring(usfm.length);
+				return;
+			}
+		}
+	}
+
+	// the upper case codes of the exported reference lists (JHN 3:16), the names below read JHN as another book.
+	// Typed abbreviations (Jud, Jon) are left to the names.
+	matchUsfm(false);
 
 	// go through all books and test all names
 	for (bookid in bible.BOOK_DATA) {
 
+		if (matchingbookid != null)
+			break;
+
 		// match id?
 		possibleMatch = input.substring(0, Math.floor(bookid.length, input.length)).toLowerCase();
 		var nextIsSeparator = input.length > possibleMatch.length ? /(\d|\.|\s)/.test(input.substr(possibleMatch.length, 1)) : false;
@@ -88,6 +111,10 @@ bible.parseReference = function (textReference, language) {
 			break; // out of books
 	}
 
+	// a code without a name (sng 1:1)
+	if (matchingbookid == null)
+		matchUsfm(true);
+
 	if (matchingbookid  == null)
 		return null;
 
@@ -91,7 +91,22 @@ sofia.resources['en'] = {
 				"button": "Search",
 				"results": "Results",
 				"verses": "verses",
-				"options": "Search Options"
+				"options": "Search Options",
+				"toobroad": "<strong>{0}</strong> matches {1} words, only the first {2} were searched",
+				"error": "The search failed: {0}",
+				"canonical": "Canonical order",
+				"relevance": "Best match",
+				"compare": "Also search in",
+				"compareplaceholder": "UDB, ULB",
+				"export": "Export",
+				"exportcsv": "CSV",
+				"exportjson": "JSON",
+				"exportreferences": "Reference list",
+				"saved": "Saved searches",
+				"savename": "Name",
+				"save": "Save",
+				"history": "History",
+				"clearhistory": "clear"
 			},
 			"parallel": {
 				"label": "Parallels",
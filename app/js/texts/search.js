@@ -27,6 +27,24 @@
 // 2. load every chapter
 // 3. use regexp to find verses with words
 
+
+// faith NOT works, (love OR charity) -hate, G26 AND love
+// 1. parse the query into and/or/not/near nodes
+// 2. load an index for every word and lemma
+// 3. combine the indexes following the query (NOT removes verses, NEAR adds the neighbouring verses)
+// 4. load chapters
+// 5. check each verse (and the verses around it for NEAR) against the query
+
+
+// faith NEAR/3 works
+// the words are at most 3 words apart, in the same verse or across the end of one verse and the start of the next
+
+
+// bless*, ?ove
+// 1. load the sorted word list (index/_terms.json)
+// 2. expand the wildcard into the matching words, up to SearchTools.MAXWILDCARDTERMS with a warning past that
+// 3. load the indexes of those words
+
 var singleWordLanguages = ['cht','chs','chi','zho','cmn', 'jpn', 'kor'];
 
 TextSearch = function() {
@@ -49,7 +67,13 @@ TextSearch = function() {
 		searchIndexesData = [],
 		searchIndexesCurrentIndex = 0,
 
-		searchType = 'AND',
+		searchQuery = null,
+
+		// wildcards that matched too many words
+		searchWarnings = [],
+
+		// for ranking: {counts: {'love': 310, '"one another"': 12}, total: 31102}
+		searchTermStats = {counts: {}, total: 0},
 
 		searchFinalResults = [];
 		;
@@ -80,11 +104,14 @@ TextSearch = function() {
 		searchTermsRegExp = [];
 		searchIndexesData = []
 		searchIndexesCurrentIndex = 0;
-		searchType = /\bOR\b/gi.test(text) ? 'OR' : 'AND';
+		searchWarnings = [];
+		searchTermStats = {counts: {}, total: getVerseCount()};
 
 		//createSearchTerms();
+		isLemmaRegExp.lastIndex = 0;
 		isLemmaSearch = isLemmaRegExp.test(searchText);
-		searchTermsRegExp = SearchTools.createSearchTerms(text, isLemmaSearch);
+		searchQuery = SearchTools.parseQuery(searchText, textInfo.lang);
+		searchTermsRegExp = SearchTools.createQueryTerms(searchQuery);
 
 		if (sofia.config.serverSearchPath != '' && (window.location.protocol != 'file:' || sofia.config.baseContentUrl != '')) {
 
@@ -105,25 +132,46 @@ TextSearch = function() {
 			data: {
 				textid: textInfo.id,
 				search: searchText.toLowerCase(),
+				// the parsed query, so the server doesn't need its own parser
+				query: JSON.stringify(searchQuery),
 				divisions: searchDivisions.join(','),
 				date: (new Date()).toString()
 			},
 			success: function(data) {
 
+				// a failed search is not the same as a search without results (tools/search_server.js, search.php)
+				var errorMessage = (data && data.success === false) ? (data.errorMessage || 'Search failed') : null;
+
+				if (data && data.warnings) {
+					searchWarnings = data.warnings;
+				}
+
+				if (data && data.term_counts) {
+					searchTermStats.counts = data.term_counts;
+				}
+
+				// the verses the indexes narrowed the search down to (tools/search_server.js)
+				if (data && data.searchIndexesData) {
+					searchIndexesData = data.searchIndexesData;
+				}
+
 				// create results
 				if (data && data.results) {
 
 					// STEMs?
-					if (typeof data.stem_words != 'undefinded' && data.stem_words.length > 0) {
+					if (data.stem_info && data.stem_info.length > 0) {
+
+						SearchTools.addStemWords(searchQuery, data.stem_info);
 
-						searchType = 'OR';
 						// redo search terms
-						searchTermsRegExp = [];
+						searchTermsRegExp = SearchTools.createQueryTerms(searchQuery);
 
-						for (var i=0, il=data.stem_words.length; i<il; i++) {
-							searchTermsRegExp.push( new XRegExp('\\b(' + data.stem_words[i] + ')\\b', 'gi') );
-						}
+					} else if (data.stem_words && data.stem_words.length > 0) {
 
+						// older servers don't say which word the stems belong to
+						SearchTools.addStemWords(searchQuery, [{word: null, words: data.stem_words}]);
+
+						searchTermsRegExp = SearchTools.createQueryTerms(searchQuery);
 					}
 
 
@@ -134,10 +182,11 @@ TextSearch = function() {
 							html = result[fragmentid];
 
 
-						var result = findMatchesInVerse(html);
+						// the server already checked the neighbouring verses for NEAR
+						var result = findMatchesInVerse(html, null);
 
 						if (result.foundMatch) {
-							searchFinalResults.push({fragmentid: fragmentid, html: result.html});
+							searchFinalResults.push({fragmentid: fragmentid, html: result.html, score: result.score});
 						} else {
 							console.log('no match', html);
 						}
@@ -147,12 +196,12 @@ TextSearch = function() {
 					}
 
 
-					ext.trigger('complete', {type: 'complete', target:this, data: {results: searchFinalResults, searchIndexesData: searchIndexesData, searchTermsRegExp: searchTermsRegExp, isLemmaSearch: isLemmaSearch}});
+					ext.trigger('complete', {type: 'complete', target:this, data: {results: searchFinalResults, searchIndexesData: searchIndexesData, searchTermsRegExp: searchTermsRegExp, isLemmaSearch: isLemmaSearch, warnings: searchWarnings, errorMessage: errorMessage}});
 
 
 				} else {
 
-					ext.trigger('complete', {type: 'complete', target: this, data: {results: null, searchIndexesData: searchIndexesData, searchTermsRegExp: searchTermsRegExp, isLemmaSearch: isLemmaSearch}});
+					ext.trigger('complete', {type: 'complete', target: this, data: {results: null, searchIndexesData: searchIndexesData, searchTermsRegExp: searchTermsRegExp, isLemmaSearch: isLemmaSearch, warnings: searchWarnings, errorMessage: errorMessage}});
 
 
 				}
@@ -163,7 +212,10 @@ TextSearch = function() {
 			},
 			error: function(a,b,c,d) {
 				console.log('error:serverSearch', a,b,c,d);
-				//reset()
+
+				ext.trigger('complete', {type: 'complete', target: this, data: {results: null, searchIndexesData: searchIndexesData, searchTermsRegExp: searchTermsRegExp, isLemmaSearch: isLemmaSearch, warnings: searchWarnings, errorMessage: 'Search failed'}});
+
+				isSearching = false;
 			}
 		})
 	}
@@ -172,7 +224,10 @@ TextSearch = function() {
 	function indexesLoaded(e) {
 		//console.log('searchIndexLoader:complete', e.data);
 
-		if (e.data.loadedIndexes.length == 0) {
+		searchWarnings = e.data.warnings || [];
+		searchTermStats.counts = e.data.termCounts || {};
+
+		if (e.data.fragmentids === null) {
 
 			// BRUTE FORCE?
 			//console.log('BRUTE FORCE');
@@ -212,21 +267,10 @@ TextSearch = function() {
 
 			if (e.data.stemInfo && e.data.stemInfo.length > 0) {
 
-				//if (typeof data.stem_words != 'undefinded' ) {
-
-					searchType = 'OR';
-					// redo search terms
-					searchTermsRegExp = [];
+				SearchTools.addStemWords(searchQuery, e.data.stemInfo);
 
-					for (var si=0, sil=e.data.stemInfo.length; si <sil; si++) {
-						var stemWords = e.data.stemInfo[si].words;
-
-						for (var i=0, il=stemWords.length; i<il; i++) {
-							searchTermsRegExp.push( new XRegExp('\\b(' + stemWords[i] + ')\\b', 'gi') );
-						}
-
-					}
-				//}
+				// redo search terms
+				searchTermsRegExp = SearchTools.createQueryTerms(searchQuery);
 			}
 
 
@@ -255,7 +299,7 @@ TextSearch = function() {
 
 			//console.log('textSearch:complete');
 
-			ext.trigger('complete', {type: 'complete', target:this, data: {results: searchFinalResults, searchIndexesData: searchIndexesData, searchTermsRegExp: searchTermsRegExp, isLemmaSearch: isLemmaSearch}});
+			ext.trigger('complete', {type: 'complete', target:this, data: {results: searchFinalResults, searchIndexesData: searchIndexesData, searchTermsRegExp: searchTermsRegExp, isLemmaSearch: isLemmaSearch, warnings: searchWarnings}});
 
 			isSearching = false;
 
@@ -274,30 +318,30 @@ TextSearch = function() {
 
 			TextLoader.loadSection(textInfo, sectionid, function(content) {
 
+				var hasNear = SearchTools.hasNear(searchQuery);
+
 				for (var i=0, il=fragmentids.length; i<il; i++) {
 					var
 						fragmentid = fragmentids[i],
-						fragmentNode = content.find('.' + fragmentid).clone(),
-
-						// assuming a single node
-						//html = fragmentNode.html();
+						html = getFragmentHtml(content, fragmentid),
+						adjacent = null;
 
-						html = '';
+					if (html !== null) {
 
-					// remove notes
-					fragmentNode.find('.note, .cf, .v-num, .verse-num').remove();
+						// NEAR can match across the verses before and after this one
+						if (hasNear) {
+							var verseNumber = parseInt(fragmentid.split('_')[1], 10);
 
-					// concat verses split over multiple <span class="v"> nodes (paragraphs)
-					fragmentNode.each(function(i,el) {
-						html += $(el).html() + ' ';
-					});
-
-					if (fragmentNode.length > 0) {
+							adjacent = {
+								previous: getFragmentHtml(content, sectionid + '_' + (verseNumber-1)),
+								next: getFragmentHtml(content, sectionid + '_' + (verseNumber+1))
+							};
+						}
 
-						var result = findMatchesInVerse(html);
+						var result = findMatchesInVerse(html, adjacent);
 
 						if (result.foundMatch) {
-							searchFinalResults.push({fragmentid: fragmentid, html: result.html});
+							searchFinalResults.push({fragmentid: fragmentid, html: result.html, score: result.score});
 						}
 					}
 				}
@@ -320,21 +364,65 @@ TextSearch = function() {
 	}
 
 
-	function findMatchesInVerse(html) {
+	function getFragmentHtml(content, fragmentid) {
+		var
+			fragmentNode = content.find('.' + fragmentid).clone(),
+
+			// assuming a single node
+			//html = fragmentNode.html();
+
+			html = '';
+
+		if (fragmentNode.length == 0) {
+			return null;
+		}
+
+		// remove notes
+		fragmentNode.find('.note, .cf, .v-num, .verse-num').remove();
+
+		// concat verses split over multiple <span class="v"> nodes (paragraphs)
+		fragmentNode.each(function(i,el) {
+			html += $(el).html() + ' ';
+		});
+
+		return html;
+	}
+
+	// every verse of the text, for weighting rare terms
+	function getVerseCount() {
+		var total = 0;
+
+		if (!textInfo || !textInfo.sections) {
+			return total;
+		}
+
+		for (var i=0, il = textInfo.sections.length; i<il; i++) {
+			var sectionid = textInfo.sections[i],
+				dbsBookCode = sectionid.substr(0,2),
+				chapterNumber = parseInt(sectionid.substr(2), 10);
+
+			if (bible.BOOK_DATA[dbsBookCode]) {
+				total += bible.BOOK_DATA[dbsBookCode].chapters[chapterNumber-1] || 0;
+			}
+		}
+
+		return total;
+	}
+
+	// adjacent: {previous: html, next: html} for NEAR, null when the neighbouring verses aren't loaded
+	function findMatchesInVerse(html, adjacent) {
 		var processedHtml = html,
-			foundMatch = false,
-			regMatches = new Array(searchTermsRegExp.length);
+			foundMatch = SearchTools.matchQuery(searchQuery, html, adjacent, textInfo.lang),
+			score = foundMatch ? SearchTools.scoreVerse(searchQuery, html, searchTermStats, textInfo.lang) : 0;
 
 		for (var j=0, jl=searchTermsRegExp.length; j<jl; j++) {
 
 			searchTermsRegExp[j].lastIndex = 0;
 
-			if (isLemmaSearch) {
+			if (searchTermsRegExp[j].isLemma) {
 
 				// add the 'highlight' class to the <l> node
 				processedHtml = processedHtml.replace(searchTermsRegExp[j], function(match) {
-					regMatches[j] = true;
-					foundMatch = true;
 					return match + ' class="highlight" ';
 				});
 
@@ -342,27 +430,13 @@ TextSearch = function() {
 
 				// surround the word with a highlight
 				processedHtml = processedHtml.replace(searchTermsRegExp[j], function(match) {
-					regMatches[j] = true;
-					foundMatch = true;
 					return '<span class="highlight">' + match + '</span>';
 				});
 
 			}
 		}
 
-		if (searchType == 'AND') {
-			var foundAll = true;
-			for (var j=0, jl=regMatches.length; j<jl; j++) {
-				if (regMatches[j] !== true) {
-					foundAll = false;
-					break;
-				}
-			}
-			foundMatch = foundAll;
-
-		}
-
-		return {html: processedHtml, foundMatch: foundMatch};
+		return {html: processedHtml, foundMatch: foundMatch, score: score};
 	}
 
 
@@ -383,62 +457,121 @@ SearchTools = {
 
 	isLemmaRegExp: /[GgHh]\d{1,6}/g,
 
-	createSearchTerms: function (searchText, isLemmaSearch) {
-		var searchTermsRegExp = [];
+	isLemmaTermRegExp: /^[GgHh]\d{1,6}[a-z]?$/,
 
-		if (isLemmaSearch) {
+	isWildcardRegExp: /[*?]/,
 
-			var strongNumbers = searchText.split(' ');
+	// words between the two sides of a NEAR without a number
+	NEARDISTANCE: 10,
 
-			for (var i=0, il=strongNumbers.length; i<il; i++) {
+	// the most words a wildcard (bless*) is expanded to
+	MAXWILDCARDTERMS: 100,
 
-				var part = strongNumbers[i];
+	// the wildcard regexps by key, cleared once it has MAXWILDCARDREGEXPS of them (the search server keeps them for its whole lifetime)
+	wildcardRegExps: {},
 
-				searchTermsRegExp.push( new RegExp('s=("|\')(\\w\\d{1,4}[a-z]?\\s)?' + '(G|H)?' + part.substr(1) + '[a-z]?(\\s\\w\\d{1,4}[a-z]?)?("|\')', 'gi') );
+	wildcardRegExpCount: 0,
 
-			}
+	MAXWILDCARDREGEXPS: 500,
 
-		} else {
+	// Hebrew cantillation and vowel points (not maqaf, paseq or sof pasuq), Arabic harakat and tatweel, the same as tools/word_normalizer.js
+	pointsRegExp: /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u0610-\u061A\u0640\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7\u06E8\u06EA-\u06ED]/g,
+
+	// accents on latin letters (é => e), other scripts keep them (й stays й)
+	latinMarksRegExp: /([a-zA-Z])[\u0300-\u036F]+/g,
+
+	// everything normalizeWord removes, for the highlights
+	marksPattern: '[\\u0300-\\u036F\\u0591-\\u05BD\\u05BF\\u05C1\\u05C2\\u05C4\\u05C5\\u05C7\\u0610-\\u061A\\u0640\\u064B-\\u065F\\u0670\\u06D6-\\u06DC\\u06DF-\\u06E4\\u06E7\\u06E8\\u06EA-\\u06ED]*',
 
+	// lang => function(word), for languages that need something other than normalizeWord.
+	// The indexer has to use the same function (tools/word_normalizer.js registerNormalizer)
+	normalizers: {},
 
+	// e => 'eÈÉÊËèéêë...', made on first use
+	latinVariants: null,
 
-			// check for quoted search "jesus christ"
-			if (searchText.substring(0,1) == '"' && searchText.substring(searchText.length-1) == '"') {
+	// languages written without spaces, which are split into characters and indexed by pairs of characters.
+	// tools/word_segmenter.js needs the same languages
+	ngramLanguages: ['th', 'tha', 'lo', 'lao', 'km', 'khm', 'my', 'mya', 'bur', 'ja', 'jpn', 'zh', 'chi', 'chs', 'cht', 'cmn', 'zho'],
 
-				var withoutQuotes =  searchText.substring(1,searchText.length-1);
-				withoutQuotes = withoutQuotes.replace(/\s/g,'(\\s?(<(.|\\n)*?>)?\\s?)?');
+	// a Thai, Lao, Burmese, Khmer, kana or CJK letter with its marks (and stacked letters), or a run of other letters
+	clusterRegExp: /[\u0E00-\u0EFF\u1000-\u109F\u1780-\u17FF\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF](?:[\u0E31\u0E34-\u0E3A\u0E47-\u0E4E\u0EB1\u0EB4-\u0EBC\u0EC8-\u0ECD\u102B-\u103E\u1056-\u1059\u105E-\u1060\u1062-\u1064\u1067-\u106D\u1071-\u1074\u1082-\u108D\u108F\u109A-\u109D\u17B4-\u17D1\u17D3\u17DD\u3099\u309A]|\u17D2[\u1780-\u17B3]|\u1039[\u1000-\u1021])*|[^\u0E00-\u0EFF\u1000-\u109F\u1780-\u17FF\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF]+/g,
 
-				searchTermsRegExp.push( new XRegExp('\\b(' + withoutQuotes + ')\\b', 'gi') );
+	// the isLemmaSearch argument is only kept for older callers, lemmas are found in the query
+	createSearchTerms: function (searchText, isLemmaSearch) {
+		return SearchTools.createQueryTerms( SearchTools.parseQuery(searchText) );
+	},
+
+	// regular expressions to highlight every term that isn't negated
+	createQueryTerms: function(query) {
+		var searchTermsRegExp = [],
+			sources = [],
+			terms = SearchTools.getQueryTerms(query, false),
+			latinStart = '(?:\\b|(?=[\\u00C0-\\u024F]))',
+			latinEnd = '(?![\\w\\u00C0-\\u024F])',
+			latinLetter = '[\\w\\u00C0-\\u024F\\u0300-\\u036F]',
+			otherLetter = '[^\\s<>]';
+
+		function addTerm(source, isLemma) {
+			if (sources.indexOf(source) > -1) {
+				return;
+			}
+			sources.push(source);
+
+			var regexp = new XRegExp(source, 'gi');
+			regexp.isLemma = isLemma;
+
+			searchTermsRegExp.push( regexp );
+		}
 
+		// ASCII characters have predictable word boundaries (space ' ' = \b), but \b doesn't know accented letters
+		function addWord(word) {
+			SearchTools.isAsciiRegExp.lastIndex = 0;
+
+			if (SearchTools.isAsciiRegExp.test( word )) {
+				addTerm(latinStart + '(' + SearchTools.getFoldedPattern(word, latinLetter) + ')' + latinEnd, false);
 			} else {
+				addTerm(SearchTools.getFoldedPattern(word, otherLetter), false);
+			}
+		}
 
-				// ASCII characters have predictable word boundaries (space ' ' = \b)
-				SearchTools.isAsciiRegExp.lastIndex = 0;
+		for (var i=0, il=terms.length; i<il; i++) {
+			var term = terms[i];
 
-				if (SearchTools.isAsciiRegExp.test( searchText )) {
+			if (term.type == 'phrase') {
 
-					// for non-quoted searches, use "AND" search
-					var andSearchParts = searchText.split(/\s+AND\s+|\s+/gi);
+				// "jesus christ" can be split by tags
+				var phraseWords = $.map(term.words, function(word) { return SearchTools.getFoldedPattern(word, otherLetter); });
 
-					// filter for duplicate words
-					andSearchParts = $.unique(andSearchParts);
+				SearchTools.isAsciiRegExp.lastIndex = 0;
 
-					for (var i=0, il=andSearchParts.length; i<il; i++) {
+				if (SearchTools.isAsciiRegExp.test( term.words.join(' ') )) {
+					addTerm(latinStart + '(' + phraseWords.join('(\\s?(<(.|\\n)*?>)?\\s?)?') + ')' + latinEnd, false);
+				} else {
+					addTerm(phraseWords.join('(\\s?(<(.|\\n)*?>)?\\s?)?'), false);
+				}
 
-						var part = andSearchParts[i],
-							partRegex = new XRegExp('\\b(' + part + ')\\b', 'gi');
+			} else if (term.isWildcard) {
 
-						searchTermsRegExp.push( partRegex );
-					}
+				SearchTools.isAsciiRegExp.lastIndex = 0;
 
+				if (SearchTools.isAsciiRegExp.test( term.key )) {
+					addTerm(latinStart + '(' + SearchTools.getFoldedPattern(term.key, latinLetter) + ')' + latinEnd, false);
 				} else {
+					addTerm(SearchTools.getFoldedPattern(term.key, otherLetter), false);
+				}
 
-					var words = SearchTools.splitWords(searchText);
+			} else if (term.isLemma) {
 
-					for (var j=0, jl=words.length; j<jl; j++) {
+				addTerm('s=("|\')(\\w\\d{1,4}[a-z]?\\s)?' + '(G|H)?' + term.key.substr(1) + '[a-z]?(\\s\\w\\d{1,4}[a-z]?)?("|\')', true);
+
+			} else {
 
-						searchTermsRegExp.push( new XRegExp(words[j], 'gi') );
+				addWord(term.key);
 
+				if (term.stemWords) {
+					for (var j=0, jl=term.stemWords.length; j<jl; j++) {
+						addWord(term.stemWords[j]);
 					}
 				}
 			}
@@ -447,214 +580,1131 @@ SearchTools = {
 		return searchTermsRegExp;
 	},
 
-	splitWords: function(input) {
+	// truth love => {type: 'and', children: [{type: 'term', key: 'truth'}, {type: 'term', key: 'love'}]}
+	// node types: term (a word or a lemma), phrase, and, or, not, near
+	parseQuery: function(searchText, lang) {
+		var tokens = (searchText || '').match(/\(|\)|"[^"]*"?|-(?=[^\s()\-])|[^\s()"]+/g) || [],
+			position = 0,
+			query = null;
 
-		var
-			removeRegChars = ['\\', '^', '$', '.', '|', '?', '*', '+', '(', ')', '[', ']', '{', '}'];
-			otherRemoveChars = [
-				// roman
-				',',';', '!', '-', '–', '―', '—', '~', ':', '"','/', "'s", '’s', "'", '‘', '’', '“', '”', '¿', '<', '>', '&',
-				// chinese
-				'。', '：', '，', '”', '“', '）', '（', '~', '「', '」'
-			],
-			punctuation = [].concat(removeRegChars).concat(otherRemoveChars),
-			innerWordExceptions = ["'", '’', '-'],
-			words = [],
-			word = '';
+		function getOperator(token) {
+			return typeof token == 'string' ? SearchTools.getOperator(token) : null;
+		}
 
-		function addWord() {
-			if (word != '')	{
-				words.push(word);
+		function isOperator(token, type) {
+			var operator = getOperator(token);
+			return operator != null && operator.type == type;
+		}
+
+		// faith OR hope
+		function parseOr() {
+			var children = [parseAnd()];
+
+			while (position < tokens.length && isOperator(tokens[position], 'or')) {
+				position++;
+				children.push(parseAnd());
 			}
-			word = '';
+
+			return SearchTools.groupQuery('or', children);
 		}
 
-		// formalize string
-		input = new String(input);
+		// faith AND hope, faith hope
+		function parseAnd() {
+			var children = [];
 
-		// yes or no on apostrophes
-		input = input.replace(/(['’]s)/gi, '');
+			while (position < tokens.length && tokens[position] != ')' && !isOperator(tokens[position], 'or')) {
+				if (isOperator(tokens[position], 'and')) {
+					position++;
+					continue;
+				}
+				children.push(parseNear());
+			}
 
-	    for (var i = 0, il = input.length; i<il; i++) {
-			var	letter = input.charAt(i),
-				charCode = input.charCodeAt(i),
-				isFirstChar = (i==0);
-				isLastChar = (i==il-1),
-				isPunctuation = punctuation.indexOf(letter) > -1,
-				isWhitespace = letter == ' ',
-				isLetter = !(isWhitespace || isPunctuation);
+			return SearchTools.groupQuery('and', children);
+		}
 
-			// if this is a letter
-			if ( isLetter ) {
+		// faith NEAR/5 works
+		function parseNear() {
+			var node = parseUnary(),
+				operator = null;
 
-				 word += letter;
+			while (position < tokens.length && isOperator(tokens[position], 'near')) {
+				operator = getOperator(tokens[position]);
+				position++;
 
-				// If this is a Chinese/Japanese/Korean ideograph, it is a word by itself. No separator is needed.
-				if (((charCode >= 0x4E00) && (charCode <= 0x9FFF)) || ((charCode >= 0x3400) && (charCode <= 0x4DFF)) || ((charCode >= 0x20000) && (charCode <= 0x2A6DF))) {
+				var other = parseUnary();
 
-	                addWord(); // Technically, some ideographs combine to make a compound word, but concordance/search will work without that refinement, possibly with extra hits.
-	            }
+				node = (node != null && other != null) ? {type: 'near', distance: operator.distance, children: [node, other]} : (node || other);
+			}
 
-			} else if (!isFirstChar && !isLastChar && innerWordExceptions.indexOf(letter) > -1 && punctuation.indexOf(input[i-1]) == -1 && punctuation.indexOf(input[i+1]) == -1) {
+			return node;
+		}
 
-				word += letter;
+		// NOT works, -works
+		function parseUnary() {
+			if (isOperator(tokens[position], 'not')) {
+				position++;
 
-			} else {
-				// it was punctuation!
-				addWord();
+				var child = parseUnary();
+
+				return child != null ? {type: 'not', child: child} : null;
 			}
 
-			////console.log(letter, charCode);
-	    }
+			return parsePrimary();
+		}
 
-		addWord();
+		function parsePrimary() {
+			var token = tokens[position];
 
-		words = $.unique(words);
+			if (typeof token == 'undefined' || token == ')') {
+				return null;
+			}
+			position++;
 
-		return words;
-	},
+			if (token == '(') {
+				var node = parseOr();
+				if (tokens[position] == ')') {
+					position++;
+				}
+				return node;
+			}
 
-	HASHSIZE: 20,
+			// a misplaced operator (faith AND OR hope)
+			if (getOperator(token) != null) {
+				return null;
+			}
 
-	hashWord: function(word) {
-	    var hash = 0;
-	    for (i = 0; i < word.length; i++) {
-	        hash += word.charCodeAt(i);
-	        hash %= SearchTools.HASHSIZE;
-	   }
-	   return hash;
-	}
-};
+			if (token.substring(0,1) == '"') {
+				return SearchTools.createPhrase(token.replace(/"/g, ''), lang);
+			}
 
-SearchIndexLoader = function() {
+			return SearchTools.createTerm(token, lang);
+		}
 
-	var
-		baseContentPath = sofia.config.baseContentUrl + 'content/' + 'texts/',
-		textInfo = null,
-		searchTerms = [],
-		searchTermsIndex = -1,
-		isLemmaSearch = false,
-		isStemEnabled = true,
-		stemmingData = {},
-		stemInfo = [],
-		searchDivisions = [],
-		// initial load: [{term:'light': occurrences: ['GN1_2', 'GN2_5']}, {term: 'love': ['JN3']}
-		loadedIndexes = [],
-		// final: [{sectionid:'GN1', fragmentids: ['GN1_2', 'GN1_3']}, {sectionid:'GN2', fragmentids: ['GN2_4']} }
-		loadedResults = [],
-		searchType = 'AND'; // OR
+		query = parseOr();
 
-	// START
-	function loadIndexes(newTextInfo, divisions, searchText, isLemma) {
+		// skip unmatched closing parentheses
+		while (position < tokens.length) {
+			position++;
+			query = SearchTools.groupQuery('and', [query, parseOr()]);
+		}
 
-		isLemmaSearch = isLemma;
-		textInfo = newTextInfo;
-		searchDivisions = divisions;
+		return query;
+	},
 
-		searchTerms = SearchTools.splitWords(searchText);
+	getOperator: function(token) {
+		var near = /^NEAR(?:\/(\d+))?$/.exec(token);
+
+		if (/^AND$/i.test(token)) {
+			return {type: 'and'};
+		} else if (/^OR$/i.test(token)) {
+			return {type: 'or'};
+		} else if (token === 'NOT' || token === '-') {
+			return {type: 'not'};
+		} else if (near) {
+			return {type: 'near', distance: near[1] ? parseInt(near[1], 10) : SearchTools.NEARDISTANCE};
+		}
 
-		searchTermsIndex = -1;
-		loadedIndexes = [];
-		loadedResults = [];
-		stemInfo = [];
-		stemmingData = isLemmaSearch ? null : {};
+		return null;
+	},
 
-		searchType = /\bOR\b/gi.test(searchText) ? 'OR' : 'AND';
+	groupQuery: function(type, children) {
+		children = $.grep(children, function(child) { return child != null; });
 
-		if (isStemEnabled && !isLemmaSearch) {
-			loadStemmingData();
-		} else {
-			loadNextIndex();
+		if (children.length == 0) {
+			return null;
+		} else if (children.length == 1) {
+			return children[0];
 		}
-	}
 
-	function loadStemmingData() {
+		return {type: type, children: children};
+	},
 
-		var stemUrl = baseContentPath + textInfo.id + '/index/stems.json';
+	createTerm: function(text, lang) {
+		if (SearchTools.isLemmaTermRegExp.test(text)) {
+			return {type: 'term', key: text.substring(0,1).toUpperCase() + text.substring(1), isLemma: true};
+		}
 
-		// attempt to load in index
-		$.ajax({
-			beforeSend: function(xhr){
-				if (xhr.overrideMimeType){
-					xhr.overrideMimeType("application/json");
-				}
-			},
+		// bless*, ?ove
+		if (SearchTools.isWildcardRegExp.test(text)) {
+			var key = SearchTools.normalize(text, lang).replace(/[\\\^\$\.\|\+\(\)\[\]\{\},;!~:"\/<>&“”‘¿。：，）（「」]/g, '');
 
-			dataType: 'json',
-			url: stemUrl,
-			success: function(data) {
-				console.log('Loaded Stems!', textInfo.id);
+			return key.replace(/[*?]/g, '') == '' ? null : {type: 'term', key: key, isLemma: false, isWildcard: true};
+		}
 
-				stemmingData = data;
+		// punctuation is removed and ideographs are words by themselves
+		var words = SearchTools.splitWords(text, true, lang),
+			children = [];
 
-				loadNextIndex();
-			},
-			error: function() {
-				// set it to null in order to check later
-				stemmingData = null;
+		for (var i=0, il=words.length; i<il; i++) {
+			var key = SearchTools.normalize(words[i], lang),
+				characters = SearchTools.segmentWord(key, lang);
 
-				console.log('No stem data for', textInfo.id);
-				loadNextIndex();
+			// กรุงเทพ is found as its characters next to each other
+			if (characters.length > 1) {
+				children.push({type: 'phrase', words: characters, ngrams: SearchTools.getNgrams(characters)});
+			} else {
+				children.push({type: 'term', key: key, isLemma: false});
 			}
-		});
-	}
-
+		}
 
-	function loadNextIndex() {
+		return SearchTools.groupQuery('and', children);
+	},
 
-		// starts at -1, so this will make the first one 0
-		searchTermsIndex++;
+	createPhrase: function(text, lang) {
+		var words = SearchTools.splitWords(text, true, lang),
+			characters = [],
+			ngrams = [];
 
-		if (searchTermsIndex < searchTerms.length) {
+		if (words.length < 2) {
+			return SearchTools.createTerm(text, lang);
+		}
 
-			loadSearchTermIndex( searchTerms[searchTermsIndex] );
+		for (var i=0, il=words.length; i<il; i++) {
+			var wordCharacters = SearchTools.segmentWord(SearchTools.normalize(words[i], lang), lang);
 
-		} else {
+			characters = characters.concat(wordCharacters);
 
-			// if we've done all the indexes, then it's time to start combining them
-			//combineIndexes();
-			processIndexes();
+			if (SearchTools.isNgramLanguage(lang)) {
+				ngrams = ngrams.concat(SearchTools.getNgrams(wordCharacters));
+			}
 		}
 
-	}
-
-	function loadSearchTermIndex(searchTerm) {
+		// the index has pairs of characters, not the characters (ngrams) of the phrase
+		return ngrams.length > 0 ? {type: 'phrase', words: characters, ngrams: ngrams} : {type: 'phrase', words: characters};
+	},
 
-		var indexUrl = '',
-			key = '',
-			hash = '',
-			stem = '';
+	// the term and phrase nodes, without the ones inside a NOT unless includeNegated
+	getQueryTerms: function(query, includeNegated) {
+		var terms = [];
 
-		if (isLemmaSearch) {
-			key = searchTerm.toUpperCase();
-			var letter = key.substr(0,1),
-				firstNumber = searchTerm.length >= 5 ? searchTerm.substr(1,1) : '0';
+		function addTerms(node) {
+			if (node == null) {
+				return;
+			}
 
-			indexUrl = baseContentPath + textInfo.id + '/indexlemma/_' + letter.toUpperCase() + firstNumber + '000' + '.json';
+			switch (node.type) {
+				case 'term':
+				case 'phrase':
+					terms.push(node);
+					break;
+				case 'not':
+					if (includeNegated) {
+						addTerms(node.child);
+					}
+					break;
+				default:
+					for (var i=0, il=node.children.length; i<il; i++) {
+						addTerms(node.children[i]);
+					}
+					break;
+			}
+		}
 
-		} else {
-			key = searchTerm.toLowerCase();
+		addTerms(query);
 
-			if (isStemEnabled && stemmingData != null) {
-				stem = stemmingData[key],
-				hash = SearchTools.hashWord(stem);
-				indexUrl = baseContentPath + textInfo.id + '/index/_stems_' + hash + '.json';
+		return terms;
+	},
 
-			} else {
-				hash = SearchTools.hashWord(key);
-				indexUrl = baseContentPath + textInfo.id + '/index/_' + hash + '.json';
+	// every word and lemma in the query, including the words of phrases and NOTs: [{key: 'love', isLemma: false}]
+	getIndexTerms: function(query) {
+		var terms = SearchTools.getQueryTerms(query, true),
+			indexTerms = [],
+			keys = [];
 
+		function addIndexTerm(key, isLemma) {
+			if (keys.indexOf(key) == -1) {
+				keys.push(key);
+				indexTerms.push({key: key, isLemma: isLemma});
 			}
 		}
 
-		if (searchTerm == 'undefined') {
-			//console.log('STOP search. undefined term');
-			return;
-		}
+		for (var i=0, il=terms.length; i<il; i++) {
+			if (terms[i].type == 'phrase') {
+				var phraseKeys = terms[i].ngrams || terms[i].words;
 
-		//console.log('Loading Index:' + searchTerm + ',' + searchTermEncoded);
+				for (var j=0, jl=phraseKeys.length; j<jl; j++) {
+					addIndexTerm(phraseKeys[j], false);
+				}
+			} else if (terms[i].isWildcard) {
+				for (var j=0, jl=(terms[i].expansions || []).length; j<jl; j++) {
+					addIndexTerm(terms[i].expansions[j], false);
+				}
+			} else {
+				addIndexTerm(terms[i].key, terms[i].isLemma);
+			}
+		}
+
+		return indexTerms;
+	},
+
+	hasNear: function(query) {
+		if (query == null) {
+			return false;
+		} else if (query.type == 'near') {
+			return true;
+		} else if (query.type == 'not') {
+			return SearchTools.hasNear(query.child);
+		} else if (query.children) {
+			for (var i=0, il=query.children.length; i<il; i++) {
+				if (SearchTools.hasNear(query.children[i])) {
+					return true;
+				}
+			}
+		}
+
+		return false;
+	},
+
+	// stemInfo: [{word: 'loved', words: ['love', 'loved', 'loves']}], a null word adds the words to every word term
+	addStemWords: function(query, stemInfo) {
+		var terms = SearchTools.getQueryTerms(query, true);
+
+		for (var i=0, il=stemInfo.length; i<il; i++) {
+			for (var j=0, jl=terms.length; j<jl; j++) {
+				var term = terms[j];
+
+				if (term.type == 'term' && !term.isLemma && (stemInfo[i].word == null || stemInfo[i].word == term.key)) {
+					term.stemWords = (term.stemWords || []).concat(stemInfo[i].words);
+				}
+			}
+		}
+	},
+
+	// love => love, "one another" => "one another", for the term counts
+	// the number of verses with each term that isn't negated: {'love': 280, '"one another"': 40}
+	getTermCounts: function(query, termIndexes) {
+		var termCounts = {},
+			terms = SearchTools.getQueryTerms(query, false);
+
+		for (var t=0, tl=terms.length; t<tl; t++) {
+			var termFragmentids = SearchTools.combineIndexes(terms[t], termIndexes);
+
+			if (termFragmentids !== null) {
+				termCounts[ SearchTools.getTermId(terms[t]) ] = termFragmentids.length;
+			}
+		}
+
+		return termCounts;
+	},
+
+	getTermId: function(term) {
+		return term.type == 'phrase' ? '"' + term.words.join(' ') + '"' : term.key;
+	},
+
+	// more matches count for more (but less each time), rare terms count more than common ones,
+	// and terms close together count more than terms far apart
+	scoreVerse: function(query, html, termStats, lang) {
+		var tokens = SearchTools.tokenizeVerse(html, lang),
+			terms = SearchTools.getQueryTerms(query, false),
+			positions = [],
+			weights = [],
+			score = 0,
+			i, il, j, jl;
+
+		for (i=0, il=terms.length; i<il; i++) {
+			var termPositions = SearchTools.findTermPositions(terms[i], tokens),
+				count = termStats ? termStats.counts[SearchTools.getTermId(terms[i])] : 0,
+				weight = (count > 0 && termStats.total > 0) ? Math.log(1 + termStats.total / count) : 1,
+				frequency = termPositions.length;
+
+			if (frequency > 0) {
+				score += weight * (frequency * 2.2) / (frequency + 1.2);
+
+				positions.push(termPositions);
+				weights.push(weight);
+			}
+		}
+
+		for (i=0, il=positions.length; i<il; i++) {
+			for (j=i+1, jl=positions.length; j<jl; j++) {
+				var distance = -1;
+
+				for (var a=0, al=positions[i].length; a<al; a++) {
+					for (var b=0, bl=positions[j].length; b<bl; b++) {
+						var pairDistance = SearchTools.getDistance(positions[i][a], positions[j][b]);
+
+						if (distance == -1 || pairDistance < distance) {
+							distance = pairDistance;
+						}
+					}
+				}
+
+				score += (weights[i] + weights[j]) / 2 / Math.max(distance, 1);
+			}
+		}
+
+		return score;
+	},
+
+	// adjacent: {previous: html, next: html}, or null when the neighbouring verses are unknown
+	matchQuery: function(query, html, adjacent, lang) {
+		if (query == null) {
+			return false;
+		}
+
+		var context = {
+			tokens: SearchTools.tokenizeVerse(html, lang),
+			previous: adjacent ? SearchTools.tokenizeVerse(adjacent.previous || '', lang) : [],
+			next: adjacent ? SearchTools.tokenizeVerse(adjacent.next || '', lang) : [],
+			isPartial: !adjacent
+		};
+
+		return SearchTools.evaluateQuery(query, context);
+	},
+
+	// <l s="G26">love</l> one another => [{word: 'love', lemmas: ['G26']}, {word: 'one', lemmas: []}, {word: 'another', lemmas: []}]
+	tokenizeVerse: function(html, lang) {
+		var tokens = [],
+			lemmas = [],
+			partRegExp = /<(\/?)([a-z0-9]+)([^>]*)>|([^<]+)/gi,
+			part = null;
+
+		while ((part = partRegExp.exec(html)) !== null) {
+
+			if (part[4]) {
+				var words = SearchTools.splitWords(part[4].replace(/&[#a-z0-9]+;/gi, ' '), true, lang);
+
+				for (var i=0, il=words.length; i<il; i++) {
+					var characters = SearchTools.segmentWord(SearchTools.normalize(words[i], lang), lang);
+
+					for (var j=0, jl=characters.length; j<jl; j++) {
+						tokens.push({word: characters[j], lemmas: lemmas});
+					}
+				}
+
+			} else if (part[2].toLowerCase() == 'l') {
+
+				var strongs = part[1] == '' ? /\ss=("|')([^"']*)\1/.exec(part[3]) : null;
+
+				lemmas = strongs ? strongs[2].split(/[\s\/]+/) : [];
+			}
+		}
+
+		return tokens;
+	},
+
+	evaluateQuery: function(node, context) {
+		var i, il;
+
+		switch (node.type) {
+			case 'term':
+			case 'phrase':
+				return SearchTools.findTermPositions(node, context.tokens).length > 0;
+			case 'and':
+				for (i=0, il=node.children.length; i<il; i++) {
+					if (!SearchTools.evaluateQuery(node.children[i], context)) {
+						return false;
+					}
+				}
+				return true;
+			case 'or':
+				for (i=0, il=node.children.length; i<il; i++) {
+					if (SearchTools.evaluateQuery(node.children[i], context)) {
+						return true;
+					}
+				}
+				return false;
+			case 'not':
+				return !SearchTools.evaluateQuery(node.child, context);
+			case 'near':
+				return SearchTools.matchNear(node, context);
+		}
+
+		return false;
+	},
+
+	// one side has to be in this verse, the other can be at the end of the previous verse or the start of the next one
+	matchNear: function(node, context) {
+		var tokens = context.previous.concat(context.tokens, context.next),
+			start = context.previous.length,
+			end = start + context.tokens.length,
+			first = SearchTools.findNodePositions(node.children[0], tokens),
+			second = SearchTools.findNodePositions(node.children[1], tokens);
+
+		function isInVerse(position) {
+			return position.start >= start && position.start < end;
+		}
+
+		for (var i=0, il=first.length; i<il; i++) {
+			for (var j=0, jl=second.length; j<jl; j++) {
+				if ((isInVerse(first[i]) || isInVerse(second[j])) && SearchTools.getDistance(first[i], second[j]) <= node.distance) {
+					return true;
+				}
+			}
+		}
+
+		// without the neighbouring verses, the server has already checked the rest
+		if (context.isPartial) {
+			return $.grep(first, isInVerse).length > 0 || $.grep(second, isInVerse).length > 0;
+		}
+
+		return false;
+	},
+
+	// love one another => 2 between love and another, 1 between love and one
+	getDistance: function(a, b) {
+		if (a.end <= b.start) {
+			return b.start - a.end + 1;
+		} else if (b.end <= a.start) {
+			return a.start - b.end + 1;
+		}
+
+		return 0;
+	},
+
+	// [{start: 3, end: 4}], AND and NOT can't be used inside a NEAR
+	findNodePositions: function(node, tokens) {
+		var positions = [],
+			i, il, j, jl;
+
+		switch (node.type) {
+			case 'term':
+			case 'phrase':
+				positions = SearchTools.findTermPositions(node, tokens);
+				break;
+			case 'or':
+				for (i=0, il=node.children.length; i<il; i++) {
+					positions = positions.concat( SearchTools.findNodePositions(node.children[i], tokens) );
+				}
+				break;
+			case 'near':
+				var first = SearchTools.findNodePositions(node.children[0], tokens),
+					second = SearchTools.findNodePositions(node.children[1], tokens);
+
+				for (i=0, il=first.length; i<il; i++) {
+					for (j=0, jl=second.length; j<jl; j++) {
+						if (SearchTools.getDistance(first[i], second[j]) <= node.distance) {
+							positions.push({start: Math.min(first[i].start, second[j].start), end: Math.max(first[i].end, second[j].end)});
+						}
+					}
+				}
+				break;
+		}
+
+		return positions;
+	},
+
+	findTermPositions: function(term, tokens) {
+		var positions = [],
+			words = term.type == 'phrase' ? term.words : [term.key];
+
+		for (var i=0, il=tokens.length - words.length; i<=il; i++) {
+			var isMatch = true;
+
+			for (var j=0, jl=words.length; j<jl; j++) {
+				if (!SearchTools.matchToken(term, words[j], tokens[i+j])) {
+					isMatch = false;
+					break;
+				}
+			}
+
+			if (isMatch) {
+				positions.push({start: i, end: i + words.length});
+			}
+		}
+
+		return positions;
+	},
+
+	matchToken: function(term, word, token) {
+		if (term.isLemma) {
+			for (var i=0, il=token.lemmas.length; i<il; i++) {
+				if (SearchTools.matchLemma(word, token.lemmas[i])) {
+					return true;
+				}
+			}
+			return false;
+		}
+
+		if (term.isWildcard) {
+			return SearchTools.getWildcardRegExp(word).test(token.word);
+		}
+
+		return token.word == word || (term.stemWords && term.stemWords.indexOf(token.word) > -1);
+	},
+
+	// bless* => /^bless.*$/, the other characters are escaped like preg_quote in search.php (a.b* => /^a\.b.*$/)
+	getWildcardRegExp: function(key) {
+		if (!Object.prototype.hasOwnProperty.call(SearchTools.wildcardRegExps, key)) {
+			if (SearchTools.wildcardRegExpCount >= SearchTools.MAXWILDCARDREGEXPS) {
+				SearchTools.wildcardRegExps = {};
+				SearchTools.wildcardRegExpCount = 0;
+			}
+
+			SearchTools.wildcardRegExps[key] = new RegExp('^' + key.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+			SearchTools.wildcardRegExpCount++;
+		}
+
+		return SearchTools.wildcardRegExps[key];
+	},
+
+	// terms: the sorted words from index/_terms.json => {words: ['bless', 'blessed'], total: 2}, words stops at MAXWILDCARDTERMS
+	expandWildcard: function(key, terms) {
+		var prefix = key.split(SearchTools.isWildcardRegExp)[0],
+			wildcardRegExp = SearchTools.getWildcardRegExp(key),
+			words = [],
+			total = 0,
+			low = 0,
+			high = terms.length;
+
+		// find the first word starting with the prefix
+		while (low < high) {
+			var middle = Math.floor((low + high) / 2);
+
+			if (terms[middle] < prefix) {
+				low = middle + 1;
+			} else {
+				high = middle;
+			}
+		}
+
+		for (var i=low, il=terms.length; i<il && terms[i].substring(0, prefix.length) == prefix; i++) {
+			if (wildcardRegExp.test(terms[i])) {
+				total++;
+
+				if (words.length < SearchTools.MAXWILDCARDTERMS) {
+					words.push(terms[i]);
+				}
+			}
+		}
+
+		return {words: words, total: total};
+	},
+
+	// G26 matches G26, G0026, 26 and G26a
+	matchLemma: function(search, lemma) {
+		var lemmaRegExp = /^([GH]?)0*(\d+)[a-z]?$/i,
+			searchParts = lemmaRegExp.exec(search),
+			lemmaParts = lemmaRegExp.exec(lemma);
+
+		return searchParts != null && lemmaParts != null && searchParts[2] == lemmaParts[2] &&
+			(lemmaParts[1] == '' || lemmaParts[1].toUpperCase() == searchParts[1].toUpperCase());
+	},
+
+	// fragment lists for each word and lemma key => the fragments to load, or null when every verse has to be checked
+	combineIndexes: function(node, termIndexes) {
+		var sets = [],
+			excluded = [],
+			hasEmptyTerm = false,
+			result = null,
+			i, il;
+
+		// a missing word could be a word the indexer skips (the, of), so let the verse check decide
+		function isEmptyTerm(child, childResult) {
+			return child.type == 'term' && childResult !== null && childResult.length == 0;
+		}
+
+		if (node == null) {
+			return null;
+		}
+
+		switch (node.type) {
+			case 'term':
+				if (node.isWildcard) {
+					// without the term dictionary, every verse has to be checked
+					if (!node.expansions) {
+						return null;
+					}
+
+					for (i=0, il=node.expansions.length; i<il; i++) {
+						if (!termIndexes.hasOwnProperty(node.expansions[i])) {
+							return null;
+						}
+						sets.push(termIndexes[node.expansions[i]]);
+					}
+					return SearchTools.unionFragments(sets);
+				}
+
+				return termIndexes.hasOwnProperty(node.key) ? termIndexes[node.key] : null;
+
+			case 'phrase':
+				var phraseKeys = node.ngrams || node.words;
+
+				for (i=0, il=phraseKeys.length; i<il; i++) {
+					result = termIndexes.hasOwnProperty(phraseKeys[i]) ? termIndexes[phraseKeys[i]] : null;
+
+					if (result !== null && result.length == 0) {
+						hasEmptyTerm = true;
+					} else if (result !== null) {
+						sets.push(result);
+					}
+				}
+
+				if (sets.length == 0) {
+					return hasEmptyTerm ? [] : null;
+				}
+				return SearchTools.intersectFragments(sets);
+
+			case 'and':
+				for (i=0, il=node.children.length; i<il; i++) {
+					var child = node.children[i];
+
+					if (child.type == 'not') {
+						// only a single word or lemma is sure to be missing from the whole verse
+						if (child.child.type == 'term') {
+							result = SearchTools.combineIndexes(child.child, termIndexes);
+							if (result !== null) {
+								excluded.push(result);
+							}
+						}
+						continue;
+					}
+
+					result = SearchTools.combineIndexes(child, termIndexes);
+
+					if (isEmptyTerm(child, result)) {
+						hasEmptyTerm = true;
+					} else if (result !== null) {
+						sets.push(result);
+					}
+				}
+
+				if (sets.length == 0) {
+					return hasEmptyTerm ? [] : null;
+				}
+
+				result = SearchTools.intersectFragments(sets);
+
+				if (excluded.length > 0) {
+					result = SearchTools.subtractFragments(result, SearchTools.unionFragments(excluded));
+				}
+				return result;
+
+			case 'or':
+				for (i=0, il=node.children.length; i<il; i++) {
+					result = SearchTools.combineIndexes(node.children[i], termIndexes);
+
+					if (result === null) {
+						return null;
+					}
+					sets.push(result);
+				}
+				return SearchTools.unionFragments(sets);
+
+			case 'near':
+				var first = SearchTools.combineIndexes(node.children[0], termIndexes),
+					second = SearchTools.combineIndexes(node.children[1], termIndexes);
+
+				if (first === null || isEmptyTerm(node.children[0], first)) {
+					return second === null ? null : SearchTools.addAdjacentFragments(second);
+				} else if (second === null || isEmptyTerm(node.children[1], second)) {
+					return SearchTools.addAdjacentFragments(first);
+				}
+
+				return SearchTools.unionFragments([
+					SearchTools.intersectFragments([first, SearchTools.addAdjacentFragments(second)]),
+					SearchTools.intersectFragments([second, SearchTools.addAdjacentFragments(first)])
+				]);
+		}
+
+		// NOT by itself
+		return null;
+	},
+
+	// canonical order, following the sections of the text
+	sortFragments: function(fragmentids, sections) {
+
+		// split into parts
+		function splitFragment(fragmentid) {
+			var parts = fragmentid.split('_'),
+				sectionid = parts[0],
+				sectionIndex = sections.indexOf(sectionid),
+				fragmentNum = parseInt(parts[1], 10),
+				value = {
+					sectionid: sectionid,
+					sectionIndex: sectionIndex,
+					fragmentNum: fragmentNum
+				};
+
+			return value;
+		}
+
+		return fragmentids.sort(function(a, b) {
+			var fraga = splitFragment(a),
+				fragb = splitFragment(b);
+
+
+			if (fraga.sectionIndex < fragb.sectionIndex ||
+				(fraga.sectionIndex == fragb.sectionIndex && fraga.fragmentNum < fragb.fragmentNum) )
+				return -1;
+			if (fraga.sectionIndex > fragb.sectionIndex ||
+				(fraga.sectionIndex == fragb.sectionIndex && fraga.fragmentNum > fragb.fragmentNum) )
+				return 1;
+			// a must be equal to b
+			return 0;
+		});
+	},
+
+	// ['JN1_1','JN1_2'] => [{sectionid: 'JN1', fragmentids: ['JN1_1','JN1_2']}], only the books in divisions (all when empty)
+	groupFragments: function(fragmentids, divisions) {
+		var sections = [];
+
+		for (var i=0, il=fragmentids.length; i<il; i++) {
+			var fragmentid = fragmentids[i];
+
+			if (fragmentid != '' && fragmentid != null) {
+
+				var	sectionid = fragmentid.split('_')[0],
+					dbsBookCode = sectionid.substring(0,2);
+
+				if (divisions.length == 0 || divisions.indexOf(dbsBookCode) > -1) {
+
+					// see if we already created data for this section id
+					var sectionidInfo = $.grep(sections, function(val){ return val.sectionid == sectionid; });
+
+					// create new data
+					if (sectionidInfo.length == 0) {
+						sections.push({sectionid: sectionid, fragmentids: [fragmentid]});
+					}
+					// add to this sectionid
+					else {
+						sectionidInfo[0].fragmentids.push(fragmentid);
+					}
+				}
+			}
+		}
+
+		return sections;
+	},
+
+	// [{textInfo, results}, ...] => one result per verse, in canonical order, with each version that matched it
+	// {fragmentid: 'JN3_16', score: 1.2, versions: [{textInfo, html, score}, ...]}
+	mergeResults: function(resultSets) {
+		var verses = {},
+			sections = [],
+			fragmentids = [];
+
+		for (var i=0, il=resultSets.length; i<il; i++) {
+			var textInfo = resultSets[i].textInfo,
+				results = resultSets[i].results || [];
+
+			sections = SearchTools.unionFragments([sections, textInfo.sections || []]);
+
+			for (var j=0, jl=results.length; j<jl; j++) {
+				var result = results[j],
+					verse = verses[result.fragmentid],
+					score = result.score || 0;
+
+				if (typeof verse == 'undefined') {
+					verse = verses[result.fragmentid] = {fragmentid: result.fragmentid, score: 0, versions: []};
+					fragmentids.push(result.fragmentid);
+				}
+
+				verse.versions.push({textInfo: textInfo, html: result.html, score: score});
+
+				if (score > verse.score) {
+					verse.score = score;
+				}
+			}
+		}
+
+		return $.map(SearchTools.sortFragments(fragmentids, sections), function(fragmentid) {
+			return verses[fragmentid];
+		});
+	},
+
+	intersectFragments: function(sets) {
+		return $.grep(sets[0], function(fragmentid) {
+			for (var i=1, il=sets.length; i<il; i++) {
+				if (sets[i].indexOf(fragmentid) == -1) {
+					return false;
+				}
+			}
+			return true;
+		});
+	},
+
+	unionFragments: function(sets) {
+		var fragmentids = [],
+			found = {};
+
+		for (var i=0, il=sets.length; i<il; i++) {
+			for (var j=0, jl=sets[i].length; j<jl; j++) {
+				if (!found[sets[i][j]]) {
+					found[sets[i][j]] = true;
+					fragmentids.push(sets[i][j]);
+				}
+			}
+		}
+
+		return fragmentids;
+	},
+
+	subtractFragments: function(fragmentids, excluded) {
+		return $.grep(fragmentids, function(fragmentid) {
+			return excluded.indexOf(fragmentid) == -1;
+		});
+	},
+
+	// ['JN3_16'] => ['JN3_16', 'JN3_15', 'JN3_17']
+	addAdjacentFragments: function(fragmentids) {
+		var adjacent = [];
+
+		for (var i=0, il=fragmentids.length; i<il; i++) {
+			var parts = fragmentids[i].split('_'),
+				verseNumber = parseInt(parts[1], 10);
+
+			if (verseNumber > 1) {
+				adjacent.push(parts[0] + '_' + (verseNumber-1));
+			}
+			adjacent.push(parts[0] + '_' + (verseNumber+1));
+		}
+
+		return SearchTools.unionFragments([fragmentids, adjacent]);
+	},
+
+	// keepDuplicates keeps every word in order, for finding phrases and distances.
+	// In ngramLanguages ideographs stay together, segmentWord splits them
+	splitWords: function(input, keepDuplicates, lang) {
+
+		var
+			removeRegChars = ['\\', '^', '$', '.', '|', '?', '*', '+', '(', ')', '[', ']', '{', '}'];
+			otherRemoveChars = [
+				// roman
+				',',';', '!', '-', '–', '―', '—', '~', ':', '"','/', "'s", '’s', "'", '‘', '’', '“', '”', '¿', '<', '>', '&',
+				// chinese
+				'。', '：', '，', '”', '“', '）', '（', '~', '「', '」',
+				// the separators from tools/verse_indexer.js: roman and greek, arabic, hebrew, devanagari, ethiopic, armenian, CJK
+				'¡', '«', '»', '„', '‚', '‹', '›', '…', '·', '\u037E',
+				'،', '؛', '؟', '۔',
+				'\u05C3', '\u05BE', '\u05C0',
+				'।', '॥', '።', '፣', '፤', '։',
+				'、', '？', '！', '；', '《', '》', '『', '』'
+			],
+			punctuation = [].concat(removeRegChars).concat(otherRemoveChars),
+			innerWordExceptions = ["'", '’', '-'],
+			isNgramLanguage = SearchTools.isNgramLanguage(lang),
+			words = [],
+			word = '';
+
+		function addWord() {
+			if (word != '')	{
+				words.push(word);
+			}
+			word = '';
+		}
+
+		// formalize string
+		input = new String(input);
+
+		// yes or no on apostrophes
+		input = input.replace(/(['’]s)/gi, '');
+
+	    for (var i = 0, il = input.length; i<il; i++) {
+			var	letter = input.charAt(i),
+				charCode = input.charCodeAt(i),
+				isFirstChar = (i==0);
+				isLastChar = (i==il-1),
+				isPunctuation = punctuation.indexOf(letter) > -1,
+				isWhitespace = letter == ' ',
+				isLetter = !(isWhitespace || isPunctuation);
+
+			// if this is a letter
+			if ( isLetter ) {
+
+				 word += letter;
+
+				// If this is a Chinese/Japanese/Korean ideograph, it is a word by itself. No separator is needed.
+				if (!isNgramLanguage && (((charCode >= 0x4E00) && (charCode <= 0x9FFF)) || ((charCode >= 0x3400) && (charCode <= 0x4DFF)) || ((charCode >= 0x20000) && (charCode <= 0x2A6DF)))) {
+
+	                addWord(); // Technically, some ideographs combine to make a compound word, but concordance/search will work without that refinement, possibly with extra hits.
+	            }
+
+			} else if (!isFirstChar && !isLastChar && innerWordExceptions.indexOf(letter) > -1 && punctuation.indexOf(input[i-1]) == -1 && punctuation.indexOf(input[i+1]) == -1) {
+
+				word += letter;
+
+			} else {
+				// it was punctuation!
+				addWord();
+			}
+
+			////console.log(letter, charCode);
+	    }
+
+		addWord();
+
+		if (!keepDuplicates) {
+			words = $.unique(words);
+		}
+
+		return words;
+	},
+
+	isNgramLanguage: function(lang) {
+		if (typeof lang != 'string') {
+			return false;
+		}
+
+		lang = lang.toLowerCase();
+
+		return SearchTools.ngramLanguages.indexOf(lang) > -1 || SearchTools.ngramLanguages.indexOf(lang.split('-')[0]) > -1;
+	},
+
+	// กรุงเทพ => ['ก', 'รุ', 'ง', 'เ', 'ท', 'พ'] in ngramLanguages, other words stay together
+	segmentWord: function(word, lang) {
+		if (!SearchTools.isNgramLanguage(lang)) {
+			return [word];
+		}
+
+		SearchTools.clusterRegExp.lastIndex = 0;
+
+		return word.match(SearchTools.clusterRegExp) || [];
+	},
+
+	// ['ก', 'รุ', 'ง'] => ['กรุ', 'รุง'], the same keys as tools/word_segmenter.js
+	getNgrams: function(characters) {
+		var ngrams = [];
+
+		if (characters.length == 1) {
+			return characters.slice(0);
+		}
+
+		for (var i=0, il=characters.length-1; i<il; i++) {
+			ngrams.push(characters[i] + characters[i+1]);
+		}
+
+		return ngrams;
+	},
+
+	// the same as tools/word_normalizer.js normalizeWord, so the words in the index and in the search match.
+	// Bénédiction => benediction, בְּרֵאשִׁית => בראשית
+	normalizeWord: function(word) {
+
+		if (word.normalize) {
+			word = word.normalize('NFD');
+		}
+
+		word = word
+				.replace(SearchTools.pointsRegExp, '')
+				.replace(SearchTools.latinMarksRegExp, '$1');
+
+		if (word.normalize) {
+			word = word.normalize('NFC');
+		}
+
+		return word.toLowerCase();
+	},
+
+	// uses the normalizer for the lang (pt-br falls back to pt), or normalizeWord
+	normalize: function(word, lang) {
+		var normalizer = null;
+
+		if (typeof lang == 'string') {
+			lang = lang.toLowerCase();
+			normalizer = SearchTools.normalizers[lang] || SearchTools.normalizers[lang.split('-')[0]];
+		}
+
+		return (normalizer || SearchTools.normalizeWord)(word);
+	},
+
+	getLatinVariants: function() {
+		if (SearchTools.latinVariants == null) {
+			var variants = {};
+
+			// Latin-1 Supplement and Latin Extended-A/B
+			for (var charCode=0x00C0; charCode<=0x024F; charCode++) {
+				var letter = String.fromCharCode(charCode),
+					base = letter.normalize ? letter.normalize('NFD').charAt(0).toLowerCase() : letter;
+
+				if (/^[a-z]$/.test(base)) {
+					variants[base] = (variants[base] || base) + letter;
+				}
+			}
+
+			SearchTools.latinVariants = variants;
+		}
+
+		return SearchTools.latinVariants;
+	},
+
+	// benediction => b[eÈÉ...]marks*n..., so the highlight finds the word with or without accents and points.
+	// letterPattern is what * and ? stand for
+	getFoldedPattern: function(word, letterPattern) {
+		var variants = SearchTools.getLatinVariants(),
+			pattern = '';
+
+		for (var i=0, il=word.length; i<il; i++) {
+			var letter = word.charAt(i);
+
+			if (letter == '*') {
+				pattern += letterPattern + '*';
+			} else if (letter == '?') {
+				pattern += letterPattern;
+			} else {
+				pattern += (variants[letter] ? '[' + variants[letter] + ']' : letter) + SearchTools.marksPattern;
+			}
+		}
+
+		return pattern;
+	},
+
+	HASHSIZE: 20,
+
+	hashWord: function(word) {
+	    var hash = 0;
+	    for (i = 0; i < word.length; i++) {
+	        hash += word.charCodeAt(i);
+	        hash %= SearchTools.HASHSIZE;
+	   }
+	   return hash;
+	}
+};
+
+SearchIndexLoader = function() {
+
+	var
+		baseContentPath = sofia.config.baseContentUrl + 'content/' + 'texts/',
+		textInfo = null,
+		searchTerms = [],
+		searchTermsIndex = -1,
+		isLemmaSearch = false,
+		isStemEnabled = true,
+		stemmingData = {},
+		stemInfo = [],
+		searchDivisions = [],
+		searchQuery = null,
+		// initial load: [{term:'light': occurrences: ['GN1_2', 'GN2_5']}, {term: 'love': ['JN3']}
+		loadedIndexes = [],
+		// by key: {'light': ['GN1_2', 'GN2_5'], 'G26': ['JN3_16']}, missing keys are [], failed loads are left out
+		termIndexes = {},
+		// final: [{sectionid:'GN1', fragmentids: ['GN1_2', 'GN1_3']}, {sectionid:'GN2', fragmentids: ['GN2_4']} }
+		loadedResults = [],
+		// [{type: 'wildcard', term: 'a*', total: 1200, limit: 100}]
+		warnings = [];
+
+	// START
+	function loadIndexes(newTextInfo, divisions, searchText, isLemma) {
+
+		isLemmaSearch = isLemma;
+		textInfo = newTextInfo;
+		searchDivisions = divisions;
+
+		searchQuery = SearchTools.parseQuery(searchText, textInfo.lang);
+
+		searchTermsIndex = -1;
+		loadedIndexes = [];
+		termIndexes = {};
+		loadedResults = [];
+		stemInfo = [];
+		stemmingData = {};
+		warnings = [];
+
+		var wildcardTerms = $.grep(SearchTools.getQueryTerms(searchQuery, true), function(term) { return term.isWildcard; });
+
+		if (wildcardTerms.length > 0) {
+			loadTermDictionary(wildcardTerms);
+		} else {
+			startIndexes();
+		}
+	}
+
+	// expand bless* into the words of the text that start with bless
+	function loadTermDictionary(wildcardTerms) {
+
+		var termsUrl = baseContentPath + textInfo.id + '/index/_terms.json';
 
-		// attempt to load in index
 		$.ajax({
 			beforeSend: function(xhr){
 				if (xhr.overrideMimeType){
@@ -663,138 +1713,188 @@ SearchIndexLoader = function() {
 			},
 
 			dataType: 'json',
-			url: indexUrl,
+			url: termsUrl,
 			success: function(data) {
 
-				var fragments = null;
+				for (var i=0, il=wildcardTerms.length; i<il; i++) {
+					var term = wildcardTerms[i],
+						expansion = SearchTools.expandWildcard(term.key, data);
 
-				//console.log(key, stem, data, data[stem]);
+					term.expansions = expansion.words;
 
-				if (isStemEnabled && stemmingData != null) {
-					fragments = data[stem].fragmentids;
-					stemInfo.push({
-						word: key,
-						stem: stem,
-						words: data[stem].words
-					});
-				} else {
-					fragments = data[key];
+					if (expansion.total > expansion.words.length) {
+						warnings.push({type: 'wildcard', term: term.key, total: expansion.total, limit: SearchTools.MAXWILDCARDTERMS});
+					}
+				}
+
+				startIndexes();
+			},
+			error: function() {
+				// the wildcards will be checked against every verse
+				console.log('No term dictionary for', textInfo.id);
+				startIndexes();
+			}
+		});
+	}
+
+	function startIndexes() {
+
+		searchTerms = SearchTools.getIndexTerms(searchQuery);
+
+		var hasWords = $.grep(searchTerms, function(term) { return !term.isLemma; }).length > 0;
+
+		if (isStemEnabled && hasWords) {
+			loadStemmingData();
+		} else {
+			loadNextIndex();
+		}
+	}
+
+
+	function loadStemmingData() {
+
+		var stemUrl = baseContentPath + textInfo.id + '/index/stems.json';
+
+		// attempt to load in index
+		$.ajax({
+			beforeSend: function(xhr){
+				if (xhr.overrideMimeType){
+					xhr.overrideMimeType("application/json");
 				}
+			},
+
+			dataType: 'json',
+			url: stemUrl,
+			success: function(data) {
+				console.log('Loaded Stems!', textInfo.id);
 
-				loadedIndexes.push(fragments);
+				stemmingData = data;
 
 				loadNextIndex();
 			},
 			error: function() {
-				//console.log('no index for: ' + searchTerm);
+				// set it to null in order to check later
+				stemmingData = null;
+
+				console.log('No stem data for', textInfo.id);
 				loadNextIndex();
 			}
-
 		});
-
 	}
 
-	function processIndexes() {
 
-		// we'll combine everything into this ['GN1_1', 'GN1_2']
-		fragmentids = [];
-		// then pair down to this [{sectionid:'GN1', fragmentids: ['GN1_1','GN1_2']}]
-		loadedResults = [];
+	function loadNextIndex() {
 
-		if (loadedIndexes.length > 0) {
-
-			if (searchType == 'OR') {
-				// combine all the fragments
-				for (var i=0, il=loadedIndexes.length; i<il; i++) {
-					fragmentids = fragmentids.concat( loadedIndexes[i] ); // .occurrences );
-					////console.log(loadedIndexes[i].term);
-					////console.log(loadedIndexes[i].occurrences);
-				}
-
-				// sort!
-				fragmentids.sort(function(a, b) {
-					// split into parts
-					function splitFragment(fragmentid) {
-						var parts = fragmentid.split('_'),
-							sectionid = parts[0],
-							sectionIndex = textInfo.sections.indexOf(sectionid),
-							fragmentNum = parseInt(parts[1], 10),
-							value = {
-								sectionid: sectionid,
-								sectionIndex: sectionIndex,
-								fragmentNum: fragmentNum
-							};
+		// starts at -1, so this will make the first one 0
+		searchTermsIndex++;
 
-						return value;
-					}
+		if (searchTermsIndex < searchTerms.length) {
 
-					var fraga = splitFragment(a),
-						fragb = splitFragment(b);
+			loadSearchTermIndex( searchTerms[searchTermsIndex] );
 
+		} else {
 
-					if (fraga.sectionIndex < fragb.sectionIndex ||
-						(fraga.sectionIndex == fragb.sectionIndex && fraga.fragmentNum < fragb.fragmentNum) )
-						return -1;
-					if (fraga.sectionIndex > fragb.sectionIndex ||
-						(fraga.sectionIndex == fragb.sectionIndex && fraga.fragmentNum > fragb.fragmentNum) )
-						return 1;
-					// a must be equal to b
-					return 0;
-				});
+			// if we've done all the indexes, then it's time to start combining them
+			//combineIndexes();
+			processIndexes();
+		}
 
+	}
 
-			} else if (searchType == 'AND') {
-
-				// combine arrays to only include fragments (verses) where all indexes overlap (truth AND love)
-				var totalIndexes = loadedIndexes.length;
-				if (totalIndexes == 1) {
-					fragmentids = loadedIndexes[0]; // .occurrences;
-				} else if (totalIndexes > 1) {
-					//fragmentids = loadedIndexes[0].occurrences.filter(function(val) {
-					fragmentids = loadedIndexes[0].filter(function(val) {
-						var inOtherArrays = true;
-						for (var i=1; i<totalIndexes; i++) {
-							//if (loadedIndexes[i].occurrences.indexOf(val) == -1) {
-							if (loadedIndexes[i].indexOf(val) == -1) {
-								inOtherArrays = false;
-								break;
-							}
-						}
+	function loadSearchTermIndex(searchTerm) {
+
+		var indexUrl = '',
+			key = searchTerm.key,
+			hash = '',
+			stem = '',
+			useStems = !searchTerm.isLemma && isStemEnabled && stemmingData != null;
+
+		if (searchTerm.isLemma) {
+			var letter = key.substr(0,1),
+				firstNumber = key.length >= 5 ? key.substr(1,1) : '0';
+
+			indexUrl = baseContentPath + textInfo.id + '/indexlemma/_' + letter.toUpperCase() + firstNumber + '000' + '.json';
+
+		} else {
+
+			if (useStems) {
+				// words missing from the stems aren't in the text
+				stem = stemmingData[key] || key;
+				hash = SearchTools.hashWord(stem);
+				indexUrl = baseContentPath + textInfo.id + '/index/_stems_' + hash + '.json';
+
+			} else {
+				hash = SearchTools.hashWord(key);
+				indexUrl = baseContentPath + textInfo.id + '/index/_' + hash + '.json';
 
-						return inOtherArrays;
-					});
-				}
 			}
+		}
 
-			// reformat fragments into sectionids
-			// ['JN1_1','JN1_2'] => [{sectionid: 'JN1', fragmentids: ['JN1_1','JN1_2']}]
-			if (fragmentids) {
-				for (var i=0, il=fragmentids.length; i<il; i++) {
-					var fragmentid = fragmentids[i];
+		if (key == 'undefined') {
+			//console.log('STOP search. undefined term');
+			return;
+		}
 
-					if (fragmentid != '' && fragmentid != null) {
+		//console.log('Loading Index:' + searchTerm + ',' + searchTermEncoded);
 
+		// attempt to load in index
+		$.ajax({
+			beforeSend: function(xhr){
+				if (xhr.overrideMimeType){
+					xhr.overrideMimeType("application/json");
+				}
+			},
 
-						var	sectionid = fragmentid.split('_')[0],
-							dbsBookCode = sectionid.substring(0,2);
+			dataType: 'json',
+			url: indexUrl,
+			success: function(data) {
 
-						if (searchDivisions.length == 0 || searchDivisions.indexOf(dbsBookCode) > -1) {
+				var fragments = null;
 
-							// see if we already created data for this section id
-							var sectionidInfo = $.grep(loadedResults, function(val){ return val.sectionid == sectionid; });
+				//console.log(key, stem, data, data[stem]);
 
-							// create new data
-							if (sectionidInfo.length == 0) {
-								loadedResults.push({sectionid: sectionid, fragmentids: [fragmentid]});
-							}
-							// add to this sectionid
-							else {
-								sectionidInfo[0].fragmentids.push(fragmentid);
-							}
-						}
+				if (useStems) {
+					if (data[stem]) {
+						fragments = data[stem].fragmentids;
+						stemInfo.push({
+							word: key,
+							stem: stem,
+							words: data[stem].words
+						});
 					}
+				} else {
+					fragments = data[key];
+				}
+
+				if (fragments) {
+					loadedIndexes.push(fragments);
 				}
+				termIndexes[key] = fragments || [];
+
+				loadNextIndex();
+			},
+			error: function() {
+				//console.log('no index for: ' + searchTerm);
+				loadNextIndex();
 			}
+
+		});
+
+	}
+
+	function processIndexes() {
+
+		// we'll combine everything into this ['GN1_1', 'GN1_2'], null means no index could narrow it down
+		var fragmentids = SearchTools.combineIndexes(searchQuery, termIndexes),
+			// the number of verses with each term, for ranking
+			termCounts = SearchTools.getTermCounts(searchQuery, termIndexes);
+
+		// then pair down to this [{sectionid:'GN1', fragmentids: ['GN1_1','GN1_2']}]
+		loadedResults = [];
+
+		if (fragmentids !== null) {
+			fragmentids = SearchTools.sortFragments(fragmentids, textInfo.sections);
+			loadedResults = SearchTools.groupFragments(fragmentids, searchDivisions);
 		}
 
 		// send up the chain
@@ -803,6 +1903,8 @@ SearchIndexLoader = function() {
 																	loadedResults: loadedResults,
 																	fragmentids: fragmentids,
 																	stemInfo: stemInfo,
+																	termCounts: termCounts,
+																	warnings: warnings
 																}
 								});
 	}
@@ -25,6 +25,18 @@ var SearchWindow = function(id, parent, init_data) {
 						'<span class="search-visual-label"></span>' +
 						'<div class="search-lemma-info"></div>' +
 						'<div class="search-usage"></div>' +
+						'<div class="search-warnings"></div>' +
+						'<div class="search-version-counts"></div>' +
+						'<select class="search-order">' +
+							'<option value="canonical">' + i18n.t('windows.search.canonical') + '</option>' +
+							'<option value="relevance">' + i18n.t('windows.search.relevance') + '</option>' +
+						'</select>' +
+						'<select class="search-export">' +
+							'<option value="">' + i18n.t('windows.search.export') + '</option>' +
+							'<option value="csv">' + i18n.t('windows.search.exportcsv') + '</option>' +
+							'<option value="json">' + i18n.t('windows.search.exportjson') + '</option>' +
+							'<option value="references">' + i18n.t('windows.search.exportreferences') + '</option>' +
+						'</select>' +
 					'</div>' +
 					'<div class="search-results reading-text"></div>' +
 				'</div></div>').appendTo(parent.node),
@@ -34,6 +46,10 @@ var SearchWindow = function(id, parent, init_data) {
 		topVisual = main.find('.search-visual').hide(),
 		topVisualLabel = main.find('.search-visual-label'),
 		topUsage = main.find('.search-usage'),
+		topWarnings = main.find('.search-warnings').hide(),
+		topVersionCounts = main.find('.search-version-counts').hide(),
+		topOrder = main.find('.search-order').hide(),
+		topExport = main.find('.search-export').hide(),
 		topBlock = main.find('.search-top'),
 		topBlockTitle = topBlock.find('h2'),
 		searchProgressBar = topBlock.find('.search-progress-bar').hide(),
@@ -53,8 +69,30 @@ var SearchWindow = function(id, parent, init_data) {
 
 		divisionChooser = $('<div class="search-division-chooser">' +
 								'<div class="search-division-header">' + i18n.t('windows.search.options') + '</div>' +
+								'<div class="search-compare">' +
+									'<label>' + i18n.t('windows.search.compare') + '</label>' +
+									'<input type="text" class="search-compare-texts app-input" placeholder="' + i18n.t('windows.search.compareplaceholder') + '" />' +
+								'</div>' +
+								'<div class="search-saved">' +
+									'<label>' + i18n.t('windows.search.saved') + '</label>' +
+									'<div class="search-saved-add">' +
+										'<input type="text" class="search-saved-name app-input" placeholder="' + i18n.t('windows.search.savename') + '" />' +
+										'<input type="button" class="search-saved-button" value="' + i18n.t('windows.search.save') + '" />' +
+									'</div>' +
+									'<div class="search-saved-list"></div>' +
+									'<label>' + i18n.t('windows.search.history') + ' <span class="search-history-clear">' + i18n.t('windows.search.clearhistory') + '</span></label>' +
+									'<div class="search-history-list"></div>' +
+								'</div>' +
 								'<div class="search-division-main"></div>' +
 							'</div>').appendTo($('body')),
+		compareInput = divisionChooser.find('.search-compare-texts'),
+		savedNameInput = divisionChooser.find('.search-saved-name'),
+		savedList = divisionChooser.find('.search-saved-list'),
+		historyList = divisionChooser.find('.search-history-list'),
+
+		// {history: [search, ...], saved: [search, ...]}, shared by all search windows
+		searchesKey = 'searches',
+		maxHistory = 20,
 
 		selectedTextInfo = null,
 
@@ -64,9 +102,21 @@ var SearchWindow = function(id, parent, init_data) {
 		currentResults = null,
 		searchIndexesData = null,
 		searchTermsRegExp = null,
-		isLemmaSearch = false
+		isLemmaSearch = false,
+
+		// a new search stops the versions still waiting from the last one
+		searchCount = 0,
+
+		// canonical or relevance
+		resultsOrder = init_data.order == 'relevance' ? 'relevance' : 'canonical'
 		;
 
+	topOrder.val(resultsOrder);
+
+	if (init_data.compare) {
+		compareInput.val(init_data.compare);
+	}
+
 	header.find('.i18n').i18n();
 
 	// EVENTS
@@ -81,6 +131,13 @@ var SearchWindow = function(id, parent, init_data) {
 		}
 	});
 
+	compareInput.on('keypress', function(e) {
+		if (e.which == 13) {
+			divisionChooser.hide();
+			doSearch();
+		}
+	});
+
 	button.on('click', function() {
 
 		// record
@@ -122,6 +179,8 @@ var SearchWindow = function(id, parent, init_data) {
 			divisionChooser.hide();
 
 		} else {
+			renderSavedSearches();
+
 			divisionChooser.show();
 
 			var uiPos = searchOptionsButton.offset(),
@@ -254,6 +313,157 @@ var SearchWindow = function(id, parent, init_data) {
 		checkDivisionHeader( checkbox.closest('.division-list') );
 	});
 
+	// SAVED SEARCHES
+	function getSearches() {
+		return AppSettings.getValue(searchesKey, {history: [], saved: []});
+	}
+
+	function getCurrentSearch() {
+		var data = ext.getData();
+
+		return {
+			searchtext: data.searchtext,
+			textid: data.textid,
+			textabbr: (selectedTextInfo != null) ? selectedTextInfo.abbr : '',
+			divisions: data.divisions,
+			compare: data.compare
+		};
+	}
+
+	function isSameSearch(a, b) {
+		return a.searchtext == b.searchtext &&
+				a.textid == b.textid &&
+				(a.divisions || []).join(',') == (b.divisions || []).join(',') &&
+				(a.compare || '') == (b.compare || '');
+	}
+
+	// newest first, a repeated search moves back to the top
+	function storeHistory(search) {
+		var searches = getSearches();
+
+		searches.history = searches.history.filter(function(s) {
+			return !isSameSearch(s, search);
+		});
+
+		searches.history.unshift(search);
+
+		while (searches.history.length > maxHistory) {
+			searches.history.pop();
+		}
+
+		AppSettings.setValue(searchesKey, searches);
+	}
+
+	function saveSearch() {
+		var searches = getSearches(),
+			search = getCurrentSearch();
+
+		if (search.searchtext == '') {
+			return;
+		}
+
+		search.name = savedNameInput.val().trim() || search.searchtext;
+
+		// the same name replaces the old one
+		searches.saved = searches.saved.filter(function(s) {
+			return s.name != search.name;
+		});
+
+		searches.saved.push(search);
+
+		AppSettings.setValue(searchesKey, searches);
+
+		savedNameInput.val('');
+		renderSavedSearches();
+	}
+
+	function renderSearchList(list, searches, canRemove) {
+		list.empty();
+
+		for (var i=0, il=searches.length; i<il; i++) {
+			var search = searches[i],
+				item = $('<div class="search-saved-item"></div>')
+							.attr('data-index', i)
+							.attr('title', search.searchtext)
+							.append( $('<span class="search-saved-label"></span>').text(search.name || search.searchtext) )
+							.append( $('<span class="search-saved-info"></span>').text(search.textabbr + (search.compare ? ', ' + search.compare : '')) );
+
+			if (canRemove) {
+				item.append('<span class="search-saved-remove">&times;</span>');
+			}
+
+			list.append(item);
+		}
+	}
+
+	function renderSavedSearches() {
+		var searches = getSearches();
+
+		renderSearchList(savedList, searches.saved, true);
+		renderSearchList(historyList, searches.history, false);
+	}
+
+	function runSavedSearch(search) {
+
+		divisionChooser.hide();
+
+		TextLoader.getText(search.textid, function(data) {
+
+			// redraws the divisions with every book checked
+			setTextInfo(data, true);
+
+			if (search.divisions && search.divisions.length > 0) {
+				setDivisions(search.divisions);
+			}
+
+			compareInput.val(search.compare || '');
+			input.val(search.searchtext);
+
+			doSearch();
+		});
+	}
+
+	divisionChooser.find('.search-saved-button').on('click', saveSearch);
+
+	savedNameInput.on('keypress', function(e) {
+		if (e.which == 13) {
+			saveSearch();
+		}
+	});
+
+	savedList.on('click', '.search-saved-item', function(e) {
+		var searches = getSearches(),
+			index = parseInt($(this).attr('data-index'), 10);
+
+		if ($(e.target).hasClass('search-saved-remove')) {
+			searches.saved.splice(index, 1);
+
+			AppSettings.setValue(searchesKey, searches);
+			renderSavedSearches();
+
+		} else if (searches.saved[index]) {
+			runSavedSearch(searches.saved[index]);
+		}
+	});
+
+	historyList.on('click', '.search-saved-item', function() {
+		var searches = getSearches(),
+			index = parseInt($(this).attr('data-index'), 10);
+
+		if (searches.history[index]) {
+			runSavedSearch(searches.history[index]);
+		}
+	});
+
+	divisionChooser.find('.search-history-clear').on('click', function() {
+		var searches = getSearches();
+
+		searches.history = [];
+
+		AppSettings.setValue(searchesKey, searches);
+		renderSavedSearches();
+	});
+
 	resultsBlock.on('click', 'tr', function(e) {
 
 		var tr = $(this),
@@ -351,14 +561,42 @@ console.log('search click', fragmentid, bibleWindows);
 
 		//console.log('searcher:complete'); // , e.data.results);
 
-		var results = e.data.results,
-			html = //'<h2>Results: ' + results.length + '</h2>' +
+		renderResults(e.data.results, e.data.warnings, e.data.errorMessage ? [e.data.errorMessage] : []);
+	}
+
+	// each version of a multiple version search, then one row per verse with every version that matched it
+	function multiSearchCompleteHandler(resultSets) {
+		var warnings = [],
+			errorMessages = [];
+
+		for (var i=0, il=resultSets.length; i<il; i++) {
+			warnings = warnings.concat(resultSets[i].warnings);
+
+			if (resultSets[i].errorMessage) {
+				errorMessages.push(resultSets[i].textInfo.abbr + ': ' + resultSets[i].errorMessage);
+			}
+		}
+
+		currentResults = SearchTools.mergeResults(resultSets);
+
+		renderVersionCounts(resultSets);
+		renderResults(currentResults, warnings, errorMessages);
+	}
+
+	function renderResults(results, warnings, errorMessages) {
+
+		var html = //'<h2>Results: ' + results.length + '</h2>' +
 					'<table>';
 
 		searchProgressBarInner.css({'width': '100%'  });
-		setFinalResultsCount(e.data.results ? e.data.results.length : 0);
+		setFinalResultsCount(results ? results.length : 0);
 		resultsBlock.removeClass('loading-indicator');
 
+		renderWarnings(warnings);
+
+		// a server that failed shouldn't look like a search without results
+		var errorsHtml = renderErrors(errorMessages || []);
+
 		if (results && results.length > 0) {
 
 			// create visual array
@@ -374,7 +612,10 @@ console.log('search click', fragmentid, bibleWindows);
 				} else if (text.substr(0,1) == 'H') {
 					bookList = bible.OT_BOOKS;
 				}
-			} else {
+			}
+
+			// a word search, or a lemma mixed with words (love AND G26)
+			if (bookList == null) {
 				bookList = textInfo.divisions;
 			}
 
@@ -405,15 +646,19 @@ console.log('search click', fragmentid, bibleWindows);
 					label = result.fragmentid;
 				}
 
-				html += '<tr data-fragmentid="' + result.fragmentid + '" class="divisionid-' + result.fragmentid.substr(0,2) + '"><th>' + label + '</th><td lang="' + iso2iana.convert(textInfo.lang) + '">' + result.html + '</td></tr>';
+				html += '<tr data-fragmentid="' + result.fragmentid + '" class="divisionid-' + result.fragmentid.substr(0,2) + '"><th>' + label + '</th><td lang="' + iso2iana.convert(textInfo.lang) + '">' + (result.versions ? renderVersions(result.versions) : result.html) + '</td></tr>';
 			}
 			html += '</table>';
 
 
 			resultsBlock
-				.html( html )
+				.html( errorsHtml + html )
 				.find('.v-num').remove();
 
+			orderResults();
+			topOrder.show();
+			topExport.show();
+
 			// render book list
 			renderResultsVisual(divisionCount, bookList);
 
@@ -451,12 +696,258 @@ console.log('search click', fragmentid, bibleWindows);
 			//createLemmaUsage();
 		} else {
 
-			resultsBlock.html( "No results" );
+			resultsBlock.html( errorsHtml != '' ? errorsHtml : "No results" );
+
+		}
+
+		ext.trigger('settingschange', {type: 'settingschange', target: this, data: null});
+
+	}
+
+	function renderVersions(versions) {
+		var html = '';
+
+		for (var i=0, il=versions.length; i<il; i++) {
+			var version = versions[i];
 
+			html += '<div class="search-version" lang="' + iso2iana.convert(version.textInfo.lang) + '" dir="' + (version.textInfo.dir || 'ltr') + '">' +
+						'<span class="search-version-abbr">' + version.textInfo.abbr + '</span> ' +
+						version.html +
+					'</div>';
+		}
+
+		return html;
+	}
+
+	function renderVersionCounts(resultSets) {
+		var html = '';
+
+		for (var i=0, il=resultSets.length; i<il; i++) {
+			html += '<span class="search-version-count">' +
+						'<span class="search-version-abbr">' + resultSets[i].textInfo.abbr + '</span> ' + resultSets[i].results.length +
+					'</span>';
 		}
 
+		topVersionCounts
+			.html(html)
+			.show();
+	}
+
+	topOrder.on('change', function() {
+		resultsOrder = topOrder.val();
+
+		orderResults();
+
 		ext.trigger('settingschange', {type: 'settingschange', target: this, data: null});
+	});
+
+	// best match puts the highest scores first, canonical keeps the order of the search
+	function getOrderedResults() {
+		var resultsInfo = [];
+
+		for (var i=0, il=currentResults.length; i<il; i++) {
+			resultsInfo.push({index: i, score: currentResults[i].score || 0, result: currentResults[i]});
+		}
+
+		resultsInfo.sort(function(infoa, infob) {
+			if (resultsOrder == 'relevance' && infoa.score != infob.score) {
+				return infob.score - infoa.score;
+			}
 
+			return infoa.index - infob.index;
+		});
+
+		return $.map(resultsInfo, function(info) {
+			return info.result;
+		});
+	}
+
+	function orderResults() {
+		if (currentResults == null) {
+			return;
+		}
+
+		var positions = {},
+			orderedResults = getOrderedResults(),
+			table = resultsBlock.find('table'),
+			rows = table.find('tr').get();
+
+		for (var i=0, il=orderedResults.length; i<il; i++) {
+			positions[orderedResults[i].fragmentid] = i;
+		}
+
+		rows.sort(function(a, b) {
+			return positions[a.getAttribute('data-fragmentid')] - positions[b.getAttribute('data-fragmentid')];
+		});
+
+		table.append(rows);
+	}
+
+	topExport.on('change', function() {
+		var format = topExport.val();
+
+		topExport.val('');
+
+		if (format != '' && currentResults != null) {
+			exportResults(format);
+		}
+	});
+
+	// one row per version of each verse, in the order on screen
+	function getExportRows() {
+		var orderedResults = getOrderedResults(),
+			rows = [];
+
+		for (var i=0, il=orderedResults.length; i<il; i++) {
+			var result = orderedResults[i],
+				versions = result.versions || [{textInfo: textInfo, html: result.html, score: result.score}];
+
+			for (var j=0, jl=versions.length; j<jl; j++) {
+				var verse = $('<div>' + versions[j].html + '</div>'),
+					terms = [];
+
+				verse.find('.v-num, .note, .cf').remove();
+
+				verse.find('.highlight').each(function() {
+					var term = this.textContent.trim();
+
+					if (term != '' && terms.indexOf(term) == -1) {
+						terms.push(term);
+					}
+				});
+
+				rows.push({
+					reference: getExportReference(result.fragmentid),
+					fragmentid: result.fragmentid,
+					textid: versions[j].textInfo.id,
+					version: versions[j].textInfo.abbr,
+					text: verse.text().replace(/\s+/g, ' ').trim(),
+					terms: terms,
+					score: versions[j].score || 0
+				});
+			}
+		}
+
+		return rows;
+	}
+
+	// JN3_16 => JHN 3:16, which bible.parseReference reads back
+	function getExportReference(fragmentid) {
+		if (textInfo.type.toLowerCase() != 'bible') {
+			return fragmentid;
+		}
+
+		var br = new bible.Reference(fragmentid);
+
+		if (br == null || !bible.BOOK_DATA[br.bookid]) {
+			return fragmentid;
+		}
+
+		return bible.BOOK_DATA[br.bookid].usfm + ' ' + br.chapterAndVerse();
+	}
+
+	function exportResults(format) {
+		var rows = getExportRows(),
+			filename = 'search-' + (input.val().trim().replace(/[^\w\-]+/g, '_').replace(/^_+|_+$/g, '') || 'results'),
+			content = '',
+			i, il;
+
+		switch (format) {
+			case 'csv':
+				content = '\ufeff' + csvLine(['reference', 'version', 'text', 'terms']);
+
+				for (i=0, il=rows.length; i<il; i++) {
+					content += csvLine([rows[i].reference, rows[i].version, rows[i].text, rows[i].terms.join('; ')]);
+				}
+
+				downloadFile(filename + '.csv', 'text/csv', content);
+				break;
+
+			case 'json':
+				content = JSON.stringify({
+					search: input.val().trim(),
+					textid: textInfo.id,
+					order: resultsOrder,
+					results: rows
+				}, null, '\t');
+
+				downloadFile(filename + '.json', 'application/json', content);
+				break;
+
+			case 'references':
+				var references = [];
+
+				for (i=0, il=rows.length; i<il; i++) {
+					if (references.indexOf(rows[i].reference) == -1) {
+						references.push(rows[i].reference);
+					}
+				}
+
+				downloadFile(filename + '.txt', 'text/plain', references.join('; '));
+				break;
+		}
+	}
+
+	function csvLine(values) {
+		return $.map(values, function(value) {
+			value = String(value);
+
+			return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+		}).join(',') + '\r\n';
+	}
+
+	function downloadFile(filename, type, content) {
+		var blob = new Blob([content], {type: type + ';charset=utf-8'});
+
+		if (window.navigator.msSaveBlob) {
+			window.navigator.msSaveBlob(blob, filename);
+			return;
+		}
+
+		var url = URL.createObjectURL(blob),
+			link = $('<a></a>')
+					.attr({href: url, download: filename})
+					.appendTo($('body'));
+
+		link[0].click();
+		link.remove();
+
+		setTimeout(function() {
+			URL.revokeObjectURL(url);
+		}, 1000);
+	}
+
+	function renderWarnings(warnings) {
+		if (!warnings || warnings.length == 0) {
+			return;
+		}
+
+		var html = '';
+
+		for (var i=0, il=warnings.length; i<il; i++) {
+			var warning = warnings[i];
+
+			if (warning.type == 'wildcard') {
+				html += '<p>' + i18n.t('windows.search.toobroad')
+										.replace('{0}', warning.term)
+										.replace('{1}', warning.total)
+										.replace('{2}', warning.limit) + '</p>';
+			}
+		}
+
+		topWarnings
+			.html(html)
+			.show();
+	}
+
+	function renderErrors(errorMessages) {
+		var html = '';
+
+		for (var i=0, il=errorMessages.length; i<il; i++) {
+			html += '<p class="search-error">' + i18n.t('windows.search.error').replace('{0}', $('<div/>').text(errorMessages[i]).html()) + '</p>';
+		}
+
+		return html;
 	}
 
 	function renderLemmaInfo() {
@@ -642,6 +1133,10 @@ console.log('search click', fragmentid, bibleWindows);
 		topVisual.html('').hide();
 		topLemmaInfo.html('').hide();
 		topUsage.html('').hide();
+		topWarnings.html('').hide();
+		topVersionCounts.html('').hide();
+		topOrder.hide();
+		topExport.hide();
 		searchProgressBar.hide();
 		searchProgressBarLabel.html('');
 		searchProgressBarInner.width(0);
@@ -664,6 +1159,10 @@ console.log('search click', fragmentid, bibleWindows);
 
 		parent.tab.find('span').html(text);
 
+		if (text != '') {
+			storeHistory(getCurrentSearch());
+		}
+
 		// don't send the list if it's all books
 		if (allDivisions.length == divisions.length) {
 			divisions = [];
@@ -679,7 +1178,112 @@ console.log('search click', fragmentid, bibleWindows);
 
 		enable();
 
-		TextLoader.startSearch(textid, divisions, text, searchLoadHandler, searchIndexCompleteHandler, searchCompleteHandler);
+		var searchId = ++searchCount;
+
+		findCompareTexts(function(compareTextInfos) {
+
+			if (searchId != searchCount) {
+				return;
+			}
+
+			if (compareTextInfos.length == 0) {
+				TextLoader.startSearch(textid, divisions, text, searchLoadHandler, searchIndexCompleteHandler, searchCompleteHandler);
+			} else {
+				startMultiSearch(searchId, [textInfo].concat(compareTextInfos), divisions, text);
+			}
+		});
+	}
+
+	// the texts in the compare box, by abbreviation (like the comparison window) or id
+	function findCompareTexts(callback) {
+
+		var textAbbrs = compareInput.val().split(','),
+			textids = [],
+			compareTextInfos = [];
+
+		textAbbrs = $.grep($.map(textAbbrs, function(abbr) { return abbr.trim().toLowerCase(); }), function(abbr) { return abbr != ''; });
+
+		if (textAbbrs.length == 0) {
+			callback(compareTextInfos);
+			return;
+		}
+
+		TextLoader.loadTexts(function(textInfoData) {
+
+			for (var i=0, il=textAbbrs.length; i<il; i++) {
+				var abbr = textAbbrs[i],
+					possibleTexts = textInfoData.filter(function(t) {
+						return t.abbr.toLowerCase() == abbr || t.id.toLowerCase() == abbr;
+					});
+
+				if (possibleTexts.length == 0) {
+					possibleTexts = textInfoData.filter(function(t) {
+						return t.abbr.toLowerCase().indexOf(abbr) > -1;
+					});
+				}
+
+				if (possibleTexts.length > 0 && possibleTexts[0].id != textInfo.id && textids.indexOf(possibleTexts[0].id) == -1) {
+					textids.push(possibleTexts[0].id);
+				}
+			}
+
+			function getNextText() {
+
+				if (compareTextInfos.length == textids.length) {
+					callback(compareTextInfos);
+					return;
+				}
+
+				TextLoader.getText(textids[compareTextInfos.length], function(data) {
+					compareTextInfos.push(data);
+
+					getNextText();
+				});
+			}
+
+			getNextText();
+		});
+	}
+
+	// one version after the other, so only one text is loading at a time
+	function startMultiSearch(searchId, textInfos, divisions, text) {
+
+		var resultSets = [];
+
+		function searchNextText() {
+
+			if (searchId != searchCount) {
+				return;
+			}
+
+			if (resultSets.length == textInfos.length) {
+				multiSearchCompleteHandler(resultSets);
+				return;
+			}
+
+			var searchTextInfo = textInfos[resultSets.length];
+
+			TextLoader.startSearch(searchTextInfo.id, divisions, text, searchLoadHandler, searchIndexCompleteHandler, function(e) {
+
+				// the first version highlights the Bible windows
+				if (resultSets.length == 0) {
+					searchIndexesData = e.data.searchIndexesData;
+					searchTermsRegExp = e.data.searchTermsRegExp;
+					isLemmaSearch = e.data.isLemmaSearch;
+				}
+
+				resultSets.push({
+					textInfo: searchTextInfo,
+					results: e.data.results || [],
+					warnings: e.data.warnings || [],
+					errorMessage: e.data.errorMessage || null
+				});
+
+				searchNextText();
+			});
+		}
+
+		searchNextText();
 	}
 
 	function getSelectedDivisions() {
@@ -802,7 +1406,7 @@ console.log('search click', fragmentid, bibleWindows);
 
 
 
-					if (isLemmaSearch) {
+					if (searchTermsRegExp[j].isLemma) {
 
 						// add the 'highlight' class to the <l> node
 						el.innerHTML = el.innerHTML.replace(searchTermsRegExp[j], function(match) {
@@ -865,11 +1469,15 @@ console.log('search click', fragmentid, bibleWindows);
 				searchtext: input.val().trim(),
 				textid: (selectedTextInfo != null) ? selectedTextInfo.providerid : null,
 				divisions: divisions,
+				order: resultsOrder,
+				compare: compareInput.val().trim(),
 				params: {
 					'win': 'search',
 					'textid': (selectedTextInfo != null) ? selectedTextInfo.providerid : null,
 					'searchtext': input.val(),
-					'divisions': divisions
+					'divisions': divisions,
+					'order': resultsOrder,
+					'compare': compareInput.val().trim()
 				}
 			}
 		},
@@ -901,7 +1509,9 @@ sofia.initMethods.push(function() {
 			paramKeys: {
 				'textid': 't',
 				'searchtext': 's',
-				'divisions': 'd'
+				'divisions': 'd',
+				'order': 'o',
+				'compare': 'c'
 			},
 			init: {
 			}
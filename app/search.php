@@ -49,6 +49,626 @@ function hash_word($word) {
 }
 
 
+// the same words as SearchTools.splitWords, ideographs are words by themselves unless segment_word splits them
+function split_words($text, $lang = '') {
+	$text = preg_replace("/['’]s/u", '', $text);
+
+	$ideograph = is_ngram_language($lang) ? '' : "\\p{Han}|";
+
+	preg_match_all("/" . $ideograph . "[\\p{L}\\p{M}\\p{N}]+(?:['’\\-][\\p{L}\\p{M}\\p{N}]+)*/u", $text, $matches);
+
+	return $matches[0];
+}
+
+// languages written without spaces, the same as SearchTools.ngramLanguages and tools/word_segmenter.js
+function is_ngram_language($lang) {
+	$ngram_languages = array('th', 'tha', 'lo', 'lao', 'km', 'khm', 'my', 'mya', 'bur', 'ja', 'jpn', 'zh', 'chi', 'chs', 'cht', 'cmn', 'zho');
+
+	$lang = strtolower((string) $lang);
+	$lang_parts = explode('-', $lang);
+
+	return in_array($lang, $ngram_languages) || in_array($lang_parts[0], $ngram_languages);
+}
+
+// the same as SearchTools.segmentWord: กรุงเทพ => [ก, รุ, ง, เ, ท, พ]
+function segment_word($word, $lang) {
+	if (!is_ngram_language($lang)) {
+		return array($word);
+	}
+
+	preg_match_all('/[\x{0E00}-\x{0EFF}\x{1000}-\x{109F}\x{1780}-\x{17FF}\x{3040}-\x{30FF}\x{3400}-\x{4DBF}\x{4E00}-\x{9FFF}](?:[\x{0E31}\x{0E34}-\x{0E3A}\x{0E47}-\x{0E4E}\x{0EB1}\x{0EB4}-\x{0EBC}\x{0EC8}-\x{0ECD}\x{102B}-\x{103E}\x{1056}-\x{1059}\x{105E}-\x{1060}\x{1062}-\x{1064}\x{1067}-\x{106D}\x{1071}-\x{1074}\x{1082}-\x{108D}\x{108F}\x{109A}-\x{109D}\x{17B4}-\x{17D1}\x{17D3}\x{17DD}\x{3099}\x{309A}]|\x{17D2}[\x{1780}-\x{17B3}]|\x{1039}[\x{1000}-\x{1021}])*|[^\x{0E00}-\x{0EFF}\x{1000}-\x{109F}\x{1780}-\x{17FF}\x{3040}-\x{30FF}\x{3400}-\x{4DBF}\x{4E00}-\x{9FFF}]+/u', $word, $matches);
+
+	return $matches[0];
+}
+
+// [ก, รุ, ง] => [กรุ, รุง]
+function get_ngrams($characters) {
+	if (count($characters) == 1) {
+		return $characters;
+	}
+
+	$ngrams = array();
+	for ($i=0; $i<count($characters)-1; $i++) {
+		$ngrams[] = $characters[$i] . $characters[$i+1];
+	}
+
+	return $ngrams;
+}
+
+// the same as SearchTools.normalizeWord and tools/word_normalizer.js: Bénédiction => benediction, בְּרֵאשִׁית => בראשית
+function normalize_word($word) {
+	$has_normalizer = class_exists('Normalizer');
+
+	if ($has_normalizer) {
+		$word = Normalizer::normalize($word, Normalizer::FORM_D);
+	}
+
+	// Hebrew cantillation and vowel points, Arabic harakat and tatweel
+	$word = preg_replace('/[\x{0591}-\x{05BD}\x{05BF}\x{05C1}\x{05C2}\x{05C4}\x{05C5}\x{05C7}\x{0610}-\x{061A}\x{0640}\x{064B}-\x{065F}\x{0670}\x{06D6}-\x{06DC}\x{06DF}-\x{06E4}\x{06E7}\x{06E8}\x{06EA}-\x{06ED}]/u', '', $word);
+
+	// accents on latin letters only
+	$word = preg_replace('/([a-zA-Z])[\x{0300}-\x{036F}]+/u', '$1', $word);
+
+	if ($has_normalizer) {
+		$word = Normalizer::normalize($word, Normalizer::FORM_C);
+	}
+
+	return mb_strtolower($word, 'UTF-8');
+}
+
+// older clients only send the words, which all have to be in the verse
+function create_word_query($search, $lang) {
+	$children = array();
+
+	foreach (explode(' ', $search) as $word) {
+		if (preg_match('/^[GgHh]\d{1,6}[a-z]?$/', $word)) {
+			$children[] = array('type' => 'term', 'key' => strtoupper(substr($word, 0, 1)) . substr($word, 1), 'isLemma' => TRUE);
+		} else {
+			foreach (split_words($word, $lang) as $part) {
+				$key = normalize_word($part);
+				$characters = segment_word($key, $lang);
+
+				if (count($characters) > 1) {
+					$children[] = array('type' => 'phrase', 'words' => $characters, 'ngrams' => get_ngrams($characters));
+				} else {
+					$children[] = array('type' => 'term', 'key' => $key, 'isLemma' => FALSE);
+				}
+			}
+		}
+	}
+
+	if (count($children) == 0) {
+		return null;
+	} else if (count($children) == 1) {
+		return $children[0];
+	}
+
+	return array('type' => 'and', 'children' => $children);
+}
+
+// every word and lemma, including the words of phrases and NOTs: key => is lemma
+function get_index_terms($node, &$terms) {
+	if ($node == null) {
+		return;
+	}
+
+	switch ($node['type']) {
+		case 'term':
+			if (!empty($node['isWildcard'])) {
+				foreach (isset($node['expansions']) ? $node['expansions'] : array() as $word) {
+					$terms[$word] = FALSE;
+				}
+			} else {
+				$terms[$node['key']] = !empty($node['isLemma']);
+			}
+			break;
+		case 'phrase':
+			foreach (isset($node['ngrams']) ? $node['ngrams'] : $node['words'] as $word) {
+				$terms[$word] = FALSE;
+			}
+			break;
+		case 'not':
+			get_index_terms($node['child'], $terms);
+			break;
+		default:
+			foreach ($node['children'] as $child) {
+				get_index_terms($child, $terms);
+			}
+			break;
+	}
+}
+
+// bless* => /^bless.*$/u
+function wildcard_regexp($key) {
+	return '/^' . str_replace(array('\\*', '\\?'), array('.*', '.'), preg_quote($key, '/')) . '$/u';
+}
+
+// the words of the sorted term dictionary matching each wildcard, up to $max_terms with a warning past that
+function expand_wildcards(&$node, $dictionary, $max_terms, &$warnings) {
+	if ($node == null) {
+		return;
+	}
+
+	if ($node['type'] == 'term' && !empty($node['isWildcard'])) {
+		$words = array_values(preg_grep(wildcard_regexp($node['key']), $dictionary));
+		$node['expansions'] = array_slice($words, 0, $max_terms);
+
+		if (count($words) > $max_terms) {
+			$warnings[] = array('type' => 'wildcard', 'term' => $node['key'], 'total' => count($words), 'limit' => $max_terms);
+		}
+	} else if ($node['type'] == 'not') {
+		expand_wildcards($node['child'], $dictionary, $max_terms, $warnings);
+	} else if (isset($node['children'])) {
+		foreach ($node['children'] as &$child) {
+			expand_wildcards($child, $dictionary, $max_terms, $warnings);
+		}
+	}
+}
+
+function query_has_wildcard($node) {
+	if ($node == null) {
+		return FALSE;
+	} else if ($node['type'] == 'term') {
+		return !empty($node['isWildcard']);
+	} else if ($node['type'] == 'not') {
+		return query_has_wildcard($node['child']);
+	} else if (isset($node['children'])) {
+		foreach ($node['children'] as $child) {
+			if (query_has_wildcard($child)) {
+				return TRUE;
+			}
+		}
+	}
+
+	return FALSE;
+}
+
+// the term and phrase nodes outside of NOTs
+function get_positive_terms($node, &$terms) {
+	if ($node == null || $node['type'] == 'not') {
+		return;
+	}
+
+	if ($node['type'] == 'term' || $node['type'] == 'phrase') {
+		$terms[] = $node;
+	} else {
+		foreach ($node['children'] as $child) {
+			get_positive_terms($child, $terms);
+		}
+	}
+}
+
+// love => love, "one another" => "one another", the same as SearchTools.getTermId
+function get_term_id($term) {
+	return $term['type'] == 'phrase' ? '"' . implode(' ', $term['words']) . '"' : $term['key'];
+}
+
+function query_has_near($node) {
+	if ($node == null) {
+		return FALSE;
+	} else if ($node['type'] == 'near') {
+		return TRUE;
+	} else if ($node['type'] == 'not') {
+		return query_has_near($node['child']);
+	} else if (isset($node['children'])) {
+		foreach ($node['children'] as $child) {
+			if (query_has_near($child)) {
+				return TRUE;
+			}
+		}
+	}
+
+	return FALSE;
+}
+
+// a missing word could be a word the indexer skips (the, of), so let the verse check decide
+function is_empty_term($node, $result) {
+	return $node['type'] == 'term' && $result !== null && count($result) == 0;
+}
+
+// the same as SearchTools.combineIndexes: the verses to check, or null when the indexes can't narrow it down
+function combine_indexes($node, $term_indexes) {
+	$sets = array();
+	$excluded = array();
+	$has_empty_term = FALSE;
+
+	if ($node == null) {
+		return null;
+	}
+
+	switch ($node['type']) {
+		case 'term':
+			if (!empty($node['isWildcard'])) {
+				// without the term dictionary, the wildcard can't be looked up
+				if (!isset($node['expansions'])) {
+					return null;
+				}
+
+				foreach ($node['expansions'] as $word) {
+					if (!array_key_exists($word, $term_indexes)) {
+						return null;
+					}
+					$sets[] = $term_indexes[$word];
+				}
+				return union_fragments($sets);
+			}
+
+			return array_key_exists($node['key'], $term_indexes) ? $term_indexes[$node['key']] : null;
+
+		case 'phrase':
+			foreach (isset($node['ngrams']) ? $node['ngrams'] : $node['words'] as $word) {
+				$result = array_key_exists($word, $term_indexes) ? $term_indexes[$word] : null;
+
+				if ($result !== null && count($result) == 0) {
+					$has_empty_term = TRUE;
+				} else if ($result !== null) {
+					$sets[] = $result;
+				}
+			}
+
+			if (count($sets) == 0) {
+				return $has_empty_term ? array() : null;
+			}
+			return intersect_fragments($sets);
+
+		case 'and':
+			foreach ($node['children'] as $child) {
+				if ($child['type'] == 'not') {
+					// only a single word or lemma is sure to be missing from the whole verse
+					if ($child['child']['type'] == 'term') {
+						$result = combine_indexes($child['child'], $term_indexes);
+						if ($result !== null) {
+							$excluded[] = $result;
+						}
+					}
+					continue;
+				}
+
+				$result = combine_indexes($child, $term_indexes);
+
+				if (is_empty_term($child, $result)) {
+					$has_empty_term = TRUE;
+				} else if ($result !== null) {
+					$sets[] = $result;
+				}
+			}
+
+			if (count($sets) == 0) {
+				return $has_empty_term ? array() : null;
+			}
+
+			$result = intersect_fragments($sets);
+
+			if (count($excluded) > 0) {
+				$result = array_values(array_diff($result, union_fragments($excluded)));
+			}
+			return $result;
+
+		case 'or':
+			foreach ($node['children'] as $child) {
+				$result = combine_indexes($child, $term_indexes);
+
+				if ($result === null) {
+					return null;
+				}
+				$sets[] = $result;
+			}
+			return union_fragments($sets);
+
+		case 'near':
+			$first = combine_indexes($node['children'][0], $term_indexes);
+			$second = combine_indexes($node['children'][1], $term_indexes);
+
+			if ($first === null || is_empty_term($node['children'][0], $first)) {
+				return $second === null ? null : add_adjacent_fragments($second);
+			} else if ($second === null || is_empty_term($node['children'][1], $second)) {
+				return add_adjacent_fragments($first);
+			}
+
+			return union_fragments(array(
+				intersect_fragments(array($first, add_adjacent_fragments($second))),
+				intersect_fragments(array($second, add_adjacent_fragments($first)))
+			));
+	}
+
+	// NOT by itself
+	return null;
+}
+
+function intersect_fragments($sets) {
+	$result = $sets[0];
+
+	for ($i = 1; $i < count($sets); $i++) {
+		$result = array_values(array_intersect($result, $sets[$i]));
+	}
+
+	return $result;
+}
+
+function union_fragments($sets) {
+	$result = array();
+
+	foreach ($sets as $set) {
+		$result = array_merge($result, $set);
+	}
+
+	return array_values(array_unique($result));
+}
+
+// JN3_16 => JN3_16, JN3_15, JN3_17
+function add_adjacent_fragments($fragmentids) {
+	$adjacent = array();
+
+	foreach ($fragmentids as $fragmentid) {
+		$parts = explode('_', $fragmentid);
+		$verse_number = intval($parts[1]);
+
+		if ($verse_number > 1) {
+			$adjacent[] = $parts[0] . '_' . ($verse_number - 1);
+		}
+		$adjacent[] = $parts[0] . '_' . ($verse_number + 1);
+	}
+
+	return union_fragments(array($fragmentids, $adjacent));
+}
+
+// in the order of the sections, then the verses
+function sort_fragments($fragmentids, $sections) {
+	usort($fragmentids, function($a, $b) use ($sections) {
+		$a_parts = explode('_', $a);
+		$b_parts = explode('_', $b);
+		$a_index = array_search($a_parts[0], $sections);
+		$b_index = array_search($b_parts[0], $sections);
+
+		if ($a_index != $b_index) {
+			return $a_index < $b_index ? -1 : 1;
+		}
+
+		return intval($a_parts[1]) - intval($b_parts[1]);
+	});
+
+	return $fragmentids;
+}
+
+// <l s="G26">love</l> one another => [{word: love, lemmas: [G26]}, {word: one, lemmas: []}, ...]
+function tokenize_verse($html, $lang) {
+	$tokens = array();
+	$lemmas = array();
+
+	preg_match_all('/<(\/?)([a-z0-9]+)([^>]*)>|([^<]+)/i', $html, $parts, PREG_SET_ORDER);
+
+	foreach ($parts as $part) {
+		if (isset($part[4]) && $part[4] !== '') {
+			foreach (split_words(html_entity_decode($part[4], ENT_QUOTES, 'UTF-8'), $lang) as $word) {
+				foreach (segment_word(normalize_word($word), $lang) as $character) {
+					$tokens[] = array('word' => $character, 'lemmas' => $lemmas);
+				}
+			}
+		} else if (strtolower($part[2]) == 'l') {
+			if ($part[1] == '' && preg_match('/\ss=("|\')([^"\']*)\1/', $part[3], $strongs)) {
+				$lemmas = preg_split('/[\s\/]+/', $strongs[2]);
+			} else {
+				$lemmas = array();
+			}
+		}
+	}
+
+	return $tokens;
+}
+
+// context: the tokens of the verse, the verses around it, and the stem words of each word
+function evaluate_query($node, $context) {
+	switch ($node['type']) {
+		case 'term':
+		case 'phrase':
+			return count(find_term_positions($node, $context['tokens'], $context['stem_words'])) > 0;
+		case 'and':
+			foreach ($node['children'] as $child) {
+				if (!evaluate_query($child, $context)) {
+					return FALSE;
+				}
+			}
+			return TRUE;
+		case 'or':
+			foreach ($node['children'] as $child) {
+				if (evaluate_query($child, $context)) {
+					return TRUE;
+				}
+			}
+			return FALSE;
+		case 'not':
+			return !evaluate_query($node['child'], $context);
+		case 'near':
+			return match_near($node, $context);
+	}
+
+	return FALSE;
+}
+
+// one side has to be in this verse, the other can be at the end of the previous verse or the start of the next one
+function match_near($node, $context) {
+	$tokens = array_merge($context['previous'], $context['tokens'], $context['next']);
+	$start = count($context['previous']);
+	$end = $start + count($context['tokens']);
+	$first = find_node_positions($node['children'][0], $tokens, $context['stem_words']);
+	$second = find_node_positions($node['children'][1], $tokens, $context['stem_words']);
+
+	foreach ($first as $a) {
+		foreach ($second as $b) {
+			$in_verse = ($a['start'] >= $start && $a['start'] < $end) || ($b['start'] >= $start && $b['start'] < $end);
+
+			if ($in_verse && get_distance($a, $b) <= $node['distance']) {
+				return TRUE;
+			}
+		}
+	}
+
+	return FALSE;
+}
+
+function get_distance($a, $b) {
+	if ($a['end'] <= $b['start']) {
+		return $b['start'] - $a['end'] + 1;
+	} else if ($b['end'] <= $a['start']) {
+		return $a['start'] - $b['end'] + 1;
+	}
+
+	return 0;
+}
+
+// AND and NOT can't be used inside a NEAR
+function find_node_positions($node, $tokens, $stem_words) {
+	$positions = array();
+
+	switch ($node['type']) {
+		case 'term':
+		case 'phrase':
+			$positions = find_term_positions($node, $tokens, $stem_words);
+			break;
+		case 'or':
+			foreach ($node['children'] as $child) {
+				$positions = array_merge($positions, find_node_positions($child, $tokens, $stem_words));
+			}
+			break;
+		case 'near':
+			$first = find_node_positions($node['children'][0], $tokens, $stem_words);
+			$second = find_node_positions($node['children'][1], $tokens, $stem_words);
+
+			foreach ($first as $a) {
+				foreach ($second as $b) {
+					if (get_distance($a, $b) <= $node['distance']) {
+						$positions[] = array('start' => min($a['start'], $b['start']), 'end' => max($a['end'], $b['end']));
+					}
+				}
+			}
+			break;
+	}
+
+	return $positions;
+}
+
+function find_term_positions($term, $tokens, $stem_words) {
+	$positions = array();
+	$words = $term['type'] == 'phrase' ? $term['words'] : array($term['key']);
+	$word_count = count($words);
+
+	for ($i = 0; $i <= count($tokens) - $word_count; $i++) {
+		$is_match = TRUE;
+
+		for ($j = 0; $j < $word_count; $j++) {
+			if (!match_token($term, $words[$j], $tokens[$i + $j], $stem_words)) {
+				$is_match = FALSE;
+				break;
+			}
+		}
+
+		if ($is_match) {
+			$positions[] = array('start' => $i, 'end' => $i + $word_count);
+		}
+	}
+
+	return $positions;
+}
+
+function match_token($term, $word, $token, $stem_words) {
+	if (!empty($term['isWildcard'])) {
+		return preg_match(wildcard_regexp($word), $token['word']) == 1;
+	}
+
+	if (!empty($term['isLemma'])) {
+		foreach ($token['lemmas'] as $lemma) {
+			if (match_lemma($word, $lemma)) {
+				return TRUE;
+			}
+		}
+		return FALSE;
+	}
+
+	return $token['word'] == $word || (isset($stem_words[$word]) && in_array($token['word'], $stem_words[$word]));
+}
+
+// G26 matches G26, G0026, 26 and G26a
+function match_lemma($search, $lemma) {
+	$lemma_regexp = '/^([GH]?)0*(\d+)[a-z]?$/i';
+
+	if (!preg_match($lemma_regexp, $search, $search_parts) || !preg_match($lemma_regexp, $lemma, $lemma_parts)) {
+		return FALSE;
+	}
+
+	return $search_parts[2] == $lemma_parts[2] &&
+		($lemma_parts[1] == '' || strtoupper($lemma_parts[1]) == strtoupper($search_parts[1]));
+}
+
+// the chapter without notes and verse numbers
+function load_chapter($textid, $chapter_code) {
+	$path_to_chapter = './content/texts/' . $textid . '/' . $chapter_code . '.html';
+
+	if (!file_exists($path_to_chapter)) {
+		return null;
+	}
+
+	$file_contents = file_get_contents($path_to_chapter);
+
+	// suppress HTML5 errors
+	$doc = new DOMDocument();
+
+	$doc->preserveWhiteSpace = true;
+	$doc->formatOutput       = true;
+
+	libxml_use_internal_errors(true);
+	$doc->loadHTML($file_contents);
+	libxml_clear_errors();
+	$XPath = new DOMXPath($doc);
+
+	$doc->preserveWhiteSpace = true;
+	$doc->formatOutput       = true;
+
+	// remove notes
+	$note_nodes = $XPath->query("//span[contains(@class,'note')]");
+	foreach ($note_nodes as $note_node) {
+		$note_node->parentNode->removeChild($note_node);
+	}
+
+	// remove v-num
+	$verse_num_nodes = $XPath->query("//span[contains(@class,'v-num')]");
+	foreach ($verse_num_nodes as $verse_num_node) {
+		$verse_num_node->parentNode->removeChild($verse_num_node);
+	}
+
+	return $XPath;
+}
+
+// the html of a verse, which can be split over several paragraphs, or null when it isn't in the chapter
+function get_verse_html($XPath, $verseid) {
+	$verse_html = '';
+	$found = FALSE;
+
+	// find matching verses
+	$verse_nodes = $XPath->query("//span[contains(@class,'v')]");
+
+	foreach ($verse_nodes as $verse_node) {
+
+		// need to double check that it's exact (DN1_1, but not DN1_12)
+		if ( preg_match( '/\\b' . $verseid . '\\b/', $verse_node->attributes->getNamedItem('class')->nodeValue ) == 1) {
+			$verse_html .= $verse_node->ownerDocument->saveXML($verse_node);
+			$verse_html .= ' ';
+			$found = TRUE;
+		}
+	}
+
+	if (!$found) {
+		return null;
+	}
+
+	// strange fix for PHP?
+	$verse_html = str_replace('l><', 'l> <', $verse_html);
+	$verse_html = str_replace('<?xml version="1.0"?>','', $verse_html);
+
+	// fix entities
+	return html_entity_decode($verse_html);
+}
+
+
 
 /// DATAT
 $isLemmaRegExp = '/[GgHh]\\d{1,6}/';
@@ -88,28 +708,56 @@ if ($is_stem_enabled && file_exists($word_to_stem_path)) {
 	$word_to_stem = json_decode($word_to_stem_contents, true);	
 }
 
-// SEARCH TYPE
-$search_type = "AND";
-$is_lemma_search = preg_match($isLemmaRegExp, $search);
+// the language decides how words are split
+$info = null;
+$info_path = $index_base_path . '/info.json';
+if (file_exists($info_path)) {
+	$info = json_decode(file_get_contents($info_path), true);
+}
+$lang = isset($info['lang']) ? $info['lang'] : '';
 
+// QUERY
+// the query parsed by SearchTools.parseQuery: faith NOT works, G26 AND love, faith NEAR/3 works
+$query = isset($_GET['query']) ? json_decode($_GET['query'], true) : null;
+if ($query == null) {
+	$query = create_word_query($search, $lang);
+}
+$has_near = query_has_near($query);
+
+// expand bless* into the words of the text starting with bless
+$max_wildcard_terms = 100;
+$output["warnings"] = array();
+$terms_path = $index_base_path . '/index/_terms.json';
+
+if (query_has_wildcard($query) && file_exists($terms_path)) {
+	$dictionary = json_decode(file_get_contents($terms_path), true);
+	expand_wildcards($query, $dictionary, $max_wildcard_terms, $output["warnings"]);
+}
+
+// the words each word was stemmed to
+$stem_words = array();
+$output["stem_info"] = array();
 
 
-// TODO: detect strongs search
 // SPLIT INDEXES, LOAD INDEX FILES
-$indexes = array();
-$words = explode(' ', $search);
+// key => verses, [] when the key isn't in the index, missing when the index couldn't be loaded
+$term_indexes = array();
+$terms = array();
+get_index_terms($query, $terms);
 $path_to_index = '';
 $errors = '';
-foreach ($words as &$word) {
+foreach ($terms as $word => $is_lemma) {
 
+	$word = (string) $word;
 	$path_to_index = $index_base_path;
 	$key = '';
 	$stem = '';
-	
-	if ($is_lemma_search) {
+	$use_stems = !$is_lemma && $is_stem_enabled && $word_to_stem != null;
+
+	if ($is_lemma) {
 		//$path_to_index .= '/indexlemma/' . $word . '.json';
 
-		$key = strtoupper($word);
+		$key = $word;
 
 		$letter = substr($word,0,1);
 		$thousands = '0';
@@ -121,25 +769,26 @@ foreach ($words as &$word) {
 
 
 	} else {
-		
-		if ($is_stem_enabled && $word_to_stem != null) {
-			$stem = $word_to_stem[$word];
-			
-			$key = strtolower($stem);
-			$hashed = hash_word($stem);	
-			
+
+		if ($use_stems) {
+			// words missing from the stems aren't in the text
+			$stem = isset($word_to_stem[$word]) ? $word_to_stem[$word] : $word;
+
+			$key = mb_strtolower($stem);
+			$hashed = hash_word($stem);
+
 			$path_to_index .= '/index/_stems_' . $hashed . '.json';
-			$output['hash'] .= $key . ' = ' . $hashed . '; ';					
-			
+			$output['hash'] .= $key . ' = ' . $hashed . '; ';
+
 			$output['stems'][] = $stem;
 		} else {
-			
-			$key = strtolower($word);
+
+			$key = $word;
 			$hashed = hash_word($word);
-			
+
 			// load index
 			$path_to_index .= '/index/_' . $hashed . '.json';
-			$output['hash'] .= $key . ' = ' . $hashed . '; ';			
+			$output['hash'] .= $key . ' = ' . $hashed . '; ';
 		}
 
 
@@ -153,188 +802,116 @@ foreach ($words as &$word) {
 
 		// store this index along with other words to be combined later
 		if (property_exists($json_data, $key)) {
-			
-			if (!$is_lemma_search && $is_stem_enabled && $word_to_stem != null) {
-				
-				$indexes[] = $json_data->{$key}->{"fragmentids"};
+
+			if ($use_stems) {
+
+				$term_indexes[$word] = $json_data->{$key}->{"fragmentids"};
+				$stem_words[$word] = $json_data->{$key}->{"words"};
 				$output["stem_words"] = array_merge($output["stem_words"],  $json_data->{$key}->{"words"});
+				$output["stem_info"][] = array("word" => $word, "stem" => $stem, "words" => $json_data->{$key}->{"words"});
 
 			} else {
-				$indexes[] = $json_data->{$key};			
+				$term_indexes[$word] = $json_data->{$key};
 			}
 		} else {
-			$errors .= "Can't find key: " . $key . ' in "' . $path_to_index + '"\n';
+			$term_indexes[$word] = array();
+			$errors .= "Can't find key: " . $key . ' in "' . $path_to_index . '"\n';
 		}
 	} else {
 		$errors .= "Can't find index: " . $path_to_index . '\n';
 	}
 }
 
-//echo 'index';
-//echo var_dump($indexes);
-//return;
-
 // Combined index
-$combined_index = array();
-$index_count = count($indexes);
+$combined_index = combine_indexes($query, $term_indexes);
 
-if ($index_count == 0) {
+if ($combined_index === null) {
 	header('Content-type: application/json');
 	$output["success"] = FALSE;
 	$output["errorMessage"] = $errors;
-	echo json_encode( $output );
+	echo
+		($callback != '' ? $callback . '(' : '' ) .
+		json_encode( $output ) .
+		($callback != '' ? ');' : '' );
 	return;
 
 }
 
-
-
-// TODO: add "OR" and strongs
-if ($search_type == "AND") {
-	if ($index_count == 1) {
-		$combined_index = $indexes[0];
-	} else {
-
-		$first_index = $indexes[0];
-
-		// filter down to in all verses
-		$combined_index = array_filter($first_index, function( $val ) {
-			$inOtherArrays = TRUE;
-
-			// get values outside this array's scope
-			global $index_count;
-			global $indexes;
-
-			// go through other arrays
-			for ($ic = 1; $ic < $index_count; $ic++) {
-
-				// if we can't find the verse in any sub arrays then it's not in all
-				if ( !(array_search($val, $indexes[$ic]) > 0)) {
-					$inOtherArrays = FALSE;
-					break;
-				}
-			}
-
-			return $inOtherArrays;
-		});
+// the number of verses with each term, for ranking
+$output["term_counts"] = array();
+$positive_terms = array();
+get_positive_terms($query, $positive_terms);
+foreach ($positive_terms as $term) {
+	$term_fragmentids = combine_indexes($term, $term_indexes);
+	if ($term_fragmentids !== null) {
+		$output["term_counts"][get_term_id($term)] = count($term_fragmentids);
 	}
 }
+if (count($output["term_counts"]) == 0) {
+	$output["term_counts"] = new stdClass();
+}
+
+// unions and NEAR mix the verses up
+if (isset($info['sections'])) {
+	$combined_index = sort_fragments($combined_index, $info['sections']);
+}
 
 
 
 if (is_array($combined_index)) {
 
+	$loaded_chapter = '';
+	$XPath = null;
+
 	// load the data
 	foreach ($combined_index as &$verseid) {
 		//$chapter_code = substr($verseid, 0, 2);;
 		$verse_exploded = explode('_', $verseid);
 		$chapter_code = $verse_exploded[0];
 		$book_code = mb_substr($chapter_code, 0, 2);
-		
-		if (sizeof($divisions) > 0) {			
+
+		if (sizeof($divisions) > 0) {
 			if (!in_array($book_code, $divisions)) {
 				continue;
-			}			
+			}
 		}
-		
-		$verse_html = '';
 
 		// load chapter
-		$path_to_chapter = './content/texts/' . $textid . '/' . $chapter_code . '.html';
+		if ($chapter_code != $loaded_chapter) {
+			$XPath = load_chapter($textid, $chapter_code);
+			$loaded_chapter = $chapter_code;
+		}
 
-		if (!file_exists($path_to_chapter)) {
+		if ($XPath == null) {
 			continue;
 		}
 
-		$file_contents = file_get_contents($path_to_chapter);
+		$verse_html = get_verse_html($XPath, $verseid);
 
-		// suppress HTML5 errors
-		$doc = new DOMDocument();
-
-		$doc->preserveWhiteSpace = true;
-		$doc->formatOutput       = true;
-
-		libxml_use_internal_errors(true);
-		$doc->loadHTML($file_contents);
-		libxml_clear_errors();
-		$XPath = new DOMXPath($doc);
-
-		$doc->preserveWhiteSpace = true;
-		$doc->formatOutput       = true;
-
-		// remove notes
-		$note_nodes = $XPath->query("//span[contains(@class,'note')]");
-		foreach ($note_nodes as $note_node) {
-			$note_node->parentNode->removeChild($note_node);
+		if ($verse_html === null) {
+			continue;
 		}
 
-		// remove v-num
-		$verse_num_nodes = $XPath->query("//span[contains(@class,'v-num')]");
-		foreach ($verse_num_nodes as $verse_num_node) {
-			$verse_num_node->parentNode->removeChild($verse_num_node);
+		// check the verse, and the verses around it for NEAR
+		$context = array(
+			"tokens" => tokenize_verse($verse_html, $lang),
+			"previous" => array(),
+			"next" => array(),
+			"stem_words" => $stem_words
+		);
+
+		if ($has_near) {
+			$verse_number = intval($verse_exploded[1]);
+			$context["previous"] = tokenize_verse((string) get_verse_html($XPath, $chapter_code . '_' . ($verse_number - 1)), $lang);
+			$context["next"] = tokenize_verse((string) get_verse_html($XPath, $chapter_code . '_' . ($verse_number + 1)), $lang);
 		}
 
-		// find matching verses
-		//$xpath_query = "//span[contains(@class,'" . $verseid . "')]";
-		$xpath_query = "//span[contains(@class,'v')]";
-		$verse_nodes = $XPath->query($xpath_query);
-
-		foreach ($verse_nodes as $verse_node) {
-
-			//echo $verse_node->nodeValue;
-
-			// need to double check that it's exact (DN1_1, but not DN1_12)
-			if ( preg_match( '/\\b' . $verseid . '\\b/', $verse_node->attributes->getNamedItem('class')->nodeValue ) == 1) {
-
-
-				$outXML = $verse_node->ownerDocument->saveXML($verse_node);
-				$verse_html .= $outXML;
-
-
-				// I thought this would be better, but ... I guess not
-				/*
-				$xml = new DOMDocument();
-				$xml->preserveWhiteSpace = false;
-				$xml->formatOutput = true;
-				$xml->loadXML($outXML);
-				$verse_html .= $xml->saveXML();
-				*/
-
-				// unnecessary I guess
-				/*
-				foreach($verse_node->childNodes as $child_node) {
-					if (is_object($child_node)) {
-
-						//$verse_html .= $dom->saveHTML($child_node);
-						$verse_html .= $verse_node->ownerDocument->saveHTML($child_node);
-					}
-					$verse_html .= ' ';
-				}
-				*/
-
-				//$verse_html .= $doc->saveHTML($verse_node);
-				// $verse_html .= $verse_node->nodeValue;
-
-				$verse_html .= ' ';
-			}
-
-
-
+		if (!evaluate_query($query, $context)) {
+			continue;
 		}
 
-		// strange fix for PHP?
-		$verse_html = str_replace('l><', 'l> <', $verse_html);
-		$verse_html = str_replace('<?xml version="1.0"?>','', $verse_html);
-
 		// TODO: highlight?
 
-		// fix entities
-		$verse_html = html_entity_decode($verse_html);
-
-		if (is_null($verse_html) || $verse_html == null) {
-			$verse_html = '';
-		}
-
 		// push into array
 		$output['results'][] = array($verseid => $verse_html);
 	}
@@ -46,6 +46,12 @@ var path = require('path');
  * @type {Object}
  */
 var exec = require('child_process').exec;
+/**
+ * The command line arguments passed to gulp
+ *
+ * @type {Object}
+ */
+var argv = require('minimist')(process.argv.slice(2));
 /**
  * The location of the uw grab bibles scripts
  *
@@ -104,6 +110,12 @@ function handleLintError(err) {
   console.log(err.toString());
   this.emit('end');
 }
+/**
+ * The options of the uw grab bibles script that can be passed to the gulp tasks
+ *
+ * @type {Array}
+ */
+var grabBiblesOptions = ['catalog', 'catalog-format', 'languages', 'mirror', 'rewrite', 'concurrency', 'timeout', 'retries', 'lang', 'exclude-lang', 'versions', 'exclude-versions', 'min-checking-level'];
 /**
  * Offer some helpful hints
  */
@@ -112,10 +124,30 @@ gulp.task('help', function() {
   console.log('lint             - Runs jshint on the tests, and all code in the tools/unfolding-word directories.');
   console.log('test             - Runs the mocha tests files in the test directory.');
   console.log('uw:build         - Builds the website by grabbing the latest Bibles, converting them to HTML, and setting them up in the correct directory. (Combines uw:grab-bibles & uw:build-bibles)');
-  console.log('uw:grab-bibles   - Grabs the latest Bible from unfoldingWord, and stores them in the input directory.');
+  console.log('uw:grab-bibles   - Grabs the latest Bible from unfoldingWord, and stores them in the input directory.  Only the books that changed since the last grab are downloaded.');
   console.log('uw:build-bibles  - Builds all the Bibles in the input directory, and sets them up in the correct directory.');
   console.log('watch            - Watches for code changes in the tests & tools/unfolding-word directories.  Then triggers the lint and test tasks.');
   console.log('-----------------------');
+  console.log('uw:build & uw:grab-bibles options:');
+  console.log('--catalog URL|PATH     - The catalog to read the Bibles from.');
+  console.log('--catalog-format NAME  - The format of the catalog (v2 or rc).  It is detected by default.');
+  console.log('--languages URL|PATH   - The list of languages (langnames.json).');
+  console.log('--mirror PATH          - Read every url from a local mirror (ie. PATH/api.unfoldingword.org/uw/txt/2/catalog.json).');
+  console.log('--rewrite FROM=TO      - Rewrite urls starting with FROM to start with TO.');
+  console.log('--concurrency NUMBER   - The number of versions to download at the same time (default 2).');
+  console.log('--timeout MS           - The milliseconds to wait on each usfm file before giving up (default 60000).');
+  console.log('--retries NUMBER       - The number of times to retry a usfm file that failed (default 3).');
+  console.log('--lang CODES           - Only grab these comma separated language codes (ie. en,fr,sw).');
+  console.log('--exclude-lang CODES   - Skip these comma separated language codes.');
+  console.log('--versions SLUGS       - Only grab these comma separated version slugs (ie. ulb,udb).');
+  console.log('--exclude-versions SLUGS - Skip these comma separated version slugs.');
+  console.log('--min-checking-level N - Only grab the versions with at least this checking level.');
+  console.log('-----------------------');
+  console.log('uw:build & uw:build-bibles options:');
+  console.log('--strict               - Fail when the validation report of a version has errors.  The reports are saved in the validation directory.');
+  console.log('--workers NUMBER       - Convert this many versions at the same time in separate processes (default 1).');
+  console.log('--force                - Convert every version, even the ones whose input and generator did not change.');
+  console.log('-----------------------');
 });
 /**
  * Build the site
@@ -125,11 +157,11 @@ gulp.task('help', function() {
 gulp.task('uw:build', function() {
   console.log('Grabbing the latest Bibles from unfoldingWord.');
 
-  executeScript('node ' + grabBiblesScript, function() {
+  executeScript('node ' + grabBiblesScript + getGrabBiblesArguments(), function() {
     console.log('All the Bibles have been downloaded.');
     console.log('Building all the available Bibles.');
 
-    executeScript('node ' + generateScript + ' -a', function() {
+    executeScript('node ' + generateScript + ' -a' + getGenerateArguments(), function() {
       console.log('Adding an index for all the Bibles.');
 
       executeScript('node ' + createIndexScript, function() {
@@ -146,7 +178,7 @@ gulp.task('uw:build', function() {
  */
 gulp.task('uw:grab-bibles', function() {
   console.log('Grabbing the latest Bibles from unfoldingWord.');
-  executeScript('node ' + grabBiblesScript, function() {
+  executeScript('node ' + grabBiblesScript + getGrabBiblesArguments(), function() {
     console.log('All the Bibles have been downloaded.');
   });
 });
@@ -157,7 +189,7 @@ gulp.task('uw:grab-bibles', function() {
  */
 gulp.task('uw:build-bibles', function() {
   console.log('Building all the available Bibles.');
-  executeScript('node ' + generateScript + ' -a', function() {
+  executeScript('node ' + generateScript + ' -a' + getGenerateArguments(), function() {
     console.log('Adding an index for all the Bibles.');
 
     executeScript('node ' + createIndexScript, function() {
@@ -201,7 +233,38 @@ gulp.task('watch', function() {
   });
 });
 /**
- * Run and execute a script
+ * Get the arguments passed to gulp that should be passed on to the uw grab bibles script
+ *
+ * @return {String} the arguments
+ * @access private
+ */
+function getGrabBiblesArguments() {
+  var args = '';
+  grabBiblesOptions.forEach(function(option) {
+    [].concat(argv[option] || []).forEach(function(value) {
+      args += ' --' + option + ' "' + value + '"';
+    });
+  });
+  return args;
+}
+/**
+ * Get the arguments passed to gulp that should be passed on to the generate script
+ *
+ * @return {String} the arguments
+ * @access private
+ */
+function getGenerateArguments() {
+  var args = (argv.strict) ? ' -s' : '';
+  if (argv.force) {
+    args += ' -f';
+  }
+  if (argv.workers) {
+    args += ' -w ' + parseInt(argv.workers, 10);
+  }
+  return args;
+}
+/**
+ * Run and execute a script.  If the script fails, gulp exits with the same exit code.
  *
  * @param  {String} the script to run
  * @return {Void}
@@ -216,6 +279,10 @@ function executeScript(script, callback) {
       console.log(data);
   });
   child.on('close', function(code) {
+      if (code !== 0) {
+        console.log('The script failed with exit code ' + code + ': ' + script);
+        process.exit(code || 1);
+      }
       if (callback) {
         callback();
       }
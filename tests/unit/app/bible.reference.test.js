@@ -0,0 +1,71 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+describe('bible.parseReference', function() {
+
+  var bible;
+
+  /**
+   * The book of the parsed reference, or null
+   */
+  var parseBook = function(textReference) {
+    var reference = bible.parseReference(textReference);
+    return reference === null ? null : reference.bookid;
+  };
+
+  beforeEach(function() {
+    // a new window each time, so the names added by a test don't stay
+    var context = {};
+    context.window = context;
+    vm.createContext(context);
+    ['bible.data.js', 'bible.reference.js'].forEach(function(file) {
+      vm.runInContext(fs.readFileSync(path.join(process.cwd(), 'app', 'js', 'bible', file), 'utf8'), context);
+    });
+    bible = context.bible;
+  });
+
+  it("should read the USFM codes of an exported reference list", function() {
+    parseBook('GEN 1:1').should.equal('GN');
+    parseBook('JHN 3:16').should.equal('JN');
+    parseBook('JOL 2:28').should.equal('JL');
+    parseBook('PSS 1:1').should.equal('SP');
+    bible.parseReference('JHN 3:16').chapterAndVerse().should.equal('3:16');
+  });
+
+  it("should read the USFM code of every book", function() {
+    for (var bookid in bible.BOOK_DATA) {
+      if (bible.BOOK_DATA[bookid].usfm) {
+        parseBook(bible.BOOK_DATA[bookid].usfm + ' 2:3').should.equal(bookid);
+      }
+    }
+  });
+
+  it("should keep reading the abbreviations as the names of their books", function() {
+    parseBook('Jon 1:1').should.equal('JH');
+    parseBook('Jude 5').should.equal('JD');
+    parseBook('Phil 1:1').should.equal('PP');
+    parseBook('Mar 1:1').should.equal('MK');
+  });
+
+  it("should read a localized abbreviation that is the USFM code of another book", function() {
+    bible.addNames('xyz', ['JG'], ['Jud']);
+    parseBook('Jud 3:1').should.equal('JG');
+  });
+
+  it("should read a code in lower case that has no name", function() {
+    parseBook('sng 1:1').should.equal('SS');
+    parseBook('Ezk 1:1').should.equal('EK');
+  });
+
+  it("should return null for an unknown book", function() {
+    should.equal(bible.parseReference('Xyz 1:1'), null);
+  });
+
+});
@@ -0,0 +1,90 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('exportVerses', function() {
+
+  var exportVerses;
+  var textPath;
+
+  before(function() {
+    exportVerses = require(path.join(process.cwd(), 'tools', 'export_verses'));
+    textPath = path.join(process.cwd(), 'tests', 'support', 'files', 'texts', 'uw_notes');
+  });
+
+  describe("Function: getVerses()", function() {
+
+    var verses;
+
+    before(function() {
+      verses = exportVerses.getVerses(fs.readFileSync(path.join(textPath, 'JM1.html'), 'utf8'));
+    });
+
+    it("should return the verses in their order", function() {
+      verses.map(function(verse) { return verse.id; }).should.deep.equal(['JM1_1', 'JM1_2']);
+      verses[0].book.should.equal('JM');
+      verses[0].chapter.should.equal(1);
+      verses[0].verse.should.equal(1);
+    });
+
+    it("should take an inline note out of the text", function() {
+      verses[0].text.should.equal('I, James, serve God and the Lord Jesus Christ.');
+      verses[0].notes.should.deep.equal(['Or slave of God']);
+    });
+
+    it("should find a note in the footnotes list", function() {
+      verses[1].notes.should.deep.equal(['Or brothers and sisters']);
+    });
+
+    it("should join a verse split over two paragraphs", function() {
+      verses[1].text.should.equal('My brothers, count it all joy when you meet trials of various kinds.');
+    });
+
+  });
+
+  describe("Function: exportVersion()", function() {
+
+    var outputPath;
+
+    before(function() {
+      outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'export_verses-'));
+    });
+
+    after(function() {
+      fs.readdirSync(outputPath).forEach(function(file) {
+        fs.unlinkSync(path.join(outputPath, file));
+      });
+      fs.rmdirSync(outputPath);
+    });
+
+    it("should write one verse per line in the TSV", function() {
+      exportVerses.exportVersion(textPath, outputPath).should.equal(2);
+      fs.readFileSync(path.join(outputPath, 'uw_notes.tsv'), 'utf8').split('\n').should.deep.equal([
+        'id\tbook\tchapter\tverse\ttext\tnotes',
+        'JM1_1\tJM\t1\t1\tI, James, serve God and the Lord Jesus Christ.\tOr slave of God',
+        'JM1_2\tJM\t1\t2\tMy brothers, count it all joy when you meet trials of various kinds.\tOr brothers and sisters',
+        ''
+      ]);
+    });
+
+    it("should write the version and its verses in the JSON", function() {
+      exportVerses.exportVersion(textPath, outputPath);
+      var data = JSON.parse(fs.readFileSync(path.join(outputPath, 'uw_notes.json'), 'utf8'));
+      data.id.should.equal('uw_notes');
+      data.lang.should.equal('en');
+      data.verses.length.should.equal(2);
+    });
+
+    it("should skip a folder without an info.json", function() {
+      should.equal(exportVerses.exportVersion(path.join(textPath, '..', 'missing'), outputPath), null);
+    });
+
+  });
+
+});
@@ -0,0 +1,133 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+
+describe('generateEpub', function() {
+
+  var generateEpub;
+  var textPath;
+  var info;
+
+  /**
+   * Read the entries of a zip file in their order: [{name, method, data}]
+   */
+  var readZip = function(buffer) {
+    var entries = [];
+    var offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+      var method = buffer.readUInt16LE(offset + 8);
+      var compressedSize = buffer.readUInt32LE(offset + 18);
+      var nameLength = buffer.readUInt16LE(offset + 26);
+      var extraLength = buffer.readUInt16LE(offset + 28);
+      var dataStart = offset + 30 + nameLength + extraLength;
+      var data = buffer.slice(dataStart, dataStart + compressedSize);
+      entries.push({
+        name: buffer.toString('utf8', offset + 30, offset + 30 + nameLength),
+        method: method,
+        data: (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8')
+      });
+      offset = dataStart + compressedSize;
+    }
+    return entries;
+  };
+
+  before(function() {
+    generateEpub = require(path.join(process.cwd(), 'tools', 'generate_epub'));
+    textPath = path.join(process.cwd(), 'tests', 'support', 'files', 'texts', 'uw_notes');
+    info = JSON.parse(fs.readFileSync(path.join(textPath, 'info.json'), 'utf8'));
+  });
+
+  describe("Function: convertHtml()", function() {
+
+    var converted;
+
+    before(function() {
+      var html = fs.readFileSync(path.join(textPath, 'JM1.html'), 'utf8');
+      converted = generateEpub.convertHtml(html.match(/<body[^>]*>([\s\S]*)<\/body>/)[1], info, 'JM1');
+    });
+
+    it("should remove the website navigation and the footnotes list", function() {
+      converted.html.should.not.contain('class="header"');
+      converted.html.should.not.contain('class="footer"');
+      converted.html.should.not.contain('class="footnotes"');
+      converted.html.should.contain('data-id="JM1_1"');
+    });
+
+    it("should return the text of an inline note", function() {
+      converted.notes[0].should.deep.equal({number: 1, key: 'a', html: 'Or <em>slave</em> of God'});
+    });
+
+    it("should return the text of a note in the footnotes list", function() {
+      converted.notes[1].should.deep.equal({number: 2, key: 'b', html: 'Or <em>brothers and sisters</em>'});
+    });
+
+    it("should replace the notes with noterefs", function() {
+      converted.html.should.contain('God<a class="noteref" epub:type="noteref" id="noteref-1" href="#fn-1">a</a> and');
+      converted.html.should.contain('<a class="noteref" epub:type="noteref" id="noteref-2" href="#fn-2">b</a>');
+      converted.html.should.not.contain('class="note"');
+    });
+
+    it("should write XHTML for a page without a section", function() {
+      var about = generateEpub.convertHtml('<p>notes &amp; footnotes<br></p>', info, null);
+      about.html.should.equal('<p>notes &amp; footnotes<br /></p>');
+      about.notes.should.deep.equal([]);
+    });
+
+  });
+
+  describe("Function: createEpub()", function() {
+
+    var outputPath;
+    var entries;
+
+    before(function() {
+      outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'generate_epub-'));
+      generateEpub.createEpub(textPath, outputPath).should.equal(true);
+      entries = readZip(fs.readFileSync(path.join(outputPath, 'uw_notes.epub')));
+    });
+
+    after(function() {
+      fs.unlinkSync(path.join(outputPath, 'uw_notes.epub'));
+      fs.rmdirSync(outputPath);
+    });
+
+    it("should start with the uncompressed mimetype", function() {
+      entries[0].should.deep.equal({name: 'mimetype', method: 0, data: 'application/epub+zip'});
+    });
+
+    it("should have the container, the package, the pages and the stylesheet", function() {
+      entries.map(function(entry) { return entry.name; }).should.deep.equal([
+        'mimetype',
+        'META-INF/container.xml',
+        'OEBPS/content.opf',
+        'OEBPS/about.xhtml',
+        'OEBPS/nav.xhtml',
+        'OEBPS/JM1.xhtml',
+        'OEBPS/style.css'
+      ]);
+    });
+
+    it("should point the container to the package", function() {
+      entries[1].data.should.contain('full-path="OEBPS/content.opf"');
+    });
+
+    it("should add the notes of a chapter as popup notes", function() {
+      var chapter = entries[5].data;
+      chapter.should.contain('<aside class="footnote" epub:type="footnote" id="fn-1"><p><a href="#noteref-1">a</a> Or <em>slave</em> of God</p></aside>');
+      chapter.should.contain('<aside class="footnote" epub:type="footnote" id="fn-2"><p><a href="#noteref-2">b</a> Or <em>brothers and sisters</em></p></aside>');
+    });
+
+    it("should not package a folder without an info.json", function() {
+      generateEpub.createEpub(path.join(textPath, '..', 'missing'), outputPath).should.equal(false);
+    });
+
+  });
+
+});
@@ -0,0 +1,69 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('indexToStems', function() {
+
+  var indexToStems;
+  var versionPath;
+
+  before(function() {
+    indexToStems = require(path.join(process.cwd(), 'tools', 'indextostems'));
+  });
+
+  beforeEach(function() {
+    versionPath = fs.mkdtempSync(path.join(os.tmpdir(), 'indextostems-'));
+    fs.mkdirSync(path.join(versionPath, 'index'));
+    fs.writeFileSync(path.join(versionPath, 'index', '_0.json'), JSON.stringify({
+      dikasihi: ['JN3_16'],
+      kasih: ['J14_8'],
+      kasihku: ['JN15_9']
+    }));
+    fs.writeFileSync(path.join(versionPath, 'index', '_terms.json'), JSON.stringify(['dikasihi', 'kasih', 'kasihku']));
+  });
+
+  afterEach(function() {
+    var indexPath = path.join(versionPath, 'index');
+    fs.readdirSync(indexPath).forEach(function(file) {
+      fs.unlinkSync(path.join(indexPath, file));
+    });
+    fs.rmdirSync(indexPath);
+    fs.rmdirSync(versionPath);
+  });
+
+  describe("Function: create_stems_index()", function() {
+
+    it("should stem the words of the index with the stemmer of the language", function() {
+      indexToStems.create_stems_index('uw_id_ayt', {name: 'Alkitab', abbr: 'AYT', lang: 'ind'}, versionPath);
+      var stems = JSON.parse(fs.readFileSync(path.join(versionPath, 'index', 'stems.json'), 'utf8'));
+      stems.should.deep.equal({dikasihi: 'kasih', kasih: 'kasih', kasihku: 'kasih'});
+    });
+
+    it("should join the verses of the words with the same stem", function() {
+      indexToStems.create_stems_index('uw_id_ayt', {name: 'Alkitab', abbr: 'AYT', lang: 'id'}, versionPath);
+      var stemsIndex = {};
+      fs.readdirSync(path.join(versionPath, 'index')).forEach(function(file) {
+        if (/^_stems_\d+\.json$/.test(file)) {
+          var data = JSON.parse(fs.readFileSync(path.join(versionPath, 'index', file), 'utf8'));
+          for (var key in data) {
+            stemsIndex[key] = data[key];
+          }
+        }
+      });
+      stemsIndex.kasih.fragmentids.should.deep.equal(['JN3_16', 'JN15_9', 'J14_8']);
+    });
+
+    it("should not write the stems for a language without a stemmer", function() {
+      indexToStems.create_stems_index('uw_th_ulb', {name: 'Thai', abbr: 'TH', lang: 'tha'}, versionPath);
+      fs.existsSync(path.join(versionPath, 'index', 'stems.json')).should.equal(false);
+    });
+
+  });
+
+});
@@ -0,0 +1,179 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var path = require('path');
+
+describe('searchServer', function() {
+
+  var searchServer;
+
+  /**
+   * Search the uw_three_verses test text with the given query object and return the fragmentids found
+   */
+  var search = function(params, done, check) {
+    params.textid = params.textid || 'uw_three_verses';
+    searchServer.search(params, function(output) {
+      var fragmentids = [];
+      for (var i = 0; i < output.results.length; i++) {
+        fragmentids = fragmentids.concat(Object.keys(output.results[i]));
+      }
+      try {
+        check(output, fragmentids);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    });
+  };
+
+  before(function() {
+    searchServer = require(path.join(process.cwd(), 'tools', 'search_server'));
+    searchServer.setContentPath(path.join(process.cwd(), 'tests', 'support', 'files', 'texts'));
+  });
+
+  describe("Function: search()", function() {
+
+    it("should find the verses of the search words", function(done) {
+      search({search: 'god'}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_1', 'JM1_3']);
+      });
+    });
+
+    it("should find the verses of a parsed query", function(done) {
+      search({query: JSON.stringify({type: 'and', children: [{type: 'term', key: 'god'}, {type: 'term', key: 'hardships'}]})}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_3']);
+      });
+    });
+
+    it("should expand the wildcards with the terms of the text", function(done) {
+      search({search: 'hard*'}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_2', 'JM1_3']);
+      });
+    });
+
+    it("should fail for an unknown text", function(done) {
+      search({textid: '../uw_three_verses', search: 'god'}, done, function(output) {
+        output.success.should.equal(false);
+        output.errorMessage.should.equal('Unknown text: ../uw_three_verses');
+      });
+    });
+
+  });
+
+  describe("Notes and verse numbers", function() {
+
+    it("should ignore the words of a note in a NOT query", function(done) {
+      search({query: JSON.stringify({type: 'and', children: [{type: 'term', key: 'god'}, {type: 'not', child: {type: 'term', key: 'slave'}}]})}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_1', 'JM1_3']);
+      });
+    });
+
+    it("should ignore the words of a note in a phrase", function(done) {
+      search({search: '"serve god and am"'}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_1']);
+      });
+    });
+
+    it("should return the verses without their notes", function(done) {
+      search({search: 'god'}, done, function(output) {
+        output.results[0].JM1_1.should.not.contain('slave');
+        output.results[0].JM1_1.should.not.contain('class="note"');
+      });
+    });
+
+  });
+
+  describe("Malformed and hostile queries", function() {
+
+    it("should use the search words when the query is not JSON", function(done) {
+      search({query: '{"type": "term", "key"', search: 'god'}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_1', 'JM1_3']);
+      });
+    });
+
+    it("should fail when the query has an unknown node type", function(done) {
+      search({query: JSON.stringify({type: 'regexp', key: '.*'})}, done, function(output) {
+        output.success.should.equal(false);
+        output.errorMessage.should.equal('Nothing to search for');
+      });
+    });
+
+    it("should fail when the query is nested too deep", function(done) {
+      var query = {type: 'term', key: 'god'};
+      for (var i = 0; i < 100; i++) {
+        query = {type: 'not', child: query};
+      }
+      search({query: JSON.stringify(query)}, done, function(output) {
+        output.success.should.equal(false);
+        output.errorMessage.should.equal('Nothing to search for');
+      });
+    });
+
+    it("should fail when the distance of a NEAR is not a number", function(done) {
+      var near = {type: 'near', distance: '5', children: [{type: 'term', key: 'god'}, {type: 'term', key: 'trust'}]};
+      search({query: JSON.stringify(near)}, done, function(output) {
+        output.success.should.equal(false);
+      });
+    });
+
+    it("should fail when the distance of a NEAR is negative", function(done) {
+      var near = {type: 'near', distance: -1, children: [{type: 'term', key: 'god'}, {type: 'term', key: 'trust'}]};
+      search({query: JSON.stringify(near)}, done, function(output) {
+        output.success.should.equal(false);
+      });
+    });
+
+    it("should not stop on a wildcard that is not a valid regular expression", function(done) {
+      search({query: JSON.stringify({type: 'term', key: '(*', isWildcard: true})}, done, function(output) {
+        output.success.should.equal(false);
+        output.errorMessage.should.equal('Nothing to search for');
+      });
+    });
+
+    it("should remove the regular expression characters of a wildcard", function(done) {
+      search({query: JSON.stringify({type: 'term', key: 'g[o+d*', isWildcard: true})}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_1', 'JM1_3']);
+      });
+    });
+
+    it("should ignore the stemWords sent by the browser", function(done) {
+      search({query: JSON.stringify({type: 'term', key: 'god', stemWords: 'not a list'})}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_1', 'JM1_3']);
+      });
+    });
+
+    it("should ignore the isLemma and isWildcard flags sent by the browser", function(done) {
+      search({query: JSON.stringify({type: 'term', key: 'god', isLemma: true, isWildcard: true})}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_1', 'JM1_3']);
+      });
+    });
+
+    it("should ignore the expansions sent by the browser", function(done) {
+      search({query: JSON.stringify({type: 'term', key: 'hard*', isWildcard: true, expansions: ['god', 'twelve']})}, done, function(output, fragmentids) {
+        output.success.should.equal(true);
+        fragmentids.should.deep.equal(['JM1_2', 'JM1_3']);
+      });
+    });
+
+    it("should fail when a phrase has words that are not strings", function(done) {
+      search({query: JSON.stringify({type: 'phrase', words: ['trust', {toString: 'god'}]})}, done, function(output) {
+        output.success.should.equal(false);
+        output.errorMessage.should.equal('Nothing to search for');
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,101 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var path = require('path');
+
+describe("Catalog: Resource Container", function() {
+  var catalog;
+  var testFilePath;
+
+  before(function() {
+    catalog = require(path.join(process.cwd(), 'tools', 'unfolding-word', 'lib', 'catalogs', 'rc-catalog'));
+    testFilePath = path.join(process.cwd(), 'tests', 'support', 'files', 'catalogs');
+  });
+
+  describe("Door43 Catalog", function() {
+    var body;
+
+    before(function() {
+      body = fs.readFileSync(path.join(testFilePath, 'door43-catalog.json'), 'utf8');
+    });
+
+    it("should read the catalog", function() {
+      catalog.canRead(body, 'https://api.door43.org/v3/catalog.json').should.equal(true);
+    });
+
+    it("should not read the version 2 catalog", function() {
+      catalog.canRead(JSON.stringify({cat: []}), 'https://api.unfoldingword.org/uw/txt/2/catalog.json').should.equal(false);
+    });
+
+    it("should only return the Bible versions", function() {
+      var versions = catalog.getVersions(body, 'https://api.door43.org/v3/catalog.json');
+      versions.length.should.equal(1);
+      versions[0].slug.should.equal('ulb');
+    });
+
+    it("should map the resource onto the version", function() {
+      var version = catalog.getVersions(body, 'https://api.door43.org/v3/catalog.json')[0];
+      version.lang.should.equal('en');
+      version.language.should.deep.equal({lc: 'en', ln: 'English', ld: 'ltr'});
+      version.name.should.equal('Unlocked Literal Bible');
+      version.mod.should.equal('2017-05-19T00:00:00+00:00');
+      version.status.should.deep.equal({
+        checking_entity:  'Wycliffe Associates',
+        checking_level:   '3',
+        comments:         'Original source text',
+        contributors:     'Wycliffe Associates, Door43 World Missions Community',
+        publish_date:     '2017-05-19',
+        version:          '12'
+      });
+    });
+
+    it("should return the usfm file of each project named in book order", function() {
+      var version = catalog.getVersions(body, 'https://api.door43.org/v3/catalog.json')[0];
+      version.files.should.deep.equal([
+        {
+          src:      'https://cdn.door43.org/en/ulb/v12/gen.usfm',
+          mod:      '2017-05-20T00:00:00+00:00',
+          filename: '01-GEN.usfm'
+        },
+        {
+          src:      'https://cdn.door43.org/en/ulb/v12/mat.usfm',
+          mod:      '2017-05-19T00:00:00+00:00',
+          filename: '40-MAT.usfm'
+        }
+      ]);
+    });
+
+  });
+
+  describe("manifest.yaml", function() {
+    var body;
+
+    before(function() {
+      body = fs.readFileSync(path.join(testFilePath, 'rc', 'manifest.yaml'), 'utf8');
+    });
+
+    it("should read the manifest", function() {
+      catalog.canRead(body, 'https://git.door43.org/sw_udb/manifest.yaml').should.equal(true);
+    });
+
+    it("should return the version with the files relative to the manifest", function() {
+      var versions = catalog.getVersions(body, 'https://git.door43.org/sw_udb/manifest.yaml');
+      versions.length.should.equal(1);
+      versions[0].slug.should.equal('udb');
+      versions[0].lang.should.equal('sw');
+      versions[0].status.checking_level.should.equal('2');
+      versions[0].files.should.deep.equal([
+        {
+          src:      'https://git.door43.org/sw_udb/content/59-JAS.usfm',
+          mod:      '2017-05-19',
+          filename: '59-JAS.usfm'
+        }
+      ]);
+    });
+
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var path = require('path');
+var uwFeedData = {"cat":[{"langs":[{"lc":"en","mod":"1437687666","vers":[{"mod":"1437687666","name":"Unlocked Dynamic Bible","slug":"udb","status":{"checking_level":"3"},"toc":[{"mod":"1437687666","slug":"gen","src":"https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm","title":"Genesis"}]}]}],"slug":"bible","title":"Bible"},{"langs":[{"lc":"en","vers":[{"name":"Open Bible Stories","slug":"obs","toc":[]}]}],"slug":"obs","title":"Open Bible Stories"}],"mod":1437687666};
+
+describe("Catalog: v2", function() {
+  var catalog;
+
+  before(function() {
+    catalog = require(path.join(process.cwd(), 'tools', 'unfolding-word', 'lib', 'catalogs', 'v2-catalog'));
+  });
+
+  describe("canRead()", function() {
+
+    it("should read the version 2 catalog", function() {
+      catalog.canRead(JSON.stringify(uwFeedData), 'catalog.json').should.equal(true);
+    });
+
+    it("should not read other catalogs", function() {
+      catalog.canRead(JSON.stringify({languages: []}), 'catalog.json').should.equal(false);
+      catalog.canRead('dublin_core:', 'manifest.yaml').should.equal(false);
+    });
+
+  });
+
+  describe("getVersions()", function() {
+
+    it("should only return the Bible versions", function() {
+      var expected = [
+        {
+          lang:   'en',
+          slug:   'udb',
+          name:   'Unlocked Dynamic Bible',
+          mod:    '1437687666',
+          status: {checking_level: '3'},
+          files:  [
+            {
+              src: 'https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm',
+              mod: '1437687666'
+            }
+          ]
+        }
+      ];
+      catalog.getVersions(JSON.stringify(uwFeedData), 'catalog.json').should.deep.equal(expected);
+    });
+
+  });
+});
@@ -77,5 +77,71 @@ describe("Parser: USFM", function() {
       data[0].should.deep.equal(expected);
     });
 
+    it("should keep the numbers in the text of table cells", function() {
+      var line = '\\tr \\tc1 Reuben \\tcr2 46,500';
+      var data = usfm.parseLine(line);
+      data.length.should.equal(3);
+      data[2].key.should.equal('tcr2');
+      data[2].number.should.equal('');
+      data[2].text.should.equal('46,500');
+    });
+
+    it("should return the attributes of a word", function() {
+      var line = '\\w In|lemma="ἐν" strong="G17220" x-morph="Gr,P,,,,,D,,,"\\w*,';
+      var data = usfm.parseLine(line);
+      data.length.should.equal(2);
+      data[0].key.should.equal('w');
+      data[0].text.should.equal('In');
+      data[0].attributes.should.deep.equal({
+        lemma:      'ἐν',
+        strong:     'G17220',
+        'x-morph':  'Gr,P,,,,,D,,,'
+      });
+      data[1].key.should.equal('w*');
+      data[1].text.should.equal(',');
+    });
+
+    it("should handle milestones", function() {
+      var line = '\\zaln-s |x-strong="G35880" x-content="Ὁ"\\*\\w The\\w*\\zaln-e\\*,';
+      var data = usfm.parseLine(line);
+      data.length.should.equal(6);
+      data[0].key.should.equal('zaln-s');
+      data[0].text.should.equal('');
+      data[0].attributes.should.deep.equal({'x-strong': 'G35880', 'x-content': 'Ὁ'});
+      data[1].key.should.equal('*');
+      data[4].key.should.equal('zaln-e');
+      data[5].key.should.equal('*');
+      data[5].text.should.equal(',');
+    });
+
+    it("should use the lemma as the default attribute", function() {
+      var line = '\\w gracious|grace\\w*';
+      var data = usfm.parseLine(line);
+      data[0].text.should.equal('gracious');
+      data[0].attributes.should.deep.equal({lemma: 'grace'});
+    });
+
+    it("should keep the + on nested character styles", function() {
+      var line = '\\bd twelve \\+it tribes\\+it*\\bd*';
+      var data = usfm.parseLine(line);
+      data.length.should.equal(4);
+      data[1].key.should.equal('+it');
+      data[1].text.should.equal('tribes');
+      data[2].key.should.equal('+it*');
+    });
+
+    it("should keep the space that follows a closing tag", function() {
+      var line = '\\v 1 the \\nd Lord\\nd* Jesus';
+      var expected = {
+        key:    'nd*',
+        number: '',
+        text:   ' Jesus',
+        order:  3
+      };
+      var data = usfm.parseLine(line);
+      data.length.should.equal(3);
+      data[2].should.deep.equal(expected);
+    });
+
   });
 });
@@ -40,7 +40,8 @@ describe('uwGenerateUsfm', function() {
     });
     testFilePath = path.join(process.cwd(), 'tests', 'support', 'usfm_test_files');
     indexerStub = {
-      indexVerse: sinon.stub()
+      indexVerse: sinon.stub(),
+      indexStrongs: sinon.stub()
     };
     mockery.registerMock('../verse_indexer', indexerStub);
     uw = require(path.join(process.cwd(), 'tools', 'unfolding-word', 'uw-generate-usfm'));
@@ -495,6 +496,242 @@ describe('uwGenerateUsfm', function() {
 
       });
 
+        describe("Word Attributes", function() {
+
+          it("should wrap words with strong numbers and morphology in l elements", function() {
+            var inputBasePath = path.join(testFilePath, 'word_attributes');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            var words = c('span.J31_1 l');
+            words.length.should.equal(5);
+            words.eq(1).text().should.equal('πρεσβύτερος');
+            words.eq(1).attr('s').should.equal('G4245');
+            words.eq(1).attr('m').should.equal('Gr,NS,,,,NMS,');
+          });
+
+          it("should format the strong numbers the way the app expects them", function() {
+            var inputBasePath = path.join(testFilePath, 'word_attributes');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            c('span.J31_1 l').eq(4).attr('s').should.equal('G27');
+            c('span.J31_2 l').first().attr('s').should.equal('H7225');
+          });
+
+          it("should index the strong numbers of the words", function() {
+            var inputBasePath = path.join(testFilePath, 'word_attributes');
+            indexerStub.indexStrongs.reset();
+            uw.generate(inputBasePath, baseInfoJson, true, function(){}, function() {});
+            indexerStub.indexStrongs.callCount.should.equal(6);
+            indexerStub.indexStrongs.firstCall.args[0].should.equal('J31_1');
+            indexerStub.indexStrongs.firstCall.args[1].should.equal('G3588');
+            indexerStub.indexStrongs.lastCall.args[0].should.equal('J31_2');
+            indexerStub.indexStrongs.lastCall.args[1].should.equal('H7225');
+            indexerStub.indexStrongs.reset();
+          });
+
+          it("should not index the strong numbers if the index is not requested", function() {
+            var inputBasePath = path.join(testFilePath, 'word_attributes');
+            indexerStub.indexStrongs.reset();
+            uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            indexerStub.indexStrongs.called.should.equal(false);
+          });
+
+          it("should wrap words without attributes in a span", function() {
+            var inputBasePath = path.join(testFilePath, 'word_attributes');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            c('span.J31_1 span.w').text().should.equal('elder');
+          });
+
+          it("should seperate the words on each line with a space", function() {
+            var expected = 'Ὁ πρεσβύτερος Γαΐῳ τῷ ἀγαπητῷ, elder';
+            var inputBasePath = path.join(testFilePath, 'word_attributes');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            c('span.J31_1').text().trim().should.equal(expected);
+          });
+
+        });
+
+        describe("Alignments", function() {
+
+          afterEach(function() {
+            uw.outputAlignment = false;
+          });
+
+          it("should remove the milestones from the verse text", function() {
+            var inputBasePath = path.join(testFilePath, 'alignments');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            c('span.J31_1').text().trim().should.equal('The elder to Gaius,');
+          });
+
+          it("should not add the milestones to the unparsed tags", function() {
+            var inputBasePath = path.join(testFilePath, 'alignments');
+            uw.unparsedTags = [];
+            uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            uw.unparsedTags.should.deep.equal([]);
+          });
+
+          it("should not add the alignment attributes by default", function() {
+            var inputBasePath = path.join(testFilePath, 'alignments');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            c('span.w[data-strong]').length.should.equal(0);
+          });
+
+          it("should add the alignment attributes to the aligned words if requested", function() {
+            var inputBasePath = path.join(testFilePath, 'alignments');
+            uw.outputAlignment = true;
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            var words = c('span.J31_1 span.w');
+            words.length.should.equal(4);
+            words.eq(1).attr('data-strong').should.equal('G3588');
+            words.eq(1).attr('data-lemma').should.equal('ὁ');
+            words.eq(1).attr('data-content').should.equal('Ὁ');
+            words.eq(1).attr('title').should.equal('Ὁ');
+            (typeof words.eq(2).attr('data-strong')).should.equal('undefined');
+            words.eq(3).attr('data-strong').should.equal('G1050');
+            words.eq(3).attr('data-morph').should.equal('Gr,N,,,,,DMS,');
+          });
+
+          it("should wrap the aligned words in l elements with the aligned strong numbers", function() {
+            var inputBasePath = path.join(testFilePath, 'alignments');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            var lemmas = c('span.J31_1 l');
+            lemmas.length.should.equal(3);
+            lemmas.eq(0).attr('s').should.equal('G3588');
+            lemmas.eq(0).find('span.w').text().should.equal('The');
+            lemmas.eq(1).attr('s').should.equal('G3588');
+            lemmas.eq(2).attr('s').should.equal('G1050');
+            c('span.J31_1 > span.w').text().should.equal('to');
+          });
+
+          it("should index the strong numbers of the aligned words", function() {
+            var inputBasePath = path.join(testFilePath, 'alignments');
+            indexerStub.indexStrongs.reset();
+            uw.generate(inputBasePath, baseInfoJson, true, function(){}, function() {});
+            indexerStub.indexStrongs.callCount.should.equal(3);
+            indexerStub.indexStrongs.firstCall.calledWith('J31_1', 'G3588').should.equal(true);
+            indexerStub.indexStrongs.thirdCall.calledWith('J31_1', 'G1050').should.equal(true);
+            indexerStub.indexStrongs.reset();
+          });
+
+          it("should index the verse without the milestones", function() {
+            var inputBasePath = path.join(testFilePath, 'alignments');
+            indexerStub.indexVerse.reset();
+            uw.generate(inputBasePath, baseInfoJson, true, function(){}, function() {});
+            indexerStub.indexVerse.firstCall.args[1].trim().should.equal('The elder to Gaius,');
+            indexerStub.indexVerse.reset();
+          });
+
+        });
+
+        describe("Tables", function() {
+
+          it("should create a table with a row for each tr tag", function() {
+            var inputBasePath = path.join(testFilePath, 'tables');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            c('table.t').length.should.equal(1);
+            c('table.t tr').length.should.equal(4);
+            c('div.p').eq(0).find('table').length.should.equal(0);
+            c('div.p').eq(1).find('span.v').first().hasClass('NU1_4').should.equal(true);
+          });
+
+          it("should create the header and right aligned cells", function() {
+            var inputBasePath = path.join(testFilePath, 'tables');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            var headers = c('table.t tr').first().children('th');
+            headers.length.should.equal(3);
+            headers.eq(0).text().trim().should.equal('Tribe');
+            headers.eq(2).hasClass('thr').should.equal(true);
+            var cells = c('table.t tr').eq(1).children('td');
+            cells.length.should.equal(3);
+            cells.eq(0).hasClass('tc').should.equal(true);
+            cells.eq(2).hasClass('tcr').should.equal(true);
+            cells.eq(2).text().trim().should.equal('46,500');
+          });
+
+          it("should span the columns of a cell with a range", function() {
+            var inputBasePath = path.join(testFilePath, 'tables');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            var total = c('table.t tr').last().children('td').first();
+            total.attr('colspan').should.equal('2');
+            total.text().trim().should.equal('Total');
+          });
+
+          it("should keep the verses in the cells", function() {
+            var inputBasePath = path.join(testFilePath, 'tables');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            var cells = c('table.t tr').eq(1).children('td');
+            cells.eq(0).find('span.v-num').first().hasClass('v-2').should.equal(true);
+            cells.eq(0).find('span.v').first().hasClass('NU1_2').should.equal(true);
+            cells.eq(1).find('span.v').first().hasClass('NU1_2').should.equal(true);
+            cells.eq(2).find('span.v').first().hasClass('NU1_2').should.equal(true);
+          });
+
+          it("should index the text of the cells with the verse", function() {
+            var inputBasePath = path.join(testFilePath, 'tables');
+            indexerStub.indexVerse.reset();
+            uw.generate(inputBasePath, baseInfoJson, true, function(){}, function() {});
+            indexerStub.indexVerse.secondCall.args[0].should.equal('NU1_2');
+            indexerStub.indexVerse.secondCall.args[1].replace(/\s+/g, ' ').trim().should.equal('Reuben Elizur 46,500');
+            indexerStub.indexVerse.reset();
+          });
+
+        });
+
+        describe("Character Styles", function() {
+
+          it("should wrap the text with the class of the character style", function() {
+            var inputBasePath = path.join(testFilePath, 'character_styles');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            c('span.pn').text().should.equal('James');
+            c('span.nog').text().should.equal('Lord');
+            c('span.add').text().should.equal('Greetings');
+            c('span.em').text().should.equal('all joy');
+            c('span.sc').text().should.equal('brothers');
+            c('span.bdit').text().should.equal('various');
+            c('span.k').text().should.equal('testing');
+            c('span.tl').text().should.equal('hupomone');
+            c('span.ord').text().should.equal('st');
+            c('span.wj').hasClass('woj').should.equal(true);
+            c('span.bk').text().should.equal('Law');
+            c('span.sig').text().should.equal('James');
+          });
+
+          it("should handle nested character styles", function() {
+            var inputBasePath = path.join(testFilePath, 'character_styles');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            c('span.bd').text().should.equal('twelve tribes');
+            c('span.bd').children('span.it').text().should.equal('tribes');
+          });
+
+          it("should keep the text that follows the character style", function() {
+            var expected = 'James, a servant of God and of the Lord Jesus Christ, to the twelve tribes in the dispersion: Greetings.';
+            var inputBasePath = path.join(testFilePath, 'character_styles');
+            var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            var c = cheerio.load(result.chapterData[0].html);
+            c('span.JM1_1').text().should.equal(expected);
+          });
+
+          it("should not add the character styles to the unparsed tags", function() {
+            var inputBasePath = path.join(testFilePath, 'character_styles');
+            uw.unparsedTags = [];
+            uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+            uw.unparsedTags.should.deep.equal([]);
+          });
+
+        });
+
       describe("Return Data: indexLemmaData", function() {
 
         it("should return an empty object by default", function() {
@@ -543,6 +780,111 @@ describe('uwGenerateUsfm', function() {
 
     });
 
+    describe("Indexing Verse With Character Styles", function() {
+
+      it("should index the text inside and after the character styles", function() {
+        var verse1 = 'James, a servant of God and of the Lord Jesus Christ, to the twelve tribes in the dispersion: Greetings.';
+        var inputBasePath = path.join(testFilePath, 'character_styles');
+        indexerStub.indexVerse.reset();
+        uw.generate(inputBasePath, baseInfoJson, true, function(){}, function() {});
+        indexerStub.indexVerse.firstCall.calledWith('JM1_1', verse1).should.be.equal(true);
+      });
+
+    });
+
+    describe("Return Data: validationReport", function() {
+
+      var getIssues = function(report, type) {
+        return report.issues.filter(function(issue) {
+          return issue.type === type;
+        });
+      };
+
+      it("should return an empty report for valid books", function() {
+        var inputBasePath = path.join(testFilePath, 'three_verses');
+        var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+        result.validationReport.should.deep.equal({id: 'uw_en_udb', errors: 0, warnings: 0, issues: []});
+        uw.validationReport.should.equal(result.validationReport);
+      });
+
+      it("should count the errors and warnings", function() {
+        var inputBasePath = path.join(testFilePath, 'validation');
+        var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+        result.validationReport.errors.should.equal(7);
+        result.validationReport.warnings.should.equal(2);
+      });
+
+      it("should report the missing toc headers", function() {
+        var inputBasePath = path.join(testFilePath, 'validation');
+        var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+        var issues = getIssues(result.validationReport, 'missing-toc');
+        issues.length.should.equal(1);
+        issues[0].level.should.equal('warning');
+        issues[0].message.should.equal('The book is missing the \\toc2 marker.');
+      });
+
+      it("should report unknown markers with their location", function() {
+        var inputBasePath = path.join(testFilePath, 'validation');
+        var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+        getIssues(result.validationReport, 'unknown-marker').should.deep.equal([{
+          level:    'warning',
+          type:     'unknown-marker',
+          message:  'The marker \\zz is not supported.',
+          file:     '59-JAS.usfm',
+          book:     'JAS',
+          chapter:  1,
+          verse:    '2',
+          line:     13
+        }]);
+      });
+
+      it("should report missing and out of order verses", function() {
+        var inputBasePath = path.join(testFilePath, 'validation');
+        var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+        var missing = getIssues(result.validationReport, 'missing-verse');
+        missing.length.should.equal(1);
+        missing[0].message.should.equal('Verse 2 is missing.');
+        missing[0].verse.should.equal('3');
+        var outOfOrder = getIssues(result.validationReport, 'out-of-order-verse');
+        outOfOrder.length.should.equal(1);
+        outOfOrder[0].message.should.equal('Verse 2 follows verse 3.');
+        outOfOrder[0].line.should.equal(12);
+      });
+
+      it("should report unclosed footnotes and character styles where they started", function() {
+        var inputBasePath = path.join(testFilePath, 'validation');
+        var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+        var footnotes = getIssues(result.validationReport, 'unclosed-footnote');
+        footnotes.length.should.equal(1);
+        footnotes[0].line.should.equal(11);
+        var styles = getIssues(result.validationReport, 'unclosed-character-style');
+        styles.length.should.equal(2);
+        styles[0].message.should.equal('The \\wj was not closed.');
+        styles[0].line.should.equal(10);
+        styles[1].message.should.equal('The \\nd was not closed.');
+        styles[1].chapter.should.equal(3);
+        getIssues(result.validationReport, 'unmatched-character-style').length.should.equal(1);
+      });
+
+      it("should report chapters with no verses", function() {
+        var inputBasePath = path.join(testFilePath, 'validation');
+        var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+        var issues = getIssues(result.validationReport, 'empty-chapter');
+        issues.length.should.equal(1);
+        issues[0].message.should.equal('Chapter 2 has no verses.');
+      });
+
+      it("should report books missing the id and skip them", function() {
+        var inputBasePath = path.join(testFilePath, 'validation_missing_id');
+        var result = uw.generate(inputBasePath, baseInfoJson, false, function(){}, function() {});
+        result.validationReport.errors.should.equal(1);
+        result.validationReport.issues[0].type.should.equal('missing-id');
+        result.validationReport.issues[0].file.should.equal('59-JAS.usfm');
+        result.chapterData.length.should.equal(0);
+      });
+
+    });
+
     describe("Bug Fixes", function() {
       /**
        * If you look at John 3:16 on the web site, you will see it ends with "should not perish but" leaving off the rest.
@@ -11,6 +11,7 @@ var uwLangData = [{"ln": "English","lc": "en","cc": ["NG"],"ld": "ltr","ang": "E
 var englishData = {iso639_1: 'en',iso639_2: 'eng',iso639_2en: 'eng',iso639_3: 'eng',name: [ 'English' ],nativeName: [ 'English' ],direction: 'LTR'};
 var fs = require('fs');
 var path = require('path');
+var crypto = require('crypto');
 
 describe('uwGrabAvailableTexts', function() {
 
@@ -35,10 +36,15 @@ describe('uwGrabAvailableTexts', function() {
     requestStub = sinon.stub();
     mkdirpStub = sinon.stub();
     fileSystemStub = {
-      writeFileSync: sinon.stub()
+      writeFileSync: sinon.stub(),
+      existsSync: sinon.stub().returns(false),
+      readFileSync: sinon.stub(),
+      renameSync: sinon.stub(),
+      unlinkSync: sinon.stub()
     };
+    delStub.sync = sinon.stub();
     exports.Download = function(options) {};
-    downloadStub = sinon.stub(exports, 'Download').returns({get: sinon.stub(), dest: sinon.stub(), run: sinon.stub()});
+    downloadStub = sinon.stub(exports, 'Download').returns({get: sinon.stub(), dest: sinon.stub(), rename: sinon.stub(), run: sinon.stub()});
 
     mockery.registerMock('del', delStub);
     mockery.registerMock('request', requestStub);
@@ -52,9 +58,33 @@ describe('uwGrabAvailableTexts', function() {
     uw.languageData = uwLangData;
   });
 
-  it("should prepare the input folder by removing the old uw_ directories", function() {
+  it("should prepare the input folder by removing the uw_ directories no longer in the catalog", function() {
+    requestStub.withArgs(uw.languagesUrl).yields(null, {statusCode: 200}, JSON.stringify(uwLangData));
+    requestStub.withArgs(uw.catalogUrl).yields(null, {statusCode: 200}, JSON.stringify(uwFeedData));
     uw.process();
     delStub.called.should.be.equal(true);
+    var patterns = delStub.firstCall.args[0];
+    patterns.should.include(path.join(uw.destinationFolder, 'uw_*'));
+    patterns.should.include('!' + path.join(uw.destinationFolder, 'uw_en_udb'));
+    patterns.should.include('!' + path.join(uw.destinationFolder, 'uw_en_ulb'));
+  });
+
+  it("should keep the versions skipped by the filters when preparing the input folder", function() {
+    fileSystemStub.existsSync.returns(true);
+    fileSystemStub.readFileSync.returns(JSON.stringify({versions: {uw_en_udb: {files: {}}, uw_fr_old: {files: {}}}}));
+    requestStub.withArgs(uw.languagesUrl).yields(null, {statusCode: 200}, JSON.stringify(uwLangData));
+    requestStub.withArgs(uw.catalogUrl).yields(null, {statusCode: 200}, JSON.stringify(uwFeedData));
+    delStub.reset();
+    uw.includeVersions = ['ulb'];
+    uw.process();
+    uw.includeVersions = [];
+    fileSystemStub.existsSync.returns(false);
+    fileSystemStub.readFileSync.resetBehavior();
+    var patterns = delStub.firstCall.args[0];
+    patterns.should.include('!' + path.join(uw.destinationFolder, 'uw_en_udb'));
+    patterns.should.include('!' + path.join(uw.destinationFolder, 'uw_en_ulb'));
+    uw.manifest.versions.should.have.property('uw_en_udb');
+    uw.manifest.versions.should.not.have.property('uw_fr_old');
   });
 
   describe("Function: getBibles()", function() {
@@ -79,7 +109,13 @@ describe('uwGrabAvailableTexts', function() {
           },
           files: [
             'https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'
-          ]
+          ],
+          modified: {
+            version: '1437687666',
+            files: {
+              'https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm': '1437687666'
+            }
+          }
         },
         {
           about: fileData2,
@@ -97,7 +133,13 @@ describe('uwGrabAvailableTexts', function() {
           },
           files: [
             'https://api.unfoldingword.org/ulb/txt/1/ulb-en/01-EXD.usfm'
-          ]
+          ],
+          modified: {
+            version: '1437687666',
+            files: {
+              'https://api.unfoldingword.org/ulb/txt/1/ulb-en/01-EXD.usfm': '1437687666'
+            }
+          }
         }
       ];
       requestStub.yields(null, {statusCode: 200}, JSON.stringify(uwFeedData));
@@ -133,16 +175,16 @@ describe('uwGrabAvailableTexts', function() {
       var firstInfoJson = JSON.stringify({id:'uw_en_udb',abbr:'UDB',name:'Unlocked Dynamic Bible',nameEnglish:'',lang:'en',langName:'English',langNameEnglish:'English',dir:'ltr',generator:'../unfolding-word/uw-generate-usfm',checking_level:'3'});
       var secondInfoJson = JSON.stringify({id:'uw_en_ulb',abbr:'ULB',name:'Unlocked Literal Bible',nameEnglish:'',lang:'en',langName:'English',langNameEnglish:'English',dir:'ltr',generator:'../unfolding-word/uw-generate-usfm',checking_level:'3'});
       fileSystemStub.writeFileSync.called.should.be.equal(true);
-      fileSystemStub.writeFileSync.firstCall.calledWith(path.join(inputPath, 'info.json'), firstInfoJson).should.be.equal(true);
-      fileSystemStub.writeFileSync.thirdCall.calledWith(path.join(inputPath, 'info.json'), secondInfoJson).should.be.equal(true);
+      fileSystemStub.writeFileSync.firstCall.calledWith(path.join(inputPath, 'uw_en_udb', 'info.json'), firstInfoJson).should.be.equal(true);
+      fileSystemStub.writeFileSync.thirdCall.calledWith(path.join(inputPath, 'uw_en_ulb', 'info.json'), secondInfoJson).should.be.equal(true);
     });
 
     it("should create the about.html files", function() {
       var fileData1 = fs.readFileSync(path.join(testFilePath, 'files', 'about', 'udb-about.html'),'utf8');
       var fileData2 = fs.readFileSync(path.join(testFilePath, 'files', 'about', 'ulb-about.html'),'utf8');
       fileSystemStub.writeFileSync.called.should.be.equal(true);
-      fileSystemStub.writeFileSync.secondCall.calledWith(path.join(inputPath, 'about.html'), fileData1).should.be.equal(true);
-      fileSystemStub.writeFileSync.lastCall.calledWith(path.join(inputPath, 'about.html'), fileData2).should.be.equal(true);
+      fileSystemStub.writeFileSync.secondCall.calledWith(path.join(inputPath, 'uw_en_udb', 'about.html'), fileData1).should.be.equal(true);
+      fileSystemStub.writeFileSync.lastCall.calledWith(path.join(inputPath, 'uw_en_ulb', 'about.html'), fileData2).should.be.equal(true);
     });
 
     it("should download all the files for the Bibles", function() {
@@ -152,13 +194,385 @@ describe('uwGrabAvailableTexts', function() {
       download.get.firstCall.calledWith('https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm').should.be.equal(true);
       download.get.secondCall.calledWith('https://api.unfoldingword.org/ulb/txt/1/ulb-en/01-EXD.usfm').should.be.equal(true);
       download.dest.called.should.be.equal(true);
-      download.dest.firstCall.calledWith(inputPath).should.be.equal(true);
-      download.dest.secondCall.calledWith(inputPath).should.be.equal(true);
+      download.dest.firstCall.calledWith(path.join(inputPath, '.uw-staging', 'uw_en_udb')).should.be.equal(true);
+      download.dest.secondCall.calledWith(path.join(inputPath, '.uw-staging', 'uw_en_ulb')).should.be.equal(true);
       download.run.called.should.be.equal(true);
     });
 
   });
 
+  describe("Incremental downloads", function() {
+    var inputPath;
+    var download;
+    var fileContent;
+    var bible;
+
+    beforeEach(function() {
+      inputPath = path.join(testFilePath, 'input');
+      fileContent = new Buffer('\\id GEN');
+      bible = {
+        about: '',
+        version_info: {id: 'uw_en_udb'},
+        files: ['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'],
+        modified: {
+          version: '1437687666',
+          files: {'https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm': '1437687666'}
+        }
+      };
+      uw.destinationFolder = inputPath;
+      uw.retries = 0;
+      uw.retryDelay = 0;
+      uw.manifest = {versions: {uw_en_udb: {mod: '1437687666', files: {'01-GEN.usfm': {
+        src:  'https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm',
+        mod:  '1437687666',
+        size: fileContent.length,
+        hash: crypto.createHash('md5').update(fileContent).digest('hex')
+      }}}}};
+      download = new downloadStub();
+      download.get.reset();
+      download.rename.reset();
+      download.run.reset();
+      download.run.resetBehavior();
+      fileSystemStub.writeFileSync.reset();
+      fileSystemStub.existsSync.returns(true);
+      fileSystemStub.readFileSync.returns(fileContent);
+      mkdirpStub.callsArgWith(1, null, null);
+    });
+
+    afterEach(function() {
+      fileSystemStub.existsSync.returns(false);
+      fileSystemStub.readFileSync.reset();
+    });
+
+    it("should not download files that have not changed", function() {
+      uw.downloadBibles([bible]);
+      download.get.called.should.be.equal(false);
+    });
+
+    it("should download files whose modified date changed", function() {
+      bible.modified.files['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'] = '1500000000';
+      uw.downloadBibles([bible]);
+      download.get.calledWith('https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm').should.be.equal(true);
+    });
+
+    it("should download files whose local copy does not match the manifest", function() {
+      fileSystemStub.readFileSync.returns(new Buffer('\\id GEN changed'));
+      uw.downloadBibles([bible]);
+      download.get.calledWith('https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm').should.be.equal(true);
+    });
+
+    it("should move the downloaded files into place and save the manifest", function() {
+      bible.modified.files['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'] = '1500000000';
+      download.run.yields(null);
+      uw.downloadBibles([bible]);
+      fileSystemStub.renameSync.calledWith(
+        path.join(inputPath, '.uw-staging', 'uw_en_udb', '01-GEN.usfm'),
+        path.join(inputPath, 'uw_en_udb', '01-GEN.usfm')
+      ).should.be.equal(true);
+      fileSystemStub.writeFileSync.lastCall.args[0].should.equal(path.join(inputPath, 'uw-manifest.json'));
+      uw.manifest.versions.uw_en_udb.files['01-GEN.usfm'].mod.should.equal('1500000000');
+    });
+
+    it("should name the downloaded file after the path of a url with a query string", function() {
+      var fileUrl = 'https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm?token=abc';
+      bible.files = [fileUrl];
+      bible.modified.files = {};
+      bible.modified.files[fileUrl] = '1500000000';
+      fileSystemStub.renameSync.reset();
+      download.run.yields(null);
+      uw.downloadBibles([bible]);
+      download.get.calledWith(fileUrl).should.be.equal(true);
+      download.rename.calledWith('01-GEN.usfm').should.be.equal(true);
+      fileSystemStub.renameSync.calledWith(
+        path.join(inputPath, '.uw-staging', 'uw_en_udb', '01-GEN.usfm'),
+        path.join(inputPath, 'uw_en_udb', '01-GEN.usfm')
+      ).should.be.equal(true);
+    });
+
+    it("should keep the existing files if the download fails", function() {
+      bible.modified.files['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'] = '1500000000';
+      fileSystemStub.renameSync.reset();
+      download.run.yields(new Error('Connection dropped'));
+      uw.downloadBibles([bible]);
+      fileSystemStub.renameSync.called.should.be.equal(false);
+      uw.manifest.versions.uw_en_udb.files['01-GEN.usfm'].mod.should.equal('1437687666');
+    });
+
+    it("should download the files with the given timeout", function() {
+      bible.modified.files['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'] = '1500000000';
+      uw.timeout = 5000;
+      uw.downloadBibles([bible]);
+      downloadStub.calledWith({timeout: 5000}).should.be.equal(true);
+      uw.timeout = 60000;
+    });
+
+    it("should retry a file that failed to download", function(done) {
+      bible.modified.files['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'] = '1500000000';
+      uw.retries = 2;
+      download.run.onFirstCall().yields(new Error('Connection dropped'));
+      download.run.onSecondCall().yields(null);
+      uw.downloadBibles([bible], function(failures) {
+        download.run.calledTwice.should.be.equal(true);
+        failures.should.deep.equal([]);
+        uw.manifest.versions.uw_en_udb.files['01-GEN.usfm'].mod.should.equal('1500000000');
+        done();
+      });
+    });
+
+    it("should report the files that still fail after all the retries", function(done) {
+      var error = new Error('Connection dropped');
+      bible.modified.files['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'] = '1500000000';
+      uw.retries = 2;
+      download.run.yields(error);
+      uw.downloadBibles([bible], function(failures) {
+        download.run.callCount.should.equal(3);
+        failures.should.deep.equal([{
+          version:  'uw_en_udb',
+          url:      'https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm',
+          error:    error
+        }]);
+        uw.failures.should.equal(failures);
+        done();
+      });
+    });
+
+    it("should only download the given number of versions at the same time", function() {
+      var secondBible = JSON.parse(JSON.stringify(bible));
+      secondBible.version_info.id = 'uw_en_ulb';
+      bible.modified.files['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'] = '1500000000';
+      mkdirpStub.reset();
+      uw.concurrency = 1;
+      uw.downloadBibles([bible, secondBible]);
+      mkdirpStub.calledOnce.should.be.equal(true);
+      mkdirpStub.firstCall.calledWith(path.join(inputPath, 'uw_en_udb')).should.be.equal(true);
+      uw.concurrency = 2;
+    });
+
+    it("should start the next version once one is finished", function() {
+      var secondBible = JSON.parse(JSON.stringify(bible));
+      secondBible.version_info.id = 'uw_en_ulb';
+      bible.modified.files['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'] = '1500000000';
+      mkdirpStub.reset();
+      download.run.yields(null);
+      uw.concurrency = 1;
+      uw.downloadBibles([bible, secondBible]);
+      mkdirpStub.calledTwice.should.be.equal(true);
+      mkdirpStub.secondCall.calledWith(path.join(inputPath, 'uw_en_ulb')).should.be.equal(true);
+      uw.concurrency = 2;
+    });
+
+    it("should download the versions one at a time when the concurrency is not a number", function(done) {
+      var secondBible = JSON.parse(JSON.stringify(bible));
+      secondBible.version_info.id = 'uw_en_ulb';
+      bible.modified.files['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'] = '1500000000';
+      mkdirpStub.reset();
+      download.run.yields(null);
+      uw.concurrency = parseInt('abc', 10);
+      uw.downloadBibles([bible, secondBible], function(failures) {
+        mkdirpStub.calledTwice.should.be.equal(true);
+        failures.should.deep.equal([]);
+        uw.concurrency = 2;
+        done();
+      });
+    });
+
+  });
+
+  describe("Filters", function() {
+
+    var getSlugs = function() {
+      var slugs = [];
+      uw.getBibles(function(bibles) {
+        slugs = bibles.map(function(bible) {
+          return bible.version_info.id;
+        });
+      });
+      return slugs;
+    };
+
+    before(function() {
+      requestStub.withArgs(uw.catalogUrl).yields(null, {statusCode: 200}, JSON.stringify(uwFeedData));
+    });
+
+    afterEach(function() {
+      uw.includeLanguages = [];
+      uw.excludeLanguages = [];
+      uw.includeVersions = [];
+      uw.excludeVersions = [];
+      uw.minCheckingLevel = 0;
+    });
+
+    it("should grab all the versions by default", function() {
+      getSlugs().should.deep.equal(['uw_en_udb', 'uw_en_ulb']);
+    });
+
+    it("should only grab the included languages", function() {
+      uw.includeLanguages = ['fr', 'sw'];
+      getSlugs().should.deep.equal([]);
+      uw.includeLanguages = ['FR', 'EN'];
+      getSlugs().should.deep.equal(['uw_en_udb', 'uw_en_ulb']);
+    });
+
+    it("should skip the excluded languages", function() {
+      uw.excludeLanguages = ['en'];
+      getSlugs().should.deep.equal([]);
+    });
+
+    it("should only grab the included versions", function() {
+      uw.includeVersions = ['ulb'];
+      getSlugs().should.deep.equal(['uw_en_ulb']);
+    });
+
+    it("should skip the excluded versions", function() {
+      uw.excludeVersions = ['ulb'];
+      getSlugs().should.deep.equal(['uw_en_udb']);
+    });
+
+    it("should skip the versions below the minimum checking level", function() {
+      uw.minCheckingLevel = 3;
+      getSlugs().should.deep.equal(['uw_en_udb', 'uw_en_ulb']);
+      uw.minCheckingLevel = 4;
+      getSlugs().should.deep.equal([]);
+    });
+
+  });
+
+  describe("Catalog Formats", function() {
+    var catalogBody;
+
+    before(function() {
+      catalogBody = fs.readFileSync(path.join(testFilePath, 'files', 'catalogs', 'door43-catalog.json'), 'utf8');
+      requestStub.withArgs('http://test.com/v3/catalog.json').yields(null, {statusCode: 200}, catalogBody);
+    });
+
+    afterEach(function() {
+      uw.catalogUrl = 'http://test.com/test';
+      uw.catalogFormat = '';
+    });
+
+    it("should get the bibles from a Resource Container catalog", function() {
+      var result = null;
+      uw.catalogUrl = 'http://test.com/v3/catalog.json';
+      uw.getBibles(function(bibles) {
+        result = bibles;
+      });
+      result.length.should.equal(1);
+      result[0].version_info.should.deep.equal({
+        id:               'uw_en_ulb',
+        abbr:             'ULB',
+        name:             'Unlocked Literal Bible',
+        nameEnglish:      '',
+        lang:             'en',
+        langName:         'English',
+        langNameEnglish:  'English',
+        dir:              'ltr',
+        generator:        '../unfolding-word/uw-generate-usfm',
+        checking_level:   '3'
+      });
+      result[0].files.should.deep.equal(['https://cdn.door43.org/en/ulb/v12/gen.usfm', 'https://cdn.door43.org/en/ulb/v12/mat.usfm']);
+      result[0].filenames.should.deep.equal({
+        'https://cdn.door43.org/en/ulb/v12/gen.usfm': '01-GEN.usfm',
+        'https://cdn.door43.org/en/ulb/v12/mat.usfm': '40-MAT.usfm'
+      });
+    });
+
+    it("should throw an error if the catalogFormat can not be found", function() {
+      uw.catalogUrl = 'http://test.com/v3/catalog.json';
+      uw.catalogFormat = 'unknown';
+      (function() {
+        uw.getBibles(function() {});
+      }).should.throw(Error);
+    });
+
+  });
+
+  describe("Offline Mode", function() {
+    var inputPath;
+    var mirrorPath;
+    var download;
+
+    beforeEach(function() {
+      inputPath = path.join(testFilePath, 'input');
+      mirrorPath = path.join(testFilePath, 'mirror');
+      uw.destinationFolder = inputPath;
+      uw.manifest = {versions: {}};
+      download = new downloadStub();
+      download.get.reset();
+      download.run.reset();
+      download.run.resetBehavior();
+      requestStub.reset();
+      fileSystemStub.writeFileSync.reset();
+      fileSystemStub.readFileSync.reset();
+      fileSystemStub.readFileSync.resetBehavior();
+      mkdirpStub.callsArgWith(1, null, null);
+    });
+
+    afterEach(function() {
+      uw.mirrorFolder = '';
+      uw.urlRewrites = {};
+    });
+
+    describe("Function: resolveLocation()", function() {
+
+      it("should not change the location by default", function() {
+        uw.resolveLocation('https://api.unfoldingword.org/uw/txt/2/catalog.json').should.equal('https://api.unfoldingword.org/uw/txt/2/catalog.json');
+      });
+
+      it("should map urls into the mirrorFolder using the host and path", function() {
+        uw.mirrorFolder = mirrorPath;
+        uw.resolveLocation('https://api.unfoldingword.org/uw/txt/2/catalog.json').should.equal(path.join(mirrorPath, 'api.unfoldingword.org', 'uw', 'txt', '2', 'catalog.json'));
+      });
+
+      it("should rewrite the start of urls", function() {
+        uw.urlRewrites = {'https://api.unfoldingword.org/': 'file:///srv/mirror/'};
+        uw.resolveLocation('https://api.unfoldingword.org/uw/txt/2/catalog.json').should.equal('file:///srv/mirror/uw/txt/2/catalog.json');
+      });
+
+    });
+
+    it("should read the catalog from the mirrorFolder", function() {
+      var catalogPath = path.join(mirrorPath, 'test.com', 'test');
+      uw.mirrorFolder = mirrorPath;
+      fileSystemStub.readFileSync.withArgs(catalogPath).returns(JSON.stringify(uwFeedData));
+      var result = null;
+      uw.getBibles(function(bibles) {
+        result = bibles;
+      });
+      requestStub.called.should.be.equal(false);
+      result.length.should.equal(2);
+      result[0].version_info.id.should.equal('uw_en_udb');
+    });
+
+    it("should read the catalog from a file:// url", function() {
+      uw.urlRewrites = {'http://test.com/': 'file:///srv/mirror/'};
+      fileSystemStub.readFileSync.withArgs('/srv/mirror/test').returns(JSON.stringify(uwFeedData));
+      var result = null;
+      uw.getBibles(function(bibles) {
+        result = bibles;
+      });
+      requestStub.called.should.be.equal(false);
+      result.length.should.equal(2);
+    });
+
+    it("should copy the usfm files from the mirrorFolder instead of downloading them", function() {
+      var content = new Buffer('\\id GEN');
+      var bible = {
+        about: '',
+        version_info: {id: 'uw_en_udb'},
+        files: ['https://api.unfoldingword.org/udb/txt/1/udb-en/01-GEN.usfm'],
+        modified: {files: {}}
+      };
+      uw.mirrorFolder = mirrorPath;
+      fileSystemStub.readFileSync.withArgs(path.join(mirrorPath, 'api.unfoldingword.org', 'udb', 'txt', '1', 'udb-en', '01-GEN.usfm')).returns(content);
+      fileSystemStub.readFileSync.withArgs(path.join(inputPath, 'uw_en_udb', '01-GEN.usfm')).returns(content);
+      uw.downloadBibles([bible]);
+      download.get.called.should.be.equal(false);
+      fileSystemStub.writeFileSync.calledWith(path.join(inputPath, '.uw-staging', 'uw_en_udb', '01-GEN.usfm'), content).should.be.equal(true);
+      uw.manifest.versions.uw_en_udb.files['01-GEN.usfm'].size.should.equal(content.length);
+    });
+
+  });
+
   after(function() {
     mockery.deregisterMock('del');
     mockery.deregisterMock('request');
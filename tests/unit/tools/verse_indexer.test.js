@@ -0,0 +1,76 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('verseIndexer', function() {
+
+  var verseIndexer;
+
+  before(function() {
+    verseIndexer = require(path.join(process.cwd(), 'tools', 'verse_indexer'));
+  });
+
+  describe("Function: indexVerse()", function() {
+
+    it("should index the words without punctuation and restricted words", function() {
+      var indexData = {};
+      verseIndexer.indexVerse('JN3_16', 'God so loved the world.', indexData, 'en');
+      Object.keys(indexData).should.deep.equal(['god', 'so', 'loved', 'world']);
+      indexData.god.occurrences.should.deep.equal(['JN3_16']);
+    });
+
+    it("should index Chinese by characters and pairs of characters", function() {
+      var indexData = {};
+      verseIndexer.indexVerse('JN3_16', '神爱世人', indexData, 'zh');
+      Object.keys(indexData).should.deep.equal(['神', '爱', '世', '人', '神爱', '爱世', '世人']);
+    });
+
+  });
+
+  describe("Function: createIndexFiles()", function() {
+
+    var indexPath;
+
+    beforeEach(function() {
+      indexPath = fs.mkdtempSync(path.join(os.tmpdir(), 'verse_indexer-'));
+    });
+
+    afterEach(function() {
+      fs.readdirSync(indexPath).forEach(function(file) {
+        fs.unlinkSync(path.join(indexPath, file));
+      });
+      fs.rmdirSync(indexPath);
+    });
+
+    it("should write the terms of the index in sorted order", function() {
+      var indexData = {};
+      verseIndexer.indexVerse('JN3_16', 'World so loved, God gave', indexData, 'en');
+      verseIndexer.indexVerse('JN3_17', 'Zebra apple', indexData, 'en');
+      verseIndexer.createIndexFiles(indexPath, indexData, 'words');
+      var terms = JSON.parse(fs.readFileSync(path.join(indexPath, '_terms.json'), 'utf8'));
+      terms.should.deep.equal(['apple', 'gave', 'god', 'loved', 'so', 'world', 'zebra']);
+    });
+
+    it("should write the words in the hashed index files", function() {
+      var indexData = {};
+      verseIndexer.indexVerse('JN3_16', 'God', indexData, 'en');
+      verseIndexer.createIndexFiles(indexPath, indexData, 'words');
+      var found = null;
+      for (var i = 0; i < 20; i++) {
+        var data = JSON.parse(fs.readFileSync(path.join(indexPath, '_' + i + '.json'), 'utf8'));
+        if (typeof data.god != 'undefined') {
+          found = data.god;
+        }
+      }
+      found.should.deep.equal(['JN3_16']);
+    });
+
+  });
+
+});
@@ -0,0 +1,96 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var path = require('path');
+
+describe('wordNormalizer', function() {
+
+  var wordNormalizer;
+
+  before(function() {
+    wordNormalizer = require(path.join(process.cwd(), 'tools', 'word_normalizer'));
+  });
+
+  describe("Function: getStemmer()", function() {
+
+    it("should find the stemmer of a 2 or 3 letter language code", function() {
+      var indonesian = require(path.join(process.cwd(), 'tools', 'stemmers', 'indonesian'));
+      wordNormalizer.getStemmer('id').should.equal(indonesian);
+      wordNormalizer.getStemmer('ind').should.equal(indonesian);
+    });
+
+    it("should ignore the case of the language code", function() {
+      wordNormalizer.getStemmer('SWA').should.equal(wordNormalizer.getStemmer('sw'));
+    });
+
+    it("should fall back to the language of a regional code", function() {
+      wordNormalizer.getStemmer('pt-br').should.equal(wordNormalizer.getStemmer('pt'));
+    });
+
+    it("should return null for a language without a stemmer", function() {
+      should.equal(wordNormalizer.getStemmer('tha'), null);
+      should.equal(wordNormalizer.getStemmer(undefined), null);
+    });
+
+  });
+
+  describe("Function: getNormalizer()", function() {
+
+    it("should return normalizeWord for a language without a normalizer", function() {
+      wordNormalizer.getNormalizer('en').should.equal(wordNormalizer.normalizeWord);
+    });
+
+    it("should return a registered normalizer", function() {
+      var normalizer = function(word) {
+        return word.toUpperCase();
+      };
+      wordNormalizer.registerNormalizer(['xx', 'xxx'], normalizer);
+      wordNormalizer.getNormalizer('xxx').should.equal(normalizer);
+      wordNormalizer.normalize('word', 'xx-yy').should.equal('WORD');
+    });
+
+  });
+
+  describe("Function: normalizeWord()", function() {
+
+    it("should remove the accents of latin letters", function() {
+      wordNormalizer.normalizeWord('Bénédiction').should.equal('benediction');
+      wordNormalizer.normalizeWord('Bênção').should.equal('bencao');
+    });
+
+    it("should remove the accents of decomposed latin letters", function() {
+      wordNormalizer.normalizeWord('Be\u0301ne\u0301diction').should.equal('benediction');
+    });
+
+    it("should keep the marks of other scripts", function() {
+      wordNormalizer.normalizeWord('Йод').should.equal('йод');
+    });
+
+    it("should remove the Hebrew vowel points and cantillation", function() {
+      wordNormalizer.normalizeWord('בְּרֵאשִׁ֖ית').should.equal('בראשית');
+    });
+
+    it("should remove the Arabic harakat", function() {
+      wordNormalizer.normalizeWord('بِسْمِ').should.equal('بسم');
+    });
+
+  });
+
+  describe("Stemmers", function() {
+
+    it("should stem an Indonesian word", function() {
+      wordNormalizer.getStemmer('id').stem('dikasihi').should.equal('kasih');
+      wordNormalizer.getStemmer('id').stem('berbahagialah').should.equal('bahagia');
+    });
+
+    it("should stem a Swahili word", function() {
+      wordNormalizer.getStemmer('sw').stem('mbinguni').should.equal('mbingu');
+      wordNormalizer.getStemmer('sw').stem('kuandikia').should.equal('kuandik');
+    });
+
+  });
+
+});
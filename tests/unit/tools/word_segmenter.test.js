@@ -0,0 +1,70 @@
+/**
+ * Setup test libraries
+ *
+ */
+var chai = require('chai');
+var should = chai.should();
+var path = require('path');
+
+describe('wordSegmenter', function() {
+
+  var wordSegmenter;
+
+  before(function() {
+    wordSegmenter = require(path.join(process.cwd(), 'tools', 'word_segmenter'));
+  });
+
+  describe("Function: segmentCharacters()", function() {
+
+    it("should keep the Thai vowel signs with their letter", function() {
+      wordSegmenter.segmentCharacters('กรุงเทพ').should.deep.equal(['ก', 'รุ', 'ง', 'เ', 'ท', 'พ']);
+    });
+
+    it("should keep the other scripts together", function() {
+      wordSegmenter.segmentCharacters('ไทย123').should.deep.equal(['ไ', 'ท', 'ย', '123']);
+    });
+
+  });
+
+  describe("Function: getNgrams()", function() {
+
+    it("should return the pairs of characters next to each other", function() {
+      wordSegmenter.getNgrams(['ก', 'รุ', 'ง']).should.deep.equal(['กรุ', 'รุง']);
+    });
+
+    it("should return a single character as its own key", function() {
+      wordSegmenter.getNgrams(['神']).should.deep.equal(['神']);
+    });
+
+  });
+
+  describe("Function: getSegmenter()", function() {
+
+    it("should return null for a language written with spaces", function() {
+      should.equal(wordSegmenter.getSegmenter('en'), null);
+      should.equal(wordSegmenter.getSegmenter(undefined), null);
+    });
+
+    it("should fall back to the language of a regional code", function() {
+      wordSegmenter.getSegmenter('zh-TW').should.equal(wordSegmenter.getSegmenter('zh'));
+    });
+
+    it("should index a Thai word by its characters and pairs of characters", function() {
+      wordSegmenter.getSegmenter('tha').getIndexKeys('กรุงเทพ').should.deep.equal(['ก', 'รุ', 'ง', 'เ', 'ท', 'พ', 'กรุ', 'รุง', 'งเ', 'เท', 'ทพ']);
+    });
+
+    it("should index a Japanese word by its characters and pairs of characters", function() {
+      wordSegmenter.getSegmenter('ja').getIndexKeys('かみ').should.deep.equal(['か', 'み', 'かみ']);
+    });
+
+    it("should index a Chinese word by its characters and pairs of characters", function() {
+      wordSegmenter.getSegmenter('zh').getIndexKeys('上帝').should.deep.equal(['上', '帝', '上帝']);
+    });
+
+    it("should keep the latin letters of a mixed word together", function() {
+      wordSegmenter.getSegmenter('jpn').getIndexKeys('abc神').should.deep.equal(['abc', '神', 'abc神']);
+    });
+
+  });
+
+});
@@ -48,6 +48,11 @@ for (var dirItemIndex in dirItem) {
 	var folder = dirItem[dirItemIndex],
 		info_path = baseInput + '/' + folder + '/info.json';
 
+	// .ID.staging and .ID.previous are versions that generate.js is still writing or replacing
+	if (folder.charAt(0) == '.') {
+		continue;
+	}
+
 	if (fs.existsSync(info_path)) {
 
 		var data = fs.readFileSync(info_path, 'utf8');
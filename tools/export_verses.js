@@ -0,0 +1,220 @@
+/**
+* Exports versions built by generate.js (./app/content/texts/ID/) one verse per line, for the
+* concordance and alignment tools that would otherwise scrape the chapter html.
+*
+* - ID.tsv: id, book, chapter, verse, text, notes (separated by " | ")
+* - ID.json: {id, name, abbr, lang, dir, verses: [{id, book, chapter, verse, text, notes}]}
+*
+* The ids are the verse codes of the chapter html (bibleFormatter.formatVerseCode, ie. JN3_16)
+*
+* node tools/export_verses.js -v uw_en_ulb,uw_fr_ulb
+*
+* See options for details on running
+*/
+
+
+// MODULES
+var fs = require('fs'),
+	path = require('path'),
+	mkdirp = require('mkdirp').sync,
+	jsdom = require('jsdom'),
+	bibleFormatter = require('./bible_formatter.js'),
+	argv = require('minimist')(process.argv.slice(2));
+
+
+// VARS
+var
+	baseInput = path.join('app', 'content', 'texts'),
+	baseOutput = argv['o'] || 'export',
+	// the DOM used to read the chapters
+	window = null,
+	$ = null;
+
+if (require.main === module) {
+	run();
+}
+
+
+// Functions
+
+/**
+ * The command line: parse the arguments and process the versions
+ */
+function run() {
+	// parse arguments
+	if (argv['h'] || (!argv['a'] && typeof argv['v'] == 'undefined')) {
+		console.log('----------------\n' +
+					'Verse Export Help\n' +
+					'-a Export all the versions in ' + baseInput + '\n' +
+					'-v VERSION,VERSION = only some versions\n' +
+					'-o PATH = the output directory (default export)\n');
+		return;
+	}
+
+	var versions = argv['a'] ? getDirectories(baseInput) : String(argv['v']).split(','),
+		failed = 0;
+
+	mkdirp(baseOutput);
+
+	versions.forEach(function(id) {
+		try {
+			var count = exportVersion(path.join(baseInput, id), baseOutput);
+
+			if (count !== null) {
+				console.log(id + ': ' + count + ' verses in ' + path.join(baseOutput, id + '.tsv') + ' and ' + path.join(baseOutput, id + '.json'));
+			}
+		} catch (ex) {
+			console.error(id + ': FAILED ' + ex.message);
+			failed++;
+		}
+	});
+
+	if (failed > 0) {
+		process.exitCode = 1;
+	}
+}
+
+/**
+ * Writes ID.tsv and ID.json in the output path from a built version, returns the number of verses,
+ * or null when the folder is not a version
+ */
+function exportVersion(textPath, outputPath) {
+	var infoPath = path.join(textPath, 'info.json');
+
+	// .ID.staging and .ID.previous folders (see generate.js) and the files next to the versions
+	if (path.basename(textPath).charAt(0) == '.' || !fs.existsSync(infoPath)) {
+		return null;
+	}
+
+	var info = JSON.parse(fs.readFileSync(infoPath, 'utf8')),
+		verses = [];
+
+	if (typeof info.sections == 'undefined') {
+		throw new Error('The info.json has no sections');
+	}
+
+	info.sections.forEach(function(sectionid) {
+		var chapterPath = path.join(textPath, sectionid + '.html');
+
+		if (!fs.existsSync(chapterPath)) {
+			console.log(info.id + ': missing ' + chapterPath);
+			return;
+		}
+
+		verses = verses.concat(getVerses(fs.readFileSync(chapterPath, 'utf8')));
+	});
+
+	fs.writeFileSync(path.join(outputPath, info.id + '.tsv'),
+		['id', 'book', 'chapter', 'verse', 'text', 'notes'].join('\t') + '\n' +
+		verses.map(function(verse) {
+			return [verse.id, verse.book, verse.chapter, verse.verse, verse.text, verse.notes.join(' | ')].map(cleanTsvValue).join('\t') + '\n';
+		}).join(''),
+		'utf8');
+
+	fs.writeFileSync(path.join(outputPath, info.id + '.json'), JSON.stringify({
+		id: info.id,
+		name: info.name,
+		abbr: info.abbr,
+		lang: info.lang,
+		dir: info.dir,
+		verses: verses
+	}, null, '\t'), 'utf8');
+
+	return verses.length;
+}
+
+/**
+ * The verses of a chapter document in their order.  A verse can be split in several .v spans
+ * (ie. over two paragraphs), they are joined.  The notes, inline
+ * (<span class="note"><a class="key"/><span class="text"/></span>) or in the .footnotes list
+ * (<span class="footnote" id="footnote-1"><span class="text"/></span>), are taken out of the text.
+ */
+function getVerses(html) {
+	var container = getContainer(html),
+		footnotes = container.find('.footnotes'),
+		verses = [],
+		versesById = {};
+
+	container.find('.v').each(function() {
+		var node = $(this).clone(),
+			verseCode = node.attr('data-id'),
+			parts = /^([A-Z0-9]{2})(\d+)_(\d+)$/.exec(verseCode || ''),
+			verse = versesById[verseCode];
+
+		if (parts === null) {
+			return;
+		}
+
+		if (typeof verse == 'undefined') {
+			verse = versesById[verseCode] = {
+				id: bibleFormatter.formatVerseCode(parts[1], parseInt(parts[2], 10), parseInt(parts[3], 10)),
+				book: parts[1],
+				chapter: parseInt(parts[2], 10),
+				verse: parseInt(parts[3], 10),
+				text: '',
+				notes: []
+			};
+			verses.push(verse);
+		}
+
+		node.find('.note').each(function() {
+			var note = $(this),
+				key = note.find('.key'),
+				text = note.find('.text');
+
+			if (text.length === 0 && key.attr('href')) {
+				text = footnotes.find('[id="' + key.attr('href').replace('#', '') + '"] .text');
+			}
+			if (text.length > 0) {
+				verse.notes.push(normalizeSpaces(text.text()));
+			}
+
+			note.remove();
+		});
+		node.find('.v-num, .cf').remove();
+
+		verse.text = normalizeSpaces(verse.text + ' ' + node.text());
+	});
+
+	return verses;
+}
+
+function getContainer(html) {
+	if (window === null) {
+		window = jsdom.jsdom('').defaultView;
+		$ = require('jquery')(window);
+	}
+
+	var match = html.match(/<body[^>]*>([\s\S]*)<\/body>/i),
+		container = window.document.createElement('div');
+
+	container.innerHTML = match ? match[1] : html;
+
+	return $(container);
+}
+
+function normalizeSpaces(text) {
+	return text.replace(/\s+/g, ' ').trim();
+}
+
+function cleanTsvValue(value) {
+	return String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Get all the directories in the given path
+ *
+ * @param  {string} srcpath The path to search
+ *
+ * @return {array}         An array of directories in that path
+ */
+function getDirectories(srcpath) {
+	return fs.readdirSync(srcpath).filter(function(file) {
+		return fs.statSync(path.join(srcpath, file)).isDirectory();
+	});
+}
+
+module.exports = {
+	exportVersion: exportVersion,
+	getVerses: getVerses
+}
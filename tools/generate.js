@@ -10,11 +10,16 @@
 // MODULES
 var fs = require('fs'),
 	path = require('path'),
+	os = require('os'),
+	childProcess = require('child_process'),
+	crypto = require('crypto'),
 	rmrf = require('rimraf').sync,
 	mkdirp = require('mkdirp').sync,
 	bibleData = require('./data/bible_data.js'),
 	bibleFormatter = require('./bible_formatter.js'),
 	verseIndexer = require('./verse_indexer.js'),
+	wordNormalizer = require('./word_normalizer.js'),
+	indexToStems = require('./indextostems.js'),
 	ProgressBar = require('progress'),
 	argv = require('minimist')(process.argv.slice(2));
 /**
@@ -30,23 +35,47 @@ var del = require('del');
 var
 	baseOutput = path.join('app', 'content', 'texts'),
 	baseInput = 'input',
+	baseValidation = 'validation',
 	createIndex = !!argv['i'],
+	outputAlignment = !!argv['l'],
+	failOnValidationErrors = !!argv['s'],
+	// regenerate the versions whose fingerprint didn't change
+	forceConvert = !!argv['f'],
+	fingerprintFilename = 'fingerprint.json',
+	// -w alone uses every CPU
+	workerCount = (argv['w'] === true) ? os.cpus().length : Math.max(parseInt(argv['w'], 10) || 1, 1),
+	isWorker = !!argv['worker'],
+	workerProgress = {current: 0, total: 0},
+	// the staging folder of the version being converted, removed by runFolder when the conversion fails
+	stagingPath = null,
+	// before any generator is loaded, so it only covers this script and its own modules
+	scriptVersion = getCodeVersion(module),
 	progressBar = null;
 
+// a child process of the worker pool (see convertWithWorkers)
+if (isWorker) {
+	startWorker();
+	return;
+}
 // parse arguments
 if (argv['h']) {
 	console.log('----------------\n' +
 				'Generator Help\n' +
-				'-a Clean output directory and convert all versions\n' +
+				'-a Convert all versions and remove the versions that are no longer in the input\n' +
 				'-v VERSION,VERSION = only some versions\n' +
 				'-e VERSION,VERSION = exclude some versions\n' +
 				'-u = process all versions that belong to unfoldingWord\n' +
-				'-i = create index\n');
+				'-i = create index\n' +
+				'-l = keep the original language alignment of the words (uw-generate-usfm)\n' +
+				'-s = fail when the validation report of a version has errors (uw-generate-usfm)\n' +
+				'-f = convert the versions even when their input and generator didn\'t change\n' +
+				'-w NUMBER = convert NUMBER versions at the same time in child processes (-w alone uses every CPU)\n');
 	return;
 }
 // Generate Everything
 if (argv['a']) {
-	cleanBaseOutputPath(baseOutput);
+	// the versions that are still in the input are kept, so the unchanged ones are skipped
+	cleanBaseOutputPath(baseOutput, getInputIds(baseInput));
 	convertTexts(baseInput);
 } else if (argv['v'] !== undefined) {
 	convertTexts(baseInput, argv['v'].split(','));
@@ -55,7 +84,7 @@ if (argv['a']) {
 } else if (typeof argv['e'] != 'undefined') {
 	var foldersToExclude = argv['e'].split(',');
 
-	var folders = fs.readdirSync(baseInput);
+	var folders = getVersionFolders(baseInput);
 
 	convertTexts(
 		baseInput,
@@ -67,12 +96,8 @@ if (argv['a']) {
 	var filtered = directories.filter(function(el) {
 		return el.substring(0, 3) == 'uw_';
 	});
-	for (var f in filtered) {
-		var folder = filtered[f];
-		var inputPath = path.join(baseInput, folder);
 
-		convertFolder(inputPath);
-	}
+	convertTexts(baseInput, filtered);
 // Generate all texts
 } else {
 	convertTexts(baseInput);
@@ -83,6 +108,13 @@ if (argv['a']) {
 function startProgress(total, label) {
 	label = label || 'Progress';
 
+	// the parent process draws one bar for all the workers
+	if (isWorker) {
+		workerProgress = {current: 0, total: total};
+		process.send({type: 'progress', current: 0, total: total});
+		return;
+	}
+
 	if (progressBar != null) {
 		progressBar.terminate();
 	}
@@ -90,6 +122,12 @@ function startProgress(total, label) {
 }
 
 function updateProgress() {
+	if (isWorker) {
+		workerProgress.current++;
+		process.send({type: 'progress', current: workerProgress.current, total: workerProgress.total});
+		return;
+	}
+
 	progressBar.tick();
 }
 
@@ -98,18 +136,164 @@ function cleanFolder(folderPath) {
 	rmrf(path.join(folderPath, '*'));
 }
 
+/**
+ * Lists the files in the folder and its subfolders, relative to the folder and sorted
+ */
+function getInputFiles(folderPath, subPath) {
+	var files = [];
+
+	subPath = subPath || '';
+
+	fs.readdirSync(path.join(folderPath, subPath)).sort().forEach(function(name) {
+		var filePath = path.join(subPath, name);
+
+		if (fs.statSync(path.join(folderPath, filePath)).isDirectory()) {
+			files = files.concat(getInputFiles(folderPath, filePath));
+		} else {
+			files.push(filePath);
+		}
+	});
+
+	return files;
+}
+
+/**
+ * Hashes the code of the module and of the local modules it requires (not node_modules), so a change
+ * to the generator, the formatter or this script gives a new fingerprint
+ */
+function getCodeVersion(startModule) {
+	var hash = crypto.createHash('sha1'),
+		visited = {};
+
+	function addModule(mod) {
+		if (visited[mod.filename] || mod.filename.indexOf('node_modules') > -1) {
+			return;
+		}
+		visited[mod.filename] = true;
+
+		hash.update(path.relative(__dirname, mod.filename) + '\n');
+		hash.update(fs.readFileSync(mod.filename));
+
+		mod.children.forEach(addModule);
+	}
+
+	addModule(startModule);
+
+	return hash.digest('hex');
+}
+
+/**
+ * The fingerprint of a version: its input files (info.json included), the generator name, the code
+ * of the generator and of this script, and the options that change the output
+ */
+function getFingerprint(inputPath, generatorName, generator) {
+	var generatorModule = require.cache[require.resolve(path.join(__dirname, 'generators', generatorName + '.js'))],
+		fingerprint = {
+			generator: generatorName,
+			generatorVersion: getCodeVersion(generatorModule),
+			scriptVersion: scriptVersion,
+			createIndex: createIndex,
+			outputAlignment: typeof generator.outputAlignment != 'undefined' ? outputAlignment : false
+		},
+		hash = crypto.createHash('sha1');
+
+	getInputFiles(inputPath).forEach(function(filePath) {
+		hash.update(filePath + '\n');
+		hash.update(fs.readFileSync(path.join(inputPath, filePath)));
+	});
+	fingerprint.input = hash.digest('hex');
+
+	return fingerprint;
+}
+
+/**
+ * True when the output of the version was created from the same fingerprint
+ */
+function isUnchanged(outputPath, fingerprint) {
+	var fingerprintPath = path.join(outputPath, fingerprintFilename),
+		previous = null;
+
+	if (!fs.existsSync(fingerprintPath)) {
+		return false;
+	}
+
+	try {
+		previous = JSON.parse(fs.readFileSync(fingerprintPath, 'utf8'));
+	} catch (ex) {
+		return false;
+	}
+
+	return Object.keys(fingerprint).every(function(key) {
+		return previous[key] === fingerprint[key];
+	});
+}
+
+/**
+ * The errors of the validation report saved when the version was last converted
+ */
+function getSavedValidationErrors(id) {
+	var reportPath = path.join(baseValidation, id + '.json');
+
+	if (!fs.existsSync(reportPath)) {
+		return 0;
+	}
+
+	try {
+		return JSON.parse(fs.readFileSync(reportPath, 'utf8')).errors || 0;
+	} catch (ex) {
+		return 0;
+	}
+}
+
+/**
+ * The previous output is moved here while the new one is renamed into place
+ */
+function getPreviousPath(outputPath) {
+	return path.join(path.dirname(outputPath), '.' + path.basename(outputPath) + '.previous');
+}
+
+/**
+ * Replaces the output with the staging folder: two renames, so the site never serves a half-written version
+ */
+function swapFolder(stagingPath, outputPath) {
+	var previousPath = getPreviousPath(outputPath);
+
+	rmrf(previousPath);
+
+	if (fs.existsSync(outputPath)) {
+		fs.renameSync(outputPath, previousPath);
+	}
+	fs.renameSync(stagingPath, outputPath);
+
+	rmrf(previousPath);
+}
+
+/**
+ * Puts the previous output back when the process was stopped between the two renames of swapFolder
+ */
+function restoreInterruptedSwap(outputPath) {
+	var previousPath = getPreviousPath(outputPath);
+
+	if (!fs.existsSync(outputPath) && fs.existsSync(previousPath)) {
+		console.log('Restoring the previous output', previousPath);
+		fs.renameSync(previousPath, outputPath);
+	}
+}
+
+/**
+ * Returns {id, validationErrors, unchanged} for the version, or null when the folder has no info.json
+ */
 function convertFolder(inputPath) {
 
 	var infoFilePath = path.join(inputPath, 'info.json'),
-		startDate = new Date();
+		startDate = new Date(),
+		validationErrors = 0;
 
 	if (fs.existsSync(infoFilePath)) {
 
 		var info = JSON.parse( fs.readFileSync(infoFilePath, 'utf8') ),
 			generatorName = info.generator,
 			outputPath = path.join(baseOutput, info['id']),
-			indexOutputPath = path.join(outputPath, 'index'),
-			indexLemmaOutputPath = path.join(outputPath, 'indexlemma'),
 			generator = null;
 
 		try {
@@ -119,21 +303,61 @@ function convertFolder(inputPath) {
 				generatorName + '.js'
 			));
 		} catch (ex) {
-			console.error('Error processing generator "' + generatorName + '":', ex.message)
-			return;
+			throw new Error('Error processing generator "' + generatorName + '": ' + ex.message);
 		}
 
+		var fingerprint = getFingerprint(inputPath, generatorName, generator);
+
 		console.log('-----');
 		console.log(info['name'],  outputPath);
 
-		// DELETE: existing data
-		cleanFolder(outputPath);
+		restoreInterruptedSwap(outputPath);
+
+		if (!forceConvert && isUnchanged(outputPath, fingerprint)) {
+			console.log('Unchanged since the last conversion, skipping (use -f to convert it anyway)');
+
+			if (failOnValidationErrors) {
+				validationErrors = getSavedValidationErrors(info['id']);
+			}
+
+			return {id: info['id'], validationErrors: validationErrors, unchanged: true};
+		}
+
+		// written next to the output (same filesystem) and renamed into place when complete
+		stagingPath = path.join(baseOutput, '.' + info['id'] + '.staging');
+
+		var indexOutputPath = path.join(stagingPath, 'index'),
+			indexLemmaOutputPath = path.join(stagingPath, 'indexlemma');
+
+		// DELETE: what is left of a conversion that was stopped, the current output stays online
+		rmrf(stagingPath);
+		mkdirp(stagingPath);
+
+		if (typeof generator.outputAlignment != 'undefined') {
+			generator.outputAlignment = outputAlignment;
+		}
 
 		// RUN GENERATOR
 		console.time('processText');
 		var data = generator.generate(inputPath, info, createIndex, startProgress, updateProgress);
 		console.timeEnd('processText');
 
+		// validation report
+		if (typeof data.validationReport != 'undefined') {
+			mkdirp(baseValidation);
+			fs.writeFileSync(path.join(baseValidation, info['id'] + '.json'), JSON.stringify(data.validationReport, null, 2));
+			if (failOnValidationErrors && data.validationReport.errors > 0) {
+				console.error('The validation report has ' + data.validationReport.errors + ' errors: ' + path.join(baseValidation, info['id'] + '.json'));
+				validationErrors = data.validationReport.errors;
+
+				// the previous output stays online and the version is converted again next time
+				rmrf(stagingPath);
+				stagingPath = null;
+
+				return {id: info['id'], validationErrors: validationErrors, unchanged: false};
+			}
+		}
+
 		// create chapters
 		console.time('outputFiles');
 		for (var i=0, il=data.chapterData.length; i<il; i++) {
@@ -144,7 +368,7 @@ function convertFolder(inputPath) {
 								(typeof (thisChapter.notes) != 'undefined' ? bibleFormatter.breakChar + '<div class="footnotes">' + bibleFormatter.breakChar + thisChapter.notes + bibleFormatter.breakChar + '</div>' + bibleFormatter.breakChar: '') +
 								bibleFormatter.closeChapterDocument(info, thisChapter),
 
-				filePath = path.join(outputPath, thisChapter.id + '.html');
+				filePath = path.join(stagingPath, thisChapter.id + '.html');
 
 			fs.writeFileSync(filePath, chapterHtml);
 		}
@@ -189,11 +413,11 @@ function convertFolder(inputPath) {
 				}
 			}
 			singleBookIndexHtml += bibleFormatter.closeBookIndex();
-			fs.writeFileSync( path.join(outputPath, dbsCode + '.html') , singleBookIndexHtml);
+			fs.writeFileSync( path.join(stagingPath, dbsCode + '.html') , singleBookIndexHtml);
 		}
 		booksIndexHtml += bibleFormatter.closeVersionIndex(info);
 
-		fs.writeFileSync( path.join(outputPath, 'index.html') , booksIndexHtml);
+		fs.writeFileSync( path.join(stagingPath, 'index.html') , booksIndexHtml);
 
 
 		// DO chapters index
@@ -209,10 +433,15 @@ function convertFolder(inputPath) {
 			console.time('createLemma');
 			verseIndexer.createIndexFiles(indexLemmaOutputPath, data.indexLemmaData, 'strongs');
 			console.timeEnd('createLemma');
+
+			// _stems_ files, so the search finds other forms of the word
+			if (wordNormalizer.getStemmer(info.lang) != null) {
+				indexToStems.create_stems_index(info.id, info, stagingPath);
+			}
 		}
 
 		// save info
-		var infoPath = path.join(outputPath, 'info.json');
+		var infoPath = path.join(stagingPath, 'info.json');
 		fs.writeFileSync(infoPath, JSON.stringify(info));
 
 		// save about
@@ -220,34 +449,271 @@ function convertFolder(inputPath) {
 						(typeof data.aboutHtml != 'undefined' ? data.aboutHtml : '') +
 						bibleFormatter.closeAboutPage(info),
 
-			aboutPath = path.join(outputPath, 'about.html');
+			aboutPath = path.join(stagingPath, 'about.html');
 
 		fs.writeFileSync(aboutPath, aboutPage);
 
 		if (typeof info.stylesheet != 'undefined') {
 			var inStylePath = path.join(inputPath, info.stylesheet),
 				inStyleText = fs.readFileSync(inStylePath, 'utf8' ),
-				outStylePath = path.join(outputPath, info.stylesheet);
+				outStylePath = path.join(stagingPath, info.stylesheet);
 
 			fs.writeFileSync(outStylePath, inStyleText);
 
 			console.log('Copying stylesheet', inStylePath, outStylePath);
 		}
 
+		// saved last, so a conversion that stopped halfway is never skipped
+		fs.writeFileSync(path.join(stagingPath, fingerprintFilename), JSON.stringify(fingerprint, null, 2));
+
+		swapFolder(stagingPath, outputPath);
+		stagingPath = null;
+
 		console.log('-time: ' + MillisecondsToDuration((new Date()) - startDate));
+
+		return {id: info['id'], validationErrors: validationErrors, unchanged: false};
 	}
 
-	return;
+	return null;
+}
+
+/**
+ * Converts one folder and returns {folder, id, time, unchanged, error} for the report, so one broken version doesn't stop the others
+ */
+function runFolder(inputPath) {
+	var startDate = new Date(),
+		result = {folder: path.basename(inputPath), id: null, time: 0, unchanged: false, error: null};
+
+	try {
+		var version = convertFolder(inputPath);
+
+		if (version !== null) {
+			result.id = version.id;
+			result.unchanged = version.unchanged;
+
+			if (version.validationErrors > 0) {
+				result.error = 'The validation report has ' + version.validationErrors + ' errors';
+			}
+		}
+	} catch (ex) {
+		console.error('Error converting ' + inputPath + ':', ex.stack || ex.message);
+		result.error = ex.message.split('\n')[0];
+
+		// the previous output stays online
+		if (stagingPath !== null) {
+			rmrf(stagingPath);
+			stagingPath = null;
+		}
+	}
+
+	result.time = (new Date()) - startDate;
+
+	return result;
 }
 
 function convertTexts(baseInput, texts) {
 	mkdirp(baseOutput);
 
-	texts = texts === undefined ? fs.readdirSync(baseInput) : texts;
+	texts = texts === undefined ? getVersionFolders(baseInput) : texts;
+
+	var inputPaths = texts.map(function(textFoldername) {
+		return path.join(baseInput, textFoldername);
+	});
+
+	if (workerCount > 1 && inputPaths.length > 1) {
+		convertWithWorkers(inputPaths, Math.min(workerCount, inputPaths.length));
+	} else {
+		reportResults(inputPaths.map(runFolder));
+	}
+}
+
+/**
+ * Sends the folders to a pool of child processes (this script with --worker), one folder at a time to each
+ */
+function convertWithWorkers(inputPaths, poolSize) {
+	var queue = inputPaths.slice(0),
+		results = [],
+		// folder => ratio of its books done
+		versionProgress = {},
+		runningWorkers = 0,
+		workerArgs = ['--worker'];
+
+	if (createIndex) {
+		workerArgs.push('-i');
+	}
+	if (outputAlignment) {
+		workerArgs.push('-l');
+	}
+	if (failOnValidationErrors) {
+		workerArgs.push('-s');
+	}
+	if (forceConvert) {
+		workerArgs.push('-f');
+	}
+
+	progressBar = new ProgressBar('[:bar] :percent :elapseds :versions', {total: inputPaths.length * 100, width: 50});
+
+	function drawProgress() {
+		var ratio = 0;
+
+		for (var inputPath in versionProgress) {
+			ratio += versionProgress[inputPath];
+		}
+
+		progressBar.update(Math.min(ratio / inputPaths.length, 1), {versions: results.length + '/' + inputPaths.length + ' versions'});
+	}
+
+	function setVersionProgress(inputPath, ratio) {
+		versionProgress[inputPath] = Math.max(versionProgress[inputPath] || 0, ratio);
+
+		drawProgress();
+	}
+
+	function sendNextFolder(worker) {
+		if (queue.length === 0) {
+			worker.currentPath = null;
+			worker.disconnect();
+			return;
+		}
+
+		worker.currentPath = queue.shift();
+		worker.send({type: 'convert', inputPath: worker.currentPath});
+	}
+
+	function forkWorker() {
+		// the output of the workers would garble the progress bar, they send it with their results
+		var worker = childProcess.fork(__filename, workerArgs, {silent: true});
+
+		runningWorkers++;
+
+		// what the worker couldn't capture itself, ie. the stack of an uncaught exception
+		worker.output = '';
+		// its stdout, stderr and exit, 'close' isn't emitted after disconnect()
+		worker.pendingEvents = 3;
+		[worker.stdout, worker.stderr].forEach(function(stream) {
+			stream.on('data', function(chunk) {
+				worker.output += chunk.toString();
+			});
+			stream.on('end', function() {
+				endWorker(worker);
+			});
+		});
+
+		worker.on('message', function(message) {
+			switch (message.type) {
+				case 'progress':
+					if (message.total > 0) {
+						setVersionProgress(worker.currentPath, message.current / message.total);
+					}
+					break;
+				case 'done':
+					results.push(message.result);
+					setVersionProgress(worker.currentPath, 1);
+					sendNextFolder(worker);
+					break;
+			}
+		});
+
+		worker.on('exit', function() {
+			endWorker(worker);
+		});
+
+		sendNextFolder(worker);
+	}
+
+	// once the worker exited and its output is read
+	function endWorker(worker) {
+		worker.pendingEvents--;
+		if (worker.pendingEvents > 0) {
+			return;
+		}
+
+		runningWorkers--;
+
+		// the worker died in the middle of a version
+		if (worker.currentPath) {
+			results.push({folder: path.basename(worker.currentPath), id: null, time: 0, unchanged: false, error: 'The worker exited with code ' + worker.exitCode, log: worker.output});
+			setVersionProgress(worker.currentPath, 1);
+			worker.currentPath = null;
+
+			if (queue.length > 0) {
+				forkWorker();
+			}
+		}
+
+		if (runningWorkers === 0) {
+			// the report follows the order of the folders
+			results.sort(function(a, b) {
+				return inputPaths.indexOf(path.join(baseInput, a.folder)) - inputPaths.indexOf(path.join(baseInput, b.folder));
+			});
+			reportResults(results);
+		}
+	}
+
+	for (var i=0; i<poolSize; i++) {
+		forkWorker();
+	}
+}
+
+/**
+ * In a child process (--worker), convert each folder the parent sends and send back the result,
+ * with what the conversion printed in result.log
+ */
+function startWorker() {
+	var log = '';
+
+	[process.stdout, process.stderr].forEach(function(stream) {
+		stream.write = function(chunk, encoding, callback) {
+			log += chunk.toString();
+
+			callback = typeof encoding == 'function' ? encoding : callback;
+			if (typeof callback == 'function') {
+				callback();
+			}
+
+			return true;
+		};
+	});
+
+	process.on('message', function(message) {
+		if (message.type == 'convert') {
+			log = '';
+
+			var result = runFolder(message.inputPath);
+			result.log = log;
+
+			process.send({type: 'done', result: result});
+		}
+	});
+}
+
+function reportResults(results) {
+	var failed = results.filter(function(result) { return result.error !== null; }),
+		unchanged = results.filter(function(result) { return result.unchanged; });
 
-	texts.forEach(function(textFoldername) {
-		convertFolder(path.join(baseInput, textFoldername));
+	console.log('-----');
+
+	results.forEach(function(result) {
+		console.log(
+			(result.folder + '                              ').substr(0, 30) + ' ' +
+			MillisecondsToDuration(result.time) + ' ' +
+			(result.error !== null ? 'FAILED: ' + result.error : (result.id === null ? 'skipped (no info.json)' : (result.unchanged ? 'unchanged' : 'done')))
+		);
 	});
+
+	console.log(results.length + ' versions, ' + unchanged.length + ' unchanged, ' + failed.length + ' failed');
+
+	// the output of the failed versions converted by the workers (see startWorker)
+	failed.forEach(function(result) {
+		if (result.log) {
+			console.log('----- ' + result.folder);
+			console.log(result.log.replace(/\s+$/, ''));
+		}
+	});
+
+	if (failed.length > 0) {
+		process.exitCode = 1;
+	}
 }
 
 function MillisecondsToDuration(n) {
@@ -281,34 +747,62 @@ function getDirectories(srcpath) {
   });
 }
 /**
- * Remove all the current directories in the baseOutput path
+ * Get the folders of the versions in the input path, without the files next to them (ie. uw-manifest.json)
+ * and the hidden folders (ie. the .uw-staging download folder)
+ *
+ * @param  {string} srcpath The input path
+ *
+ * @return {array}         An array of folder names
+ */
+function getVersionFolders(srcpath) {
+	return getDirectories(srcpath).filter(function(folder) {
+		return folder.charAt(0) != '.';
+	});
+}
+/**
+ * Get the ids of the versions in the input path (from their info.json)
+ *
+ * @param  {string} srcpath The input path
+ *
+ * @return {array}         An array of version ids
+ */
+function getInputIds(srcpath) {
+	return getDirectories(srcpath).map(function(folder) {
+		var infoFilePath = path.join(srcpath, folder, 'info.json');
+
+		try {
+			return JSON.parse(fs.readFileSync(infoFilePath, 'utf8')).id;
+		} catch (ex) {
+			return null;
+		}
+	}).filter(function(id) {
+		return id != null;
+	});
+}
+/**
+ * Remove the current directories in the baseOutput path, except the versions that are kept
  *
  * @param {String} baseOutput The base output path
+ * @param {Array} keepIds The ids of the versions to keep (they are replaced when converted)
  * @return {void}
  *
  * @author Johnathan Pulos <johnathan@missionaldigerati.org>
  */
-function cleanBaseOutputPath(baseOutput) {
-	console.log("Removing the existing directories.")
+function cleanBaseOutputPath(baseOutput, keepIds) {
 	var baseAbsolutePath = path.resolve(baseOutput);
+	// the first conversion
+	if (!fs.existsSync(baseAbsolutePath)) {
+		return;
+	}
+	console.log("Removing the existing directories.");
 	var directories = getDirectories(baseAbsolutePath);
 	var deleteDirectories = [];
+	keepIds = keepIds || [];
 	for (var i = 0; i < directories.length; i++) {
+		if (keepIds.indexOf(directories[i]) > -1) {
+			continue;
+		}
 		deleteDirectories.push(path.join(baseAbsolutePath, directories[i]));
-	};
+	}
 	del.sync(deleteDirectories, {force: true });
-};
-/**
- * Get all the directories in the given path
- *
- * @param  {string} srcpath The path to search
- *
- * @return {array}         An array of directories in that path
- *
- * @author Johnathan Pulos <johnathan@missionaldigerati.org>
- */
-function getDirectories(srcpath) {
-  return fs.readdirSync(srcpath).filter(function(file) {
-    return fs.statSync(path.join(srcpath, file)).isDirectory();
-  });
 }
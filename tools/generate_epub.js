@@ -0,0 +1,567 @@
+/**
+* Packages versions built by generate.js (./app/content/texts/ID/) into EPUB 3 files that can be
+* read offline on an e-reader.
+*
+* - the navigation document lists the books (info.divisions) and their chapters (info.sections)
+* - the about page is the front matter
+* - the footnotes become EPUB popup notes (noteref + aside)
+* - right to left versions (info.dir) turn their pages from right to left
+*
+* node tools/generate_epub.js -v uw_en_ulb,uw_fr_ulb
+*
+* See options for details on running
+*/
+
+
+// MODULES
+var fs = require('fs'),
+	path = require('path'),
+	zlib = require('zlib'),
+	mkdirp = require('mkdirp').sync,
+	jsdom = require('jsdom'),
+	iso2iana = require('./iso2iana.js'),
+	argv = require('minimist')(process.argv.slice(2));
+
+
+// VARS
+var
+	baseInput = path.join('app', 'content', 'texts'),
+	baseOutput = argv['o'] || 'epub',
+	breakChar = '\n',
+	// the elements that are kept, the other ones (ie. the <l> and <w> of the lemma texts) become a span
+	htmlElements = ['a', 'aside', 'b', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+					'hr', 'i', 'li', 'ol', 'p', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'],
+	voidElements = ['br', 'hr'],
+	htmlAttributes = ['id', 'class', 'dir', 'lang', 'href', 'title', 'epub:type'],
+	stylesheet = [
+		'body { margin: 0 1em; }',
+		'.mt, .mt1, .mt2, .mt3 { font-size: 1.5em; font-weight: bold; text-align: center; margin: 1em 0; }',
+		'.c { font-size: 2em; font-weight: bold; margin: 0.5em 0; }',
+		'.s, .s1, .s2, .ms, .ms1 { font-weight: bold; margin: 1em 0 0.5em 0; }',
+		'.p, .m { margin: 0.5em 0; text-indent: 1em; }',
+		'.q, .q1 { margin: 0 0 0 2em; }',
+		'.q2 { margin: 0 0 0 3em; }',
+		'.v-num { font-size: 0.7em; vertical-align: super; }',
+		'.noteref { font-size: 0.7em; vertical-align: super; }',
+		'aside.footnote { font-size: 0.9em; }',
+		'.about dt { font-weight: bold; }',
+		'nav ol { list-style: none; }'
+	].join(breakChar),
+	// the DOM used to rewrite the chapters
+	window = null,
+	$ = null,
+	// the CRC-32 of each byte, for the zip entries
+	crcTable = null;
+
+if (require.main === module) {
+	run();
+}
+
+
+// Functions
+
+/**
+ * The command line: parse the arguments and process the versions
+ */
+function run() {
+	// parse arguments
+	if (argv['h'] || (!argv['a'] && typeof argv['v'] == 'undefined')) {
+		console.log('----------------\n' +
+					'EPUB Generator Help\n' +
+					'-a Package all the versions in ' + baseInput + '\n' +
+					'-v VERSION,VERSION = only some versions\n' +
+					'-o PATH = the output directory (default epub)\n');
+		return;
+	}
+
+	var versions = argv['a'] ? getDirectories(baseInput) : String(argv['v']).split(','),
+		failed = 0;
+
+	mkdirp(baseOutput);
+
+	versions.forEach(function(id) {
+		try {
+			if (createEpub(path.join(baseInput, id), baseOutput)) {
+				console.log(id + ': ' + path.join(baseOutput, id + '.epub'));
+			}
+		} catch (ex) {
+			console.error(id + ': FAILED ' + ex.message);
+			failed++;
+		}
+	});
+
+	if (failed > 0) {
+		process.exitCode = 1;
+	}
+}
+
+/**
+ * Creates ID.epub in the output path from a built version, returns false when the folder is not a version
+ */
+function createEpub(textPath, outputPath) {
+	var infoPath = path.join(textPath, 'info.json');
+
+	// .ID.staging and .ID.previous folders (see generate.js) and the files next to the versions
+	if (path.basename(textPath).charAt(0) == '.' || !fs.existsSync(infoPath)) {
+		return false;
+	}
+
+	var info = JSON.parse(fs.readFileSync(infoPath, 'utf8')),
+		lang = iso2iana.convert(info.lang),
+		dir = info.dir || 'ltr',
+		files = [],
+		chapters = [],
+		styles = [{id: 'style', href: 'style.css', content: stylesheet}];
+
+	if (typeof info.sections == 'undefined' || typeof info.divisions == 'undefined') {
+		throw new Error('The info.json has no divisions or sections');
+	}
+
+	// the version's own stylesheet (see info.stylesheet in generate.js)
+	if (typeof info.stylesheet != 'undefined' && fs.existsSync(path.join(textPath, info.stylesheet))) {
+		styles.push({id: 'version-style', href: path.basename(info.stylesheet), content: fs.readFileSync(path.join(textPath, info.stylesheet), 'utf8')});
+	}
+
+	info.sections.forEach(function(sectionid) {
+		var chapterPath = path.join(textPath, sectionid + '.html');
+
+		if (!fs.existsSync(chapterPath)) {
+			console.log(info.id + ': missing ' + chapterPath);
+			return;
+		}
+
+		chapters.push({
+			id: sectionid,
+			title: getChapterTitle(info, sectionid),
+			html: fs.readFileSync(chapterPath, 'utf8')
+		});
+	});
+
+	// front matter
+	var aboutPath = path.join(textPath, 'about.html');
+	if (fs.existsSync(aboutPath)) {
+		files.push({
+			id: 'about',
+			href: 'about.xhtml',
+			linear: true,
+			content: openXhtmlDocument(info.name + ' (' + info.abbr + ')', lang, dir, styles) +
+						'<section class="about" epub:type="frontmatter">' + breakChar +
+						convertHtml(getBodyHtml(fs.readFileSync(aboutPath, 'utf8')), info, null).html +
+						'</section>' + breakChar +
+						closeXhtmlDocument()
+		});
+	}
+
+	files.push({
+		id: 'nav',
+		href: 'nav.xhtml',
+		properties: 'nav',
+		linear: true,
+		content: createNavDocument(info, chapters, lang, dir, styles)
+	});
+
+	chapters.forEach(function(chapter) {
+		files.push({
+			id: 'c-' + chapter.id,
+			href: chapter.id + '.xhtml',
+			linear: true,
+			content: createChapterDocument(info, chapter, lang, dir, styles)
+		});
+	});
+
+	var entries = [
+		{name: 'mimetype', data: 'application/epub+zip', store: true},
+		{name: 'META-INF/container.xml', data: createContainer()},
+		{name: 'OEBPS/content.opf', data: createPackageDocument(info, lang, dir, files, styles)}
+	];
+
+	files.concat(styles).forEach(function(file) {
+		entries.push({name: 'OEBPS/' + file.href, data: file.content});
+	});
+
+	fs.writeFileSync(path.join(outputPath, info.id + '.epub'), createZip(entries));
+
+	return true;
+}
+
+function getChapterTitle(info, sectionid) {
+	var dbsCode = sectionid.substr(0, 2),
+		bookName = info.divisionNames[info.divisions.indexOf(dbsCode)] || dbsCode;
+
+	return bookName + ' ' + sectionid.substr(2);
+}
+
+function getBodyHtml(html) {
+	var match = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+
+	return match ? match[1] : html;
+}
+
+function escapeXml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+function openXhtmlDocument(title, lang, dir, styles) {
+	return '<?xml version="1.0" encoding="utf-8"?>' + breakChar +
+			'<!DOCTYPE html>' + breakChar +
+			'<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="' + escapeXml(lang) + '" xml:lang="' + escapeXml(lang) + '" dir="' + dir + '">' + breakChar +
+			'<head>' + breakChar +
+				'<meta charset="utf-8" />' + breakChar +
+				'<title>' + escapeXml(title) + '</title>' + breakChar +
+				styles.map(function(style) {
+					return '<link href="' + escapeXml(style.href) + '" rel="stylesheet" type="text/css" />' + breakChar;
+				}).join('') +
+			'</head>' + breakChar +
+			'<body dir="' + dir + '">' + breakChar;
+}
+
+function closeXhtmlDocument() {
+	return '</body>' + breakChar +
+			'</html>';
+}
+
+/**
+ * The chapter without the website navigation, with its footnotes as popup notes
+ */
+function createChapterDocument(info, chapter, lang, dir, styles) {
+	var bodyHtml = getBodyHtml(chapter.html),
+		converted = convertHtml(bodyHtml, info, chapter.id);
+
+	return openXhtmlDocument(chapter.title + ' (' + info.abbr + ')', lang, dir, styles) +
+			converted.html +
+			converted.notes.map(function(note) {
+				return '<aside class="footnote" epub:type="footnote" id="fn-' + note.number + '">' +
+							'<p><a href="#noteref-' + note.number + '">' + escapeXml(note.key) + '</a> ' + note.html + '</p>' +
+						'</aside>' + breakChar;
+			}).join('') +
+			closeXhtmlDocument();
+}
+
+/**
+ * Rewrites the html of a page into XHTML.  For a chapter (sectionid), only the .section is kept and
+ * the notes, inline (<span class="note"><a class="key"/><span class="text"/></span>) or in the .footnotes
+ * list (<span class="footnote" id="footnote-1"><span class="text"/></span>), are returned as {number, key, html}
+ */
+function convertHtml(html, info, sectionid) {
+	var container = getContainer(html),
+		notes = [];
+
+	if (sectionid !== null) {
+		var footnotes = container.find('.footnotes'),
+			section = container.find('.section');
+
+		container.find('.header, .footer').remove();
+
+		if (section.length > 0) {
+			footnotes.detach();
+			container.children().not(section).remove();
+		}
+
+		container.find('.note').each(function(i) {
+			var note = $(this),
+				key = note.find('.key'),
+				text = note.find('.text'),
+				number = i + 1,
+				noteref = window.document.createElement('a');
+
+			// the text is in the .footnotes list
+			if (text.length === 0 && key.attr('href')) {
+				text = footnotes.find('[id="' + key.attr('href').replace('#', '') + '"] .text');
+			}
+
+			notes.push({
+				number: number,
+				key: key.length > 0 ? key.text() : String(number),
+				html: text.length > 0 ? serializeChildren(text[0], info) : ''
+			});
+
+			noteref.setAttribute('epub:type', 'noteref');
+			noteref.setAttribute('class', 'noteref');
+			noteref.setAttribute('id', 'noteref-' + number);
+			noteref.setAttribute('href', '#fn-' + number);
+			noteref.textContent = notes[notes.length - 1].key;
+
+			note.replaceWith(noteref);
+		});
+	}
+
+	return {
+		html: serializeChildren(container[0], info),
+		notes: notes
+	};
+}
+
+function getContainer(html) {
+	if (window === null) {
+		window = jsdom.jsdom('').defaultView;
+		$ = require('jquery')(window);
+	}
+
+	var container = window.document.createElement('div');
+	container.innerHTML = html;
+
+	return $(container);
+}
+
+/**
+ * Serializes the children of the node as XHTML
+ */
+function serializeChildren(node, info) {
+	var xhtml = '';
+
+	for (var i=0, il=node.childNodes.length; i<il; i++) {
+		xhtml += serializeNode(node.childNodes[i], info);
+	}
+
+	return xhtml;
+}
+
+function serializeNode(node, info) {
+	// text
+	if (node.nodeType == 3) {
+		return escapeXml(node.nodeValue);
+	}
+	// comments and scripts
+	if (node.nodeType != 1 || ['script', 'style', 'link', 'meta'].indexOf(node.nodeName.toLowerCase()) > -1) {
+		return '';
+	}
+
+	var tagName = node.nodeName.toLowerCase(),
+		attributes = '',
+		className = node.getAttribute('class');
+
+	if (htmlElements.indexOf(tagName) == -1) {
+		className = tagName + (className ? ' ' + className : '');
+		tagName = 'span';
+	}
+
+	for (var i=0, il=node.attributes.length; i<il; i++) {
+		var name = node.attributes[i].name,
+			value = node.attributes[i].value;
+
+		if (name == 'class') {
+			continue;
+		}
+		if (name == 'href') {
+			value = convertHref(value, info);
+		}
+		if (value !== null && (htmlAttributes.indexOf(name) > -1 || name.indexOf('data-') === 0)) {
+			attributes += ' ' + name + '="' + escapeXml(value) + '"';
+		}
+	}
+	if (className) {
+		attributes = ' class="' + escapeXml(className) + '"' + attributes;
+	}
+
+	if (voidElements.indexOf(tagName) > -1) {
+		return '<' + tagName + attributes + ' />';
+	}
+
+	return '<' + tagName + attributes + '>' + serializeChildren(node, info) + '</' + tagName + '>';
+}
+
+/**
+ * Links to the chapters of the version point to the .xhtml file, the other links are removed
+ */
+function convertHref(href, info) {
+	if (href.charAt(0) == '#') {
+		return href;
+	}
+
+	var parts = href.match(/^([A-Z0-9]+)\.html(#.*)?$/);
+
+	if (parts && info.sections.indexOf(parts[1]) > -1) {
+		return parts[1] + '.xhtml' + (parts[2] || '');
+	}
+
+	return null;
+}
+
+/**
+ * The navigation document: the books, each with the list of its chapters
+ */
+function createNavDocument(info, chapters, lang, dir, styles) {
+	var nav = openXhtmlDocument(info.name, lang, dir, styles) +
+				'<nav epub:type="toc" id="toc">' + breakChar +
+				'<h1>' + escapeXml(info.name) + '</h1>' + breakChar +
+				'<ol>' + breakChar;
+
+	info.divisions.forEach(function(dbsCode, index) {
+		var bookChapters = chapters.filter(function(chapter) {
+			return chapter.id.substr(0, 2) == dbsCode;
+		});
+
+		if (bookChapters.length === 0) {
+			return;
+		}
+
+		nav += '<li><a href="' + bookChapters[0].id + '.xhtml">' + escapeXml(info.divisionNames[index] || dbsCode) + '</a>' + breakChar +
+				'<ol>' + breakChar +
+				bookChapters.map(function(chapter) {
+					return '<li><a href="' + chapter.id + '.xhtml">' + escapeXml(chapter.id.substr(2)) + '</a></li>';
+				}).join(breakChar) + breakChar +
+				'</ol></li>' + breakChar;
+	});
+
+	nav += '</ol>' + breakChar +
+			'</nav>' + breakChar;
+
+	if (chapters.length > 0) {
+		nav += '<nav epub:type="landmarks" hidden="hidden">' + breakChar +
+				'<ol>' + breakChar +
+				'<li><a epub:type="toc" href="nav.xhtml">' + escapeXml(info.name) + '</a></li>' + breakChar +
+				'<li><a epub:type="bodymatter" href="' + chapters[0].id + '.xhtml">' + escapeXml(chapters[0].title) + '</a></li>' + breakChar +
+				'</ol>' + breakChar +
+				'</nav>' + breakChar;
+	}
+
+	return nav + closeXhtmlDocument();
+}
+
+function createContainer() {
+	return '<?xml version="1.0" encoding="utf-8"?>' + breakChar +
+			'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' + breakChar +
+				'<rootfiles>' + breakChar +
+					'<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />' + breakChar +
+				'</rootfiles>' + breakChar +
+			'</container>';
+}
+
+function createPackageDocument(info, lang, dir, files, styles) {
+	var modified = (new Date()).toISOString().replace(/\.\d+Z$/, 'Z');
+
+	return '<?xml version="1.0" encoding="utf-8"?>' + breakChar +
+			'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="' + escapeXml(lang) + '" dir="' + dir + '">' + breakChar +
+			'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' + breakChar +
+				'<dc:identifier id="book-id">' + escapeXml(info.id) + '</dc:identifier>' + breakChar +
+				'<dc:title>' + escapeXml(info.name) + '</dc:title>' + breakChar +
+				'<dc:language>' + escapeXml(lang) + '</dc:language>' + breakChar +
+				'<meta property="dcterms:modified">' + modified + '</meta>' + breakChar +
+			'</metadata>' + breakChar +
+			'<manifest>' + breakChar +
+				files.map(function(file) {
+					return '<item id="' + file.id + '" href="' + file.href + '" media-type="application/xhtml+xml"' + (file.properties ? ' properties="' + file.properties + '"' : '') + ' />';
+				}).concat(styles.map(function(style) {
+					return '<item id="' + style.id + '" href="' + escapeXml(style.href) + '" media-type="text/css" />';
+				})).join(breakChar) + breakChar +
+			'</manifest>' + breakChar +
+			'<spine' + (dir == 'rtl' ? ' page-progression-direction="rtl"' : '') + '>' + breakChar +
+				files.map(function(file) {
+					return '<itemref idref="' + file.id + '"' + (file.linear ? '' : ' linear="no"') + ' />';
+				}).join(breakChar) + breakChar +
+			'</spine>' + breakChar +
+			'</package>';
+}
+
+function crc32(buffer) {
+	if (crcTable === null) {
+		crcTable = [];
+		for (var n=0; n<256; n++) {
+			var c = n;
+			for (var k=0; k<8; k++) {
+				c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+			}
+			crcTable[n] = c >>> 0;
+		}
+	}
+
+	var crc = 0xFFFFFFFF;
+	for (var i=0, il=buffer.length; i<il; i++) {
+		crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+	}
+
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * A zip file of [{name, data, store}], the entries with store (the EPUB mimetype) are not compressed
+ */
+function createZip(entries) {
+	var now = new Date(),
+		dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+		dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate(),
+		localParts = [],
+		centralParts = [],
+		offset = 0;
+
+	entries.forEach(function(entry) {
+		var name = Buffer.from(entry.name, 'utf8'),
+			data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8'),
+			compressed = entry.store ? data : zlib.deflateRawSync(data),
+			crc = crc32(data),
+			local = Buffer.alloc(30),
+			central = Buffer.alloc(46);
+
+		local.writeUInt32LE(0x04034b50, 0);
+		local.writeUInt16LE(20, 4);
+		local.writeUInt16LE(0x0800, 6); // utf-8 names
+		local.writeUInt16LE(entry.store ? 0 : 8, 8);
+		local.writeUInt16LE(dosTime, 10);
+		local.writeUInt16LE(dosDate, 12);
+		local.writeUInt32LE(crc, 14);
+		local.writeUInt32LE(compressed.length, 18);
+		local.writeUInt32LE(data.length, 22);
+		local.writeUInt16LE(name.length, 26);
+		local.writeUInt16LE(0, 28);
+
+		central.writeUInt32LE(0x02014b50, 0);
+		central.writeUInt16LE(20, 4);
+		central.writeUInt16LE(20, 6);
+		central.writeUInt16LE(0x0800, 8);
+		central.writeUInt16LE(entry.store ? 0 : 8, 10);
+		central.writeUInt16LE(dosTime, 12);
+		central.writeUInt16LE(dosDate, 14);
+		central.writeUInt32LE(crc, 16);
+		central.writeUInt32LE(compressed.length, 20);
+		central.writeUInt32LE(data.length, 24);
+		central.writeUInt16LE(name.length, 28);
+		central.writeUInt16LE(0, 30);
+		central.writeUInt16LE(0, 32);
+		central.writeUInt16LE(0, 34);
+		central.writeUInt16LE(0, 36);
+		central.writeUInt32LE(0, 38);
+		central.writeUInt32LE(offset, 42);
+
+		localParts.push(local, name, compressed);
+		centralParts.push(central, name);
+
+		offset += local.length + name.length + compressed.length;
+	});
+
+	var centralDirectory = Buffer.concat(centralParts),
+		end = Buffer.alloc(22);
+
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(0, 4);
+	end.writeUInt16LE(0, 6);
+	end.writeUInt16LE(entries.length, 8);
+	end.writeUInt16LE(entries.length, 10);
+	end.writeUInt32LE(centralDirectory.length, 12);
+	end.writeUInt32LE(offset, 16);
+	end.writeUInt16LE(0, 20);
+
+	return Buffer.concat(localParts.concat([centralDirectory, end]));
+}
+
+/**
+ * Get all the directories in the given path
+ *
+ * @param  {string} srcpath The path to search
+ *
+ * @return {array}         An array of directories in that path
+ */
+function getDirectories(srcpath) {
+	return fs.readdirSync(srcpath).filter(function(file) {
+		return fs.statSync(path.join(srcpath, file)).isDirectory();
+	});
+}
+
+module.exports = {
+	createEpub: createEpub,
+	convertHtml: convertHtml,
+	createZip: createZip
+}
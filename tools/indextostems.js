@@ -1,27 +1,12 @@
 var fs = require('fs'),
 	path = require('path'),
 	base32 = require('base32'),
-	natural = require('natural');
+	wordNormalizer = require('./word_normalizer.js');
 
 
 
 var content_path = '../app/content/texts/';
 
-var stemmers = {
-		'eng': '', 
-		'esp': 'Es',
-		'spa': 'Es',
-
-		'fas': 'Fa',
-		'fra': 'Fr',
-		'ita': 'It',
-		'jpn': 'Ja',
-		'nor': 'No',
-		'pol': 'Pl',
-		'rus': 'Ru'
-
-};
-
 /*
 function create_stems(version) {
 	var version_path = path.join(content_path, version),
@@ -121,17 +106,14 @@ function create_stems_index_from_version(version) {
 
 function create_stems_index(version, info, version_path) {
 	var version_index_path = path.join(version_path, 'index'),
-		version_stem_path = path.join(version_index_path, 'stems.json');
-		stemmer = null;
+		version_stem_path = path.join(version_index_path, 'stems.json'),
+		stemmer = wordNormalizer.getStemmer(info.lang);
 
 	console.log('Stemming: ', info.name, info.abbr);
 	console.time('startStem');
 
 	// get language stemmer
-	if (typeof stemmers[info.lang] != 'undefined') {
-
-		stemmer = natural['PorterStemmer' + stemmers[info.lang]];
-	} else {
+	if (stemmer == null) {
 
 		console.log(' == No Stemmer for lang: ' + info.lang);
 
@@ -159,8 +141,8 @@ function create_stems_index(version, info, version_path) {
 		var index_file_name = index_files[i],
 			index_file_path = path.join(version_index_path, index_file_name);
 
-		// only use _1.js, _2.js, etc.
-		if (index_file_name.indexOf('_') != 0 || index_file_name.indexOf('stem') > -1) {
+		// only use _1.json, _2.json, etc. (not _stems_1.json or _terms.json)
+		if (!/^_\d+\.json$/.test(index_file_name)) {
 			continue;
 		}
 
@@ -325,8 +307,7 @@ function stem_all_available_languages() {
 	var overwrite_all = true;
 
 
-	var text_folders = fs.readdirSync(content_path),
-		langs = Object.keys(stemmers);
+	var text_folders = fs.readdirSync(content_path);
 
 	for (var i=0, il=text_folders.length; i<il; i++) {
 		var version_path = path.join(content_path, text_folders[i]);
@@ -341,7 +322,7 @@ function stem_all_available_languages() {
 			if (fs.existsSync(version_info_path)) {
 
 				var info = JSON.parse(fs.readFileSync(version_info_path, 'utf8')),
-					has_stemmer = langs.indexOf(info.lang) > -1;
+					has_stemmer = wordNormalizer.getStemmer(info.lang) != null;
 
 				if (has_stemmer && info.type == 'bible') {
 					try {
@@ -359,7 +340,13 @@ function stem_all_available_languages() {
 }
 
 
-stem_all_available_languages();
+if (require.main === module) {
+	stem_all_available_languages();
+}
+
+module.exports = {
+	create_stems_index: create_stems_index
+}
 
 //create_stems_index_from_version('spa_rv1909');
 
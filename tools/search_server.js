@@ -0,0 +1,585 @@
+/**
+* A Node search server, to use instead of app/search.php or app/search.ashx, which can also serve the app folder.
+* It answers the requests of TextSearch.startServerSearch (textid, search, query, divisions, callback) from
+* the indexes made by `generate.js -i`, and checks the verses with the SearchTools of app/js/texts/search.js
+* so the results are the same as searching in the browser.
+*
+* node tools/search_server.js -p 8080
+* and set sofia.config.serverSearchPath to 'search'
+*/
+
+var fs = require('fs'),
+	path = require('path'),
+	http = require('http'),
+	url = require('url'),
+	vm = require('vm'),
+	jsdom = require('jsdom'),
+	$ = require('jquery')(jsdom.jsdom('').defaultView),
+	XRegExp = require('xregexp'),
+	wordNormalizer = require('./word_normalizer.js'),
+	argv = require('minimist')(process.argv.slice(2));
+
+var
+	appPath = path.resolve(argv['a'] || path.join(__dirname, '..', 'app')),
+	contentPath = path.resolve(argv['c'] || path.join(appPath, 'content', 'texts')),
+	searchPath = '/' + (argv['s'] || 'search').replace(/^\//, ''),
+	port = parseInt(argv['p'], 10) || 8080,
+	serveApp = !argv['n'],
+
+	// the parsed index and chapter files, so each search doesn't read them again: path => {mtime, data}
+	fileCache = {},
+	cachedPaths = [],
+	MAXCACHEDFILES = 500,
+
+	// a query from the browser can't be deeper or wider than this
+	MAXQUERYDEPTH = 10,
+	MAXQUERYCHILDREN = 50,
+
+	contentTypes = {
+		'.html': 'text/html; charset=utf-8',
+		'.js': 'application/javascript; charset=utf-8',
+		'.json': 'application/json; charset=utf-8',
+		'.css': 'text/css; charset=utf-8',
+		'.png': 'image/png',
+		'.jpg': 'image/jpeg',
+		'.gif': 'image/gif',
+		'.svg': 'image/svg+xml',
+		'.ico': 'image/x-icon',
+		'.woff': 'application/font-woff',
+		'.ttf': 'application/x-font-ttf',
+		'.mp3': 'audio/mpeg',
+		'.mp4': 'video/mp4'
+	},
+
+	SearchTools = loadSearchTools();
+
+
+// SearchTools is written for the browser, so it gets jQuery and XRegExp as globals
+function loadSearchTools() {
+	var sandbox = {
+			$: $,
+			XRegExp: XRegExp,
+			sofia: {config: {baseContentUrl: ''}},
+			EventEmitter: {},
+			console: console
+		},
+		searchScript = fs.readFileSync(path.join(__dirname, '..', 'app', 'js', 'texts', 'search.js'), 'utf8');
+
+	vm.runInNewContext(searchScript, sandbox, {filename: 'search.js'});
+
+	return sandbox.SearchTools;
+}
+
+function readCached(filePath, parse, callback) {
+	fs.stat(filePath, function(err, stats) {
+		if (err) {
+			callback(err, null);
+			return;
+		}
+
+		var cached = fileCache[filePath];
+
+		// regenerated texts are read again
+		if (cached && cached.mtime == stats.mtime.getTime()) {
+			callback(null, cached.data);
+			return;
+		}
+
+		fs.readFile(filePath, 'utf8', function(err, text) {
+			var data = null;
+
+			if (err) {
+				callback(err, null);
+				return;
+			}
+
+			try {
+				data = parse(text);
+			} catch (ex) {
+				callback(ex, null);
+				return;
+			}
+
+			if (!cached) {
+				cachedPaths.push(filePath);
+
+				if (cachedPaths.length > MAXCACHEDFILES) {
+					delete fileCache[cachedPaths.shift()];
+				}
+			}
+			fileCache[filePath] = {mtime: stats.mtime.getTime(), data: data};
+
+			callback(null, data);
+		});
+	});
+}
+
+function readJson(filePath, callback) {
+	readCached(filePath, JSON.parse, callback);
+}
+
+// the verses of a chapter: {'JN3_16': '<span class="v JN3_16" data-id="JN3_16">...</span> '}
+// a verse split over paragraphs is in more than one span, like search.php they are joined
+function readChapter(filePath, callback) {
+	readCached(filePath, function(html) {
+		var verses = {};
+
+		$('<div></div>').html(html).find('span.v').each(function() {
+			var fragmentid = this.getAttribute('data-id'),
+				verse = $(this).clone();
+
+			// remove notes, like getFragmentHtml in SearchTools
+			verse.find('.note, .cf, .v-num, .verse-num').remove();
+
+			if (fragmentid) {
+				verses[fragmentid] = (verses[fragmentid] || '') + verse[0].outerHTML + ' ';
+			}
+		});
+
+		return verses;
+	}, callback);
+}
+
+function isStringList(list) {
+	return $.isArray(list) && list.length > 0 && list.length <= MAXQUERYCHILDREN && $.grep(list, function(item) { return typeof item != 'string'; }).length == 0;
+}
+
+// the parsed query comes from a browser, so check it's something SearchTools can walk
+function isValidQuery(node, depth) {
+	depth = depth || 0;
+
+	if (node == null || typeof node != 'object' || depth > MAXQUERYDEPTH) {
+		return false;
+	}
+
+	switch (node.type) {
+		case 'term':
+			return typeof node.key == 'string' && node.key != '';
+		case 'phrase':
+			return isStringList(node.words) && (typeof node.ngrams == 'undefined' || isStringList(node.ngrams));
+		case 'not':
+			return isValidQuery(node.child, depth + 1);
+		case 'near':
+			return typeof node.distance == 'number' && isFinite(node.distance) && node.distance >= 0 &&
+					$.isArray(node.children) && node.children.length == 2 && isValidQuery(node.children[0], depth + 1) && isValidQuery(node.children[1], depth + 1);
+		case 'and':
+		case 'or':
+			return $.isArray(node.children) && node.children.length > 0 && node.children.length <= MAXQUERYCHILDREN &&
+					$.grep(node.children, function(child) { return !isValidQuery(child, depth + 1); }).length == 0;
+	}
+
+	return false;
+}
+
+// a copy of a valid query with only the keys and types it was sent with: the terms are made again by createTerm,
+// so the flags (isWildcard, isLemma, stemWords, expansions) are the server's and not the browser's
+function rebuildQuery(node, lang) {
+	var children = [];
+
+	switch (node.type) {
+		case 'term':
+			return SearchTools.createTerm(node.key, lang);
+		case 'phrase':
+			var phrase = {
+				type: 'phrase',
+				words: $.map(node.words, function(word) { return SearchTools.normalize(word, lang); })
+			};
+
+			if (typeof node.ngrams != 'undefined') {
+				phrase.ngrams = node.ngrams.slice(0);
+			}
+
+			return phrase;
+		case 'not':
+			var child = rebuildQuery(node.child, lang);
+
+			return child != null ? {type: 'not', child: child} : null;
+		case 'near':
+			var first = rebuildQuery(node.children[0], lang),
+				second = rebuildQuery(node.children[1], lang);
+
+			return (first != null && second != null) ? {type: 'near', distance: Math.floor(node.distance), children: [first, second]} : (first || second);
+		case 'and':
+		case 'or':
+			for (var i=0, il=node.children.length; i<il; i++) {
+				children.push(rebuildQuery(node.children[i], lang));
+			}
+
+			return SearchTools.groupQuery(node.type, children);
+	}
+
+	return null;
+}
+
+function parseQuery(params, info) {
+	var query = null;
+
+	if (typeof params.query == 'string' && params.query != '') {
+		try {
+			query = JSON.parse(params.query);
+		} catch (ex) {
+			query = null;
+		}
+
+		query = isValidQuery(query) ? rebuildQuery(query, info.lang) : null;
+	}
+
+	// older clients only send the words
+	if (query == null && typeof params.search == 'string') {
+		query = SearchTools.parseQuery(params.search, info.lang);
+	}
+
+	return query;
+}
+
+// bless* => the words of the text starting with bless, from index/_terms.json
+function expandWildcards(textPath, query, warnings, guard, callback) {
+	var wildcardTerms = $.grep(SearchTools.getQueryTerms(query, true), function(term) { return term.isWildcard; });
+
+	if (wildcardTerms.length == 0) {
+		callback();
+		return;
+	}
+
+	readJson(path.join(textPath, 'index', '_terms.json'), guard(function(err, terms) {
+		// without a dictionary the wildcards have no index
+		if (!err && $.isArray(terms)) {
+			for (var i=0, il=wildcardTerms.length; i<il; i++) {
+				var term = wildcardTerms[i],
+					expansion = SearchTools.expandWildcard(term.key, terms);
+
+				term.expansions = expansion.words;
+
+				if (expansion.total > expansion.words.length) {
+					warnings.push({type: 'wildcard', term: term.key, total: expansion.total, limit: SearchTools.MAXWILDCARDTERMS});
+				}
+			}
+		}
+
+		callback();
+	}));
+}
+
+// the same files as SearchIndexLoader: key => fragmentids, [] when the key isn't in the index, missing when the index couldn't be read
+function loadTermIndexes(textPath, info, query, output, guard, callback) {
+	var indexTerms = SearchTools.getIndexTerms(query),
+		termIndexes = {},
+		stemmingData = null,
+		// unlike the browser, the server can stem words that aren't in the text (believing => believ)
+		stemmer = wordNormalizer.getStemmer(info.lang),
+		termIndex = -1;
+
+	function loadNextIndex() {
+		termIndex++;
+
+		if (termIndex >= indexTerms.length) {
+			callback(termIndexes);
+			return;
+		}
+
+		var key = indexTerms[termIndex].key,
+			isLemma = indexTerms[termIndex].isLemma,
+			useStems = !isLemma && stemmingData != null,
+			stem = useStems ? (stemmingData[key] || (stemmer != null ? stemmer.stem(key) : key)) : '',
+			indexPath = '';
+
+		if (isLemma) {
+			indexPath = path.join(textPath, 'indexlemma', '_' + key.substr(0,1).toUpperCase() + (key.length >= 5 ? key.substr(1,1) : '0') + '000.json');
+		} else if (useStems) {
+			indexPath = path.join(textPath, 'index', '_stems_' + SearchTools.hashWord(stem) + '.json');
+		} else {
+			indexPath = path.join(textPath, 'index', '_' + SearchTools.hashWord(key) + '.json');
+		}
+
+		readJson(indexPath, guard(function(err, data) {
+			var fragments = null;
+
+			if (err || data == null || typeof data != 'object') {
+				loadNextIndex();
+				return;
+			}
+
+			if (useStems) {
+				if (data.hasOwnProperty(stem) && $.isArray(data[stem].fragmentids)) {
+					fragments = data[stem].fragmentids;
+
+					output.stems.push(stem);
+					output.stem_words = output.stem_words.concat(data[stem].words);
+					output.stem_info.push({word: key, stem: stem, words: data[stem].words});
+				}
+			} else if ($.isArray(data[key])) {
+				fragments = data[key];
+			}
+
+			termIndexes[key] = fragments || [];
+
+			loadNextIndex();
+		}));
+	}
+
+	readJson(path.join(textPath, 'index', 'stems.json'), guard(function(err, data) {
+		stemmingData = err ? null : data;
+
+		loadNextIndex();
+	}));
+}
+
+// checks each verse (with the verses around it for NEAR) against the query, one chapter at a time
+function findMatches(textPath, lang, query, sections, guard, callback) {
+	var results = [],
+		sectionIndex = -1;
+
+	function loadNextSection() {
+		sectionIndex++;
+
+		if (sectionIndex >= sections.length) {
+			callback(results);
+			return;
+		}
+
+		var section = sections[sectionIndex];
+
+		// section ids come from the index files
+		if (!/^\w+$/.test(section.sectionid)) {
+			loadNextSection();
+			return;
+		}
+
+		readChapter(path.join(textPath, section.sectionid + '.html'), guard(function(err, verses) {
+			if (!err) {
+				for (var i=0, il=section.fragmentids.length; i<il; i++) {
+					var fragmentid = section.fragmentids[i],
+						html = verses[fragmentid],
+						verseNumber = parseInt(fragmentid.split('_')[1], 10),
+						adjacent = {
+							previous: verses[section.sectionid + '_' + (verseNumber - 1)] || '',
+							next: verses[section.sectionid + '_' + (verseNumber + 1)] || ''
+						};
+
+					if (html && SearchTools.matchQuery(query, html, adjacent, lang)) {
+						var result = {};
+						result[fragmentid] = html;
+						results.push(result);
+					}
+				}
+			}
+
+			loadNextSection();
+		}));
+	}
+
+	loadNextSection();
+}
+
+/**
+ * The same response as search.php: {success, results: [{'JN3_16': html}], stem_info, term_counts, warnings, searchIndexesData, ...}
+ */
+function search(params, callback) {
+	var textid = typeof params.textid == 'string' ? params.textid : '',
+		divisions = typeof params.divisions == 'string' && params.divisions != '' ? params.divisions.split(',') : [],
+		textPath = path.join(contentPath, textid),
+		output = {
+			results: [],
+			textid: textid,
+			search: params.search || '',
+			stems: [],
+			stem_words: [],
+			stem_info: [],
+			divisions: divisions,
+			success: true,
+			warnings: [],
+			term_counts: {},
+			searchIndexesData: []
+		},
+		isFinished = false;
+
+	function finish() {
+		if (!isFinished) {
+			isFinished = true;
+			callback(output);
+		}
+	}
+
+	function fail(errorMessage) {
+		output.success = false;
+		output.errorMessage = errorMessage;
+		output.results = [];
+
+		finish();
+	}
+
+	// an error in a callback would otherwise stop the whole server, so it fails this search instead
+	function guard(fn) {
+		return function() {
+			try {
+				fn.apply(this, arguments);
+			} catch (ex) {
+				console.log('error', ex);
+				fail('Search failed');
+			}
+		};
+	}
+
+	if (!/^[\w\-]+$/.test(textid)) {
+		fail('Unknown text: ' + textid);
+		return;
+	}
+
+	readJson(path.join(textPath, 'info.json'), guard(function(err, info) {
+		if (err || info == null || typeof info != 'object') {
+			fail('Unknown text: ' + textid);
+			return;
+		}
+
+		var query = parseQuery(params, info);
+
+		if (query == null) {
+			fail('Nothing to search for');
+			return;
+		}
+
+		expandWildcards(textPath, query, output.warnings, guard, function() {
+			loadTermIndexes(textPath, info, query, output, guard, function(termIndexes) {
+				var fragmentids = SearchTools.combineIndexes(query, termIndexes);
+
+				if (fragmentids === null) {
+					fail('The indexes of ' + textid + ' cannot narrow down this search');
+					return;
+				}
+
+				output.term_counts = SearchTools.getTermCounts(query, termIndexes);
+				output.searchIndexesData = SearchTools.groupFragments(SearchTools.sortFragments(fragmentids.slice(0), info.sections || []), divisions);
+
+				SearchTools.addStemWords(query, output.stem_info);
+
+				findMatches(textPath, info.lang, query, output.searchIndexesData, guard, function(results) {
+					output.results = results;
+
+					finish();
+				});
+			});
+		});
+	}));
+}
+
+function sendJson(res, data, callback) {
+	var json = JSON.stringify(data);
+
+	// JSONP, TextSearch uses it so the server can be on another domain
+	if (typeof callback == 'string' && /^[\w\$\.]+$/.test(callback)) {
+		res.writeHead(200, {'Content-Type': 'application/javascript; charset=utf-8'});
+		res.end(callback + '(' + json + ');');
+	} else {
+		res.writeHead(200, {'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*'});
+		res.end(json);
+	}
+}
+
+function sendError(res, statusCode, message) {
+	res.writeHead(statusCode, {'Content-Type': 'text/plain; charset=utf-8'});
+	res.end(message);
+}
+
+function serveFile(req, res, pathname) {
+	var filePath = '';
+
+	try {
+		filePath = path.join(appPath, path.normalize(decodeURIComponent(pathname)));
+	} catch (ex) {
+		sendError(res, 400, 'Bad request');
+		return;
+	}
+
+	// nothing outside of the app folder
+	if (filePath != appPath && filePath.indexOf(appPath + path.sep) != 0) {
+		sendError(res, 403, 'Forbidden');
+		return;
+	}
+
+	fs.stat(filePath, function(err, stats) {
+		if (!err && stats.isDirectory()) {
+			filePath = path.join(filePath, 'index.html');
+			stats = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+		}
+
+		if (err || stats == null || !stats.isFile()) {
+			sendError(res, 404, 'Not found');
+			return;
+		}
+
+		res.writeHead(200, {
+			'Content-Type': contentTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+			'Content-Length': stats.size
+		});
+
+		if (req.method == 'HEAD') {
+			res.end();
+		} else {
+			fs.createReadStream(filePath).pipe(res);
+		}
+	});
+}
+
+function handleRequest(req, res) {
+	var requestUrl = url.parse(req.url, true);
+
+	if (req.method != 'GET' && req.method != 'HEAD') {
+		sendError(res, 405, 'Method not allowed');
+		return;
+	}
+
+	if (requestUrl.pathname == searchPath) {
+		try {
+			search(requestUrl.query, function(output) {
+				sendJson(res, output, requestUrl.query.callback);
+			});
+		} catch (ex) {
+			console.log('error', ex);
+			sendJson(res, {success: false, results: [], errorMessage: 'Search failed'}, requestUrl.query.callback);
+		}
+	} else if (serveApp) {
+		serveFile(req, res, requestUrl.pathname);
+	} else {
+		sendError(res, 404, 'Not found');
+	}
+}
+
+function startServer() {
+	var server = http.createServer(handleRequest);
+
+	server.listen(port, function() {
+		console.log('Search: http://localhost:' + port + searchPath + ' (texts in ' + contentPath + ')');
+
+		if (serveApp) {
+			console.log('App: http://localhost:' + port + '/ (' + appPath + ')');
+		}
+	});
+
+	return server;
+}
+
+
+if (require.main === module) {
+	if (argv['h']) {
+		console.log('----------------\n' +
+					'Search Server Help\n' +
+					'-p PORT = the port to listen on (8080)\n' +
+					'-a PATH = the app folder to serve (app)\n' +
+					'-c PATH = the folder of the generated texts (app/content/texts)\n' +
+					'-s PATH = the search url, the same as sofia.config.serverSearchPath (search)\n' +
+					'-n = only search, don\'t serve the app folder\n');
+	} else {
+		startServer();
+	}
+}
+
+// the folder of the generated texts, instead of -c
+function setContentPath(folderPath) {
+	contentPath = path.resolve(folderPath);
+}
+
+module.exports = {
+	search: search,
+	startServer: startServer,
+	setContentPath: setContentPath
+}
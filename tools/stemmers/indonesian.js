@@ -0,0 +1,112 @@
+/*
+* A light Indonesian (and Malay) stemmer without a dictionary, following the rules of
+* Tala (2003) "A Study of Stemming Effects on Information Retrieval in Bahasa Indonesia".
+*
+* berbahagialah => bahagia, dikasihi => kasih, pemberitaan => berita
+*/
+
+var
+	particles = ['kah', 'lah', 'pun', 'tah'],
+	possessives = ['nya', 'ku', 'mu'],
+	suffixes = ['kan', 'an', 'i'],
+
+	// [prefix, what replaces it, what has to follow it]
+	firstPrefixes = [
+		['meng', '', null],
+		['meny', 's', /^[aeiou]/],
+		['men', '', null],
+		['mem', 'p', /^[aeiou]/],
+		['mem', '', null],
+		['me', '', null],
+		['peng', '', null],
+		['peny', 's', /^[aeiou]/],
+		['pen', '', null],
+		['pem', 'p', /^[aeiou]/],
+		['pem', '', null],
+		['di', '', null],
+		['ter', '', null],
+		['ke', '', null]
+	],
+	secondPrefixes = [
+		['ber', '', null],
+		['bel', '', /^ajar/],
+		['be', '', /^k/],
+		['per', '', null],
+		['pel', '', /^ajar/],
+		['pe', '', null]
+	],
+
+	// a stem needs at least this many letters and 2 syllables
+	MINLENGTH = 4;
+
+function countSyllables(word) {
+	return (word.match(/[aeiou]/g) || []).length;
+}
+
+function isStem(word) {
+	return word.length >= MINLENGTH && countSyllables(word) >= 2;
+}
+
+function removeSuffix(word, endings) {
+	for (var i=0, il=endings.length; i<il; i++) {
+		var ending = endings[i],
+			stem = word.substring(0, word.length - ending.length);
+
+		if (word.length > ending.length && word.substring(word.length - ending.length) == ending && isStem(stem)) {
+			return stem;
+		}
+	}
+
+	return word;
+}
+
+function removePrefix(word, prefixes) {
+	for (var i=0, il=prefixes.length; i<il; i++) {
+		var prefix = prefixes[i][0],
+			rest = word.substring(prefix.length),
+			stem = prefixes[i][1] + rest;
+
+		if (word.substring(0, prefix.length) == prefix && (prefixes[i][2] == null || prefixes[i][2].test(rest)) && isStem(stem)) {
+			return stem;
+		}
+	}
+
+	return word;
+}
+
+function stem(word) {
+	var stemmed = word.toLowerCase();
+
+	if (countSyllables(stemmed) <= 2) {
+		return stemmed;
+	}
+
+	stemmed = removeSuffix(stemmed, particles);
+	stemmed = removeSuffix(stemmed, possessives);
+
+	var withoutPrefix = removePrefix(stemmed, firstPrefixes);
+
+	if (withoutPrefix != stemmed) {
+		// dikasihi => kasihi => kasih
+		stemmed = removeSuffix(withoutPrefix, suffixes);
+
+		if (stemmed != withoutPrefix) {
+			stemmed = removePrefix(stemmed, secondPrefixes);
+		}
+	} else {
+		// berbahagia => bahagia
+		withoutPrefix = removePrefix(stemmed, secondPrefixes);
+
+		if (withoutPrefix != stemmed) {
+			stemmed = removeSuffix(withoutPrefix, suffixes);
+		} else {
+			stemmed = removeSuffix(stemmed, suffixes);
+		}
+	}
+
+	return stemmed;
+}
+
+module.exports = {
+	stem: stem
+}
@@ -0,0 +1,43 @@
+/*
+* A light Swahili stemmer.  It only removes endings: the locative (-ni), the verb extensions
+* (passive, applied, causative, stative and reciprocal) and the final vowel of verbs.  The prefixes
+* of the noun classes and verb tenses are kept, because removing them without a dictionary
+* joins too many unrelated words.
+*
+* mbinguni => mbingu, pendwa => pend, kuandikia => kuandik
+*/
+
+var
+	locatives = ['eni', 'ni'],
+	verbEndings = ['ishwa', 'eshwa', 'iliwa', 'elewa', 'iwa', 'ewa', 'ika', 'eka', 'ana', 'ia', 'ea', 'wa', 'a'],
+
+	// a stem needs at least this many letters
+	MINLENGTH = 3;
+
+function removeEnding(word, endings) {
+	for (var i=0, il=endings.length; i<il; i++) {
+		var ending = endings[i];
+
+		if (word.length - ending.length >= MINLENGTH && word.substring(word.length - ending.length) == ending) {
+			return word.substring(0, word.length - ending.length);
+		}
+	}
+
+	return word;
+}
+
+function stem(word) {
+	var stemmed = word.toLowerCase();
+
+	// nyumbani => nyumba
+	stemmed = removeEnding(stemmed, locatives);
+
+	// nyumba => nyumb, so it matches nyumbani
+	stemmed = removeEnding(stemmed, verbEndings);
+
+	return stemmed;
+}
+
+module.exports = {
+	stem: stem
+}
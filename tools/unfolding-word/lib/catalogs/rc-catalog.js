@@ -0,0 +1,210 @@
+/**
+ * This class reads Resource Container catalogs, and returns the Bible versions in the format expected by
+ * uw-grab-available-texts.js (See v2-catalog.js for the format).  It can read:
+ *
+ * 1) The Door43 catalog (https://api.door43.org/v3/catalog.json) which lists the resource containers of every language
+ * 2) The manifest.yaml of a single resource container.  The usfm files are found using the path of each project,
+ *    relative to the manifest.yaml
+ *
+ * To find out more about Resource Containers, checkout http://resource-container.readthedocs.io/.
+ */
+var rcCatalog = function() {
+  var catalogObject = {};
+  /**
+   * Nodejs package js-yaml for parsing the manifest.yaml
+   *
+   * @type {Object}
+   * @access private
+   */
+  var yaml = require('js-yaml');
+  /**
+   * Nodejs package url for resolving the project paths
+   *
+   * @type {Object}
+   * @access private
+   */
+  var url = require('url');
+  /**
+   * The Regular Expression for the subjects of resources that are Bibles
+   *
+   * @type {RegExp}
+   * @access private
+   */
+  var bibleSubjectRegex = /^(aligned )?bible$/i;
+  /**
+   * The name of this catalog format
+   *
+   * @type {String}
+   * @access public
+   */
+  catalogObject.name = 'rc';
+  /**
+   * Can this class read the given catalog?
+   *
+   * @param  {String}  body     The content of the catalog
+   * @param  {String}  location The url or path of the catalog
+   *
+   * @return {Boolean}
+   * @access public
+   */
+  catalogObject.canRead = function(body, location) {
+    var data = parse(body);
+    if ((data === null) || (typeof data != 'object')) {
+      return false;
+    }
+    return (data.hasOwnProperty('dublin_core')) || ((Array.isArray(data.languages)) && (data.languages.every(function(language) {
+      return Array.isArray(language.resources);
+    })));
+  };
+  /**
+   * Get the Bible versions in the catalog.
+   *
+   * @param  {String} body      The content of the catalog
+   * @param  {String} location  The url or path of the catalog
+   *
+   * @return {Array}            An array of the versions
+   * @access public
+   */
+  catalogObject.getVersions = function(body, location) {
+    var data = parse(body);
+    var versions = [];
+    if (data.hasOwnProperty('dublin_core')) {
+      if (bibleSubjectRegex.test(data.dublin_core.subject)) {
+        versions.push(getManifestVersion(data, location));
+      }
+      return versions;
+    }
+    for (var l = 0; l < data.languages.length; l++) {
+      var language = data.languages[l];
+      for (var r = 0; r < language.resources.length; r++) {
+        var resource = language.resources[r];
+        if (bibleSubjectRegex.test(resource.subject)) {
+          versions.push(getCatalogVersion(language, resource));
+        }
+      }
+    }
+    return versions;
+  };
+  /**
+   * Get the version from a resource in the Door43 catalog.  The usfm file of each project is in its formats.
+   *
+   * @param  {Object} language  The language of the resource
+   * @param  {Object} resource  The resource
+   *
+   * @return {Object}           The version
+   * @access private
+   */
+  function getCatalogVersion(language, resource) {
+    var version = createVersion(language, resource, resource.checking);
+    for (var p = 0; p < resource.projects.length; p++) {
+      var project = resource.projects[p];
+      var formats = (project.formats || []).filter(function(format) {
+        return format.format.indexOf('text/usfm') === 0;
+      });
+      if (formats.length === 0) {
+        continue;
+      }
+      version.files.push({
+        src:      formats[0].url,
+        mod:      formats[0].modified || resource.modified,
+        filename: getFilename(project, p)
+      });
+    }
+    return version;
+  }
+  /**
+   * Get the version from a manifest.yaml.  The usfm file of each project is the path relative to the manifest.
+   *
+   * @param  {Object} manifest  The manifest
+   * @param  {String} location  The url or path of the manifest
+   *
+   * @return {Object}           The version
+   * @access private
+   */
+  function getManifestVersion(manifest, location) {
+    var version = createVersion(manifest.dublin_core.language, manifest.dublin_core, manifest.checking);
+    for (var p = 0; p < manifest.projects.length; p++) {
+      var project = manifest.projects[p];
+      version.files.push({
+        src:      url.resolve(location, project.path),
+        mod:      manifest.dublin_core.modified,
+        filename: getFilename(project, p)
+      });
+    }
+    return version;
+  }
+  /**
+   * Create the version from the resource's Dublin Core data
+   *
+   * @param  {Object} language  The language (identifier, title, and direction)
+   * @param  {Object} resource  The Dublin Core data of the resource
+   * @param  {Object} checking  The checking data of the resource
+   *
+   * @return {Object}           The version without any files
+   * @access private
+   */
+  function createVersion(language, resource, checking) {
+    checking = checking || {};
+    return {
+      lang:     language.identifier,
+      language: {
+        lc: language.identifier,
+        ln: language.title,
+        ld: language.direction
+      },
+      slug:     resource.identifier,
+      name:     resource.title,
+      mod:      resource.modified,
+      status:   {
+        checking_entity:  [].concat(checking.checking_entity || []).join(', '),
+        checking_level:   (checking.checking_level || '').toString(),
+        comments:         resource.comment || '',
+        contributors:     [].concat(resource.contributor || []).join(', '),
+        publish_date:     (resource.issued || '').toString().substring(0, 10),
+        version:          (resource.version || '').toString()
+      },
+      files:    []
+    };
+  }
+  /**
+   * Projects are not always named in book order (ie. gen.usfm), so we name the files using the sort order of the
+   * project (ie. 01-GEN.usfm) to keep them in order for the generator.
+   *
+   * @param  {Object} project The project
+   * @param  {Number} index   The index of the project, used if the project has no sort order
+   *
+   * @return {String}         The filename
+   * @access private
+   */
+  function getFilename(project, index) {
+    var sort = ('0' + (project.sort || index + 1)).slice(-2);
+    return sort + '-' + project.identifier.toUpperCase() + '.usfm';
+  }
+  /**
+   * Parse the catalog.  It can be JSON or YAML.
+   *
+   * @param  {String} body The content of the catalog
+   *
+   * @return {Object}      The parsed catalog, or null if it can not be parsed
+   * @access private
+   */
+  function parse(body) {
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      try {
+        return yaml.safeLoad(body);
+      } catch (yamlError) {
+        return null;
+      }
+    }
+  }
+
+  return catalogObject;
+};
+
+/**
+ * Expose the library
+ *
+ */
+exports = module.exports = new rcCatalog();
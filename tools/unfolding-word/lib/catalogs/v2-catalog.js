@@ -0,0 +1,124 @@
+/**
+ * This class reads the version 2 unfoldingWord catalog (https://api.unfoldingword.org/uw/txt/2/catalog.json), and returns
+ * the Bible versions in the format expected by uw-grab-available-texts.js.
+ *
+ * @author Johnathan Pulos <johnathan@missionaldigerati.org>
+ */
+var v2Catalog = function() {
+  var catalogObject = {};
+  /**
+   * The name of this catalog format
+   *
+   * @type {String}
+   * @access public
+   */
+  catalogObject.name = 'v2';
+  /**
+   * Can this class read the given catalog?
+   *
+   * @param  {String}  body     The content of the catalog
+   * @param  {String}  location The url or path of the catalog
+   *
+   * @return {Boolean}
+   * @access public
+   */
+  catalogObject.canRead = function(body, location) {
+    var data = parse(body);
+    return (data !== null) && (Array.isArray(data.cat));
+  };
+  /**
+   * Get the Bible versions in the catalog.  Each version is returned in the following format:
+   *
+   * {
+   *   lang:    'en',
+   *   slug:    'ulb',
+   *   name:    'Unlocked Literal Bible',
+   *   mod:     '1437687666',
+   *   status:  {
+   *     checking_entity:  'Wycliffe Associates',
+   *     checking_level:   '3',
+   *     comments:         'Original source text',
+   *     contributors:     'Wycliffe Associates',
+   *     publish_date:     '20150723',
+   *     version:          '2.0.0-beta9'
+   *   },
+   *   files:   [
+   *     {
+   *       src: 'https://api.unfoldingword.org/ulb/txt/1/ulb-en/01-GEN.usfm',
+   *       mod: '1437687666'
+   *     }
+   *   ]
+   * }
+   *
+   * @param  {String} body      The content of the catalog
+   * @param  {String} location  The url or path of the catalog
+   *
+   * @return {Array}            An array of the versions
+   * @access public
+   */
+  catalogObject.getVersions = function(body, location) {
+    var data = parse(body);
+    var versions = [];
+    for (var i = 0; i < data.cat.length; i++) {
+      if (data.cat[i].slug != 'bible') {
+        continue;
+      }
+      var languages = data.cat[i].langs;
+      for (var l = 0; l < languages.length; l++) {
+        for (var v = 0; v < languages[l].vers.length; v++) {
+          var version = languages[l].vers[v];
+          versions.push({
+            lang:   languages[l].lc,
+            slug:   version.slug,
+            name:   version.name,
+            mod:    version.mod,
+            status: version.status || {},
+            files:  getFiles(version.toc)
+          });
+        }
+      }
+    }
+    return versions;
+  };
+  /**
+   * Iterates over the toc data, and makes an array of the files
+   *
+   * @param  {Array} tocData An array of JSON objects storing all the Bible files
+   *
+   * @return {Array}         An array of objects with the src and mod of each file
+   * @access private
+   */
+  function getFiles(tocData) {
+    var files = [];
+    for (var i = 0; i < tocData.length; i++) {
+      files.push({
+        src: tocData[i].src,
+        mod: tocData[i].mod
+      });
+    }
+    return files;
+  }
+  /**
+   * Parse the JSON catalog
+   *
+   * @param  {String} body The content of the catalog
+   *
+   * @return {Object}      The parsed catalog, or null if it is not JSON
+   * @access private
+   */
+  function parse(body) {
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return catalogObject;
+};
+
+/**
+ * Expose the library
+ *
+ */
+exports = module.exports = new v2Catalog();
@@ -7,12 +7,21 @@
 var usfmParser = function() {
   var upObject = {};
   /**
-   * The Regular Expression to apply to a line to get the tags
+   * The Regular Expression to apply to a line to get the tags.  Nested character styles (ie. \+bd) keep the + in the key,
+   * and milestones (ie. \zaln-s) keep the -s or -e.
    *
    * @type {RegExp}
    * @access public
    */
-  upObject.lineRegex = /\\([a-z0-9\*]+)\s*(\d+[\-\d+]*)?(?![a-zA-Z])\s*([^\\]*)/g;
+  upObject.lineRegex = /\\(\+?[a-z0-9\*]+(?:-[se](?![a-z]))?)\s*(\d+[\-\d+]*)?(?![a-zA-Z])\s*([^\\]*)/g;
+  /**
+   * The Regular Expression for tags whose text can start with a number that is not the number of the tag
+   * (ie. \tcr3 46,500)
+   *
+   * @type {RegExp}
+   * @access public
+   */
+  upObject.unnumberedRegex = /^t(h|c)(r|c)?\d+$/;
   /**
    * Parse a line of USFM tags
    *
@@ -29,18 +38,66 @@ var usfmParser = function() {
     var matches;
     /*jshint -W084 */
     while (matches = upObject.lineRegex.exec(line)) {
-      data.push({
-        key:    matches[1] || '',
-        number: matches[2] || '',
-        text:   matches[3] || '',
+      var key = matches[1] || '';
+      var number = matches[2] || '';
+      var text = matches[3] || '';
+      if (key.substring(key.length - 1) === '*') {
+        /**
+         * Closing tags (ie. \bd*) have no number, and the space after them belongs to the text
+         */
+        number = '';
+        text = line.substring(matches.index + key.length + 1, matches.index + matches[0].length);
+      } else if (upObject.unnumberedRegex.test(key)) {
+        number = '';
+        text = line.substring(matches.index + key.length + 1, matches.index + matches[0].length).replace(/^\s+/, '');
+      }
+      var tag = {
+        key:    key,
+        number: number,
+        text:   text,
         order: order
-      });
+      };
+      var attributeIndex = text.indexOf('|');
+      if (attributeIndex > -1) {
+        /**
+         * USFM 3 word level attributes (ie. \w In|lemma="ἐν" strong="G1722"\w*)
+         */
+        tag.text = text.substring(0, attributeIndex);
+        tag.attributes = upObject.parseAttributes(text.substring(attributeIndex + 1));
+      }
+      data.push(tag);
       order++;
     }
 
     return data;
   };
 
+  /**
+   * Parse the attributes that follow the | in a USFM 3 tag.  If there are no named attributes, the value is
+   * the default attribute (lemma).
+   *
+   * @param  {String} attributes  The attributes (ie. lemma="ἐν" strong="G1722" x-morph="Gr,P,,,,,D,,,")
+   *
+   * @return {Object}             An object of the attribute values keyed by the name of the attribute
+   *
+   * @access public
+   */
+  upObject.parseAttributes = function(attributes) {
+    var parsed = {};
+    var attributeRegex = /([a-zA-Z0-9\-]+)\s*=\s*"([^"]*)"/g;
+    var matches;
+    var found = false;
+    /*jshint -W084 */
+    while (matches = attributeRegex.exec(attributes)) {
+      parsed[matches[1]] = matches[2];
+      found = true;
+    }
+    if ((!found) && (attributes.trim() !== '')) {
+      parsed.lemma = attributes.trim();
+    }
+    return parsed;
+  };
+
   return upObject;
 };
 
@@ -98,6 +98,122 @@ var uwGenerateUsfm = function() {
    * @access private
    */
   var listItemBlockOpen = false;
+  /**
+   * Is a table currently open?
+   *
+   * @type {Boolean}
+   * @access private
+   */
+  var tableBlockOpen = false;
+  /**
+   * Is a table row currently open?
+   *
+   * @type {Boolean}
+   * @access private
+   */
+  var tableRowBlockOpen = false;
+  /**
+   * The element of the table cell that is currently open (th or td).  It is empty if no cell is open.
+   *
+   * @type {String}
+   * @access private
+   */
+  var tableCellBlock = '';
+  /**
+   * The Regular Expression for the table cell tags (ie. \th1, \tc2, \thr3, \tcr4, \thc1, \tcc2)
+   *
+   * @type {RegExp}
+   * @access private
+   */
+  var tableCellRegex = /^t(h|c)(r|c)?(\d+)$/;
+  /**
+   * The closing HTML of the words (\w) that are currently open.  Words with a strong number or morphology are l
+   * elements, words aligned to the original language are spans inside an l element, and the rest are spans.
+   *
+   * @type {Array}
+   * @access private
+   */
+  var openWordElements = [];
+  /**
+   * The attributes of the alignment milestones (\zaln-s) that are currently open
+   *
+   * @type {Array}
+   * @access private
+   */
+  var openAlignments = [];
+  /**
+   * The milestone tags.  They do not add any text, so a word after them still starts the line.
+   *
+   * @type {Array}
+   * @access private
+   */
+  var milestoneTags = ['zaln-s', 'zaln-e', 'k-s', 'k-e', '*'];
+  /**
+   * Where we are in the USFM files.  It is used for the location of each issue in the validationReport.
+   *
+   * @type {Object}
+   * @access private
+   */
+  var validationLocation = {};
+  /**
+   * The last verse number in the current chapter, used to find missing and out of order verses
+   *
+   * @type {Number}
+   * @access private
+   */
+  var lastVerseNumber = 0;
+  /**
+   * The number of verses in the current chapter.  It is -1 until we reach the first chapter of the book.
+   *
+   * @type {Number}
+   * @access private
+   */
+  var chapterVerseCount = -1;
+  /**
+   * The unfoldingWord chunk markers (ie. \s5 and \ts\*).  We do not render them, but they are not reported as unknown.
+   *
+   * @type {Array}
+   * @access private
+   */
+  var chunkTags = ['s5', 'ts'];
+  /**
+   * The location where the open footnote started, or null if no footnote is open
+   *
+   * @type {Object|null}
+   * @access private
+   */
+  var footnoteLocation = null;
+  /**
+   * The character styles that are currently open.  Each has the key and the location where it started.
+   *
+   * @type {Array}
+   * @access private
+   */
+  var openCharacterStyles = [];
+  /**
+   * The CSS classes for each USFM character style.  Words of Jesus, Selah and the Name of God use the classes
+   * that the app already styles.
+   *
+   * @type {Object}
+   * @access private
+   */
+  var characterStyles = {
+    add:  'add',
+    bd:   'bd',
+    it:   'it',
+    bdit: 'bdit',
+    em:   'em',
+    sc:   'sc',
+    pn:   'pn',
+    k:    'k',
+    tl:   'tl',
+    sig:  'sig',
+    bk:   'bk',
+    ord:  'ord',
+    wj:   'wj woj',
+    qs:   'qs',
+    nd:   'nog'
+  };
   /**
    * The HTML character to use when breaking between elements
    *
@@ -105,6 +221,14 @@ var uwGenerateUsfm = function() {
    * @access public
    */
   uwObject.htmlBreakingElement = '\n';
+  /**
+   * Do you want to keep the original language alignment (\zaln-s) of the words?  If so, each aligned word gets
+   * data-strong, data-lemma, data-morph and data-content attributes, and a title with the original language word.
+   *
+   * @type {Boolean}
+   * @access public
+   */
+  uwObject.outputAlignment = false;
   /**
    * An array of USFM tags that were not parsed since we do not implement them
    *
@@ -112,6 +236,27 @@ var uwGenerateUsfm = function() {
    * @access public
    */
   uwObject.unparsedTags = [];
+  /**
+   * The validation report for the last generated version.  It has the id of the version, the number of errors and
+   * warnings, and an array of issues.  Each issue looks like:
+   *
+   *  { level: 'error',
+   *    type: 'missing-verse',
+   *    message: 'Verse 5 is missing.',
+   *    file: '01-GEN.usfm',
+   *    book: 'GEN',
+   *    chapter: 1,
+   *    verse: '6',
+   *    line: 12
+   *  }
+   *
+   * The types are unknown-marker, missing-id, unknown-book, missing-toc, missing-verse, out-of-order-verse,
+   * unclosed-footnote, unclosed-character-style, unmatched-character-style, and empty-chapter.
+   *
+   * @type {Object}
+   * @access public
+   */
+  uwObject.validationReport = {};
   /**
    * Do you want to output the unparsed tags?
    *
@@ -157,8 +302,16 @@ var uwGenerateUsfm = function() {
       chapterData:    [],
       indexData:      {},
       indexLemmaData: {},
-      aboutHtml:      ''
+      aboutHtml:      '',
+      validationReport: {}
     };
+    uwObject.validationReport = {
+      id:       info.id,
+      errors:   0,
+      warnings: 0,
+      issues:   []
+    };
+    bibleData.validationReport = uwObject.validationReport;
     /**
      * Store all the book codes to add to the info object
      *
@@ -197,6 +350,23 @@ var uwGenerateUsfm = function() {
       }
       var fileContent = fileSystem.readFileSync(path.join(inputBasePath, filename), 'utf8');
       var lines = fileContent.split('\n');
+      validationLocation = {
+        file:     filename,
+        book:     '',
+        chapter:  0,
+        verse:    '',
+        line:     0
+      };
+      lastVerseNumber = 0;
+      chapterVerseCount = -1;
+      footnoteLocation = null;
+      openCharacterStyles = [];
+      if (!validateHeaders(fileContent)) {
+        /**
+         * We can not generate a book that we can not identify
+         */
+        return;
+      }
 
       /**
        * Set various variables used in the loop
@@ -222,6 +392,7 @@ var uwGenerateUsfm = function() {
       var noteNumber = 1;
       for (var i = 0, il = lines.length; i < il; i++) {
         var line = lines[i];
+        validationLocation.line = i + 1;
         var usfmLineData = usfmParser.parseLine(line);
         if (usfmLineData.length === 0) {
           if (line.replace(/\s/g, '').length) {
@@ -240,6 +411,7 @@ var uwGenerateUsfm = function() {
          *
          * @author Johnathan Pulos <johnathan@missionaldigerati.org>
          */
+        var lineStart = true;
         for (var ud = 0; ud < usfmLineData.length; ud++) {
           var usfmData = usfmLineData[ud];
           switch (usfmData.key) {
@@ -248,6 +420,7 @@ var uwGenerateUsfm = function() {
                * Line Break
                */
               currentChapter.html += closeVerseBlock();
+              currentChapter.html += closeTableBlock();
               currentChapter.html += closeListItemBlock();
               currentChapter.html += closeTextBlock();
               currentChapter.html += '<div class="b">&nbsp;</div>' + uwObject.htmlBreakingElement;
@@ -258,8 +431,15 @@ var uwGenerateUsfm = function() {
                * ex. { key: 'c', number: '', text: '1' }
                */
               currentChapter.html += closeVerseBlock();
+              currentChapter.html += closeTableBlock();
               currentChapter.html += closeListItemBlock();
               currentChapter.html += closeTextBlock();
+              validateEndOfVerse();
+              validateEndOfChapter();
+              validationLocation.chapter = parseInt(usfmData.number);
+              validationLocation.verse = '';
+              lastVerseNumber = 0;
+              chapterVerseCount = 0;
               currentChapter.number = parseInt(usfmData.number);
               if (currentChapter.number > 1) {
                 /**
@@ -289,6 +469,7 @@ var uwGenerateUsfm = function() {
             case 'id':
               var bookId = usfmData.text.split(' ')[0].trim().toUpperCase();
               currentBook.parsedInfo = bibleDataParser.getBookInfoByUsfmCode(bookId);
+              validationLocation.book = bookId;
               /**
                * Set the default book name
                */
@@ -337,6 +518,7 @@ var uwGenerateUsfm = function() {
             case 's2':
             case 'r':
               currentChapter.html += closeVerseBlock();
+              currentChapter.html += closeTableBlock();
               currentChapter.html += closeListItemBlock();
               currentChapter.html += closeTextBlock();
               currentChapter.html += '<div class="' + usfmData.key + '">' + usfmData.text + '</div>' + uwObject.htmlBreakingElement;
@@ -345,6 +527,8 @@ var uwGenerateUsfm = function() {
              * Verses
              */
             case 'v':
+              validateEndOfVerse();
+              validateVerseNumber(usfmData.number);
               currentChapter.html += closeVerseBlock();
               if (createIndex && currentVerse.text !== '' && currentVerse.id !== null) {
                 /**
@@ -375,6 +559,7 @@ var uwGenerateUsfm = function() {
             case 'q2':
             case 'q3':
               currentChapter.html += closeVerseBlock();
+              currentChapter.html += closeTableBlock();
               currentChapter.html += closeTextBlock();
               currentChapter.html += '<div class="' + usfmData.key + '">' + uwObject.htmlBreakingElement;
               if (usfmData.text !== '') {
@@ -393,15 +578,25 @@ var uwGenerateUsfm = function() {
             case 'li2':
             case 'li3':
               currentChapter.html += closeVerseBlock();
+              currentChapter.html += closeTableBlock();
               currentChapter.html += closeListItemBlock();
               currentChapter.html += '<div class="' + usfmData.key + '">' + usfmData.text;
               listItemBlockOpen = true;
             break;
+            /**
+             * Tables (The cells are handled in the default case)
+             */
+            case 'tr':
+              currentChapter.html += closeVerseBlock();
+              currentChapter.html += closeTableRowBlock();
+              currentChapter.html += openTableRowBlock();
+            break;
             /**
              * Footnotes & Cross References
              */
             case 'x':
             case 'f':
+              footnoteLocation = copyLocation();
               currentChapter.html += '<span class="note" id="note-' + noteNumber + '"><a class="key" href="#footnote-' + noteNumber + '">' + noteNumber + '</a><span class="text">' + stripCaller(usfmData.text);
               noteNumber++;
               footnoteBlockOpen = true;
@@ -414,49 +609,181 @@ var uwGenerateUsfm = function() {
             break;
             case 'x*':
             case 'f*':
+              footnoteLocation = null;
               currentChapter.html += closeFootnoteBlock();
             break;
             /**
-             * Words of Jesus
+             * Words (ie. \w In|lemma="ἐν" strong="G1722" x-morph="Gr,P,,,,,D,,,"\w*)
              */
-            case 'wj':
-              currentChapter.html += '<span class="wj woj">' + usfmData.text;
+            case 'w':
+            case '+w':
+              /**
+               * Aligned texts put each word on its own line, and a line break between words is a space
+               */
+              var wordSpace = (lineStart) ? ' ' : '';
+              currentChapter.html += wordSpace + openWordElement(usfmData.attributes || {}) + usfmData.text;
+              if ((verseBlockOpen) && (!footnoteBlockOpen)) {
+                currentVerse.text += wordSpace + usfmData.text;
+                if (createIndex) {
+                  /**
+                   * Index the strong numbers of the word, so the lemma search (ie. G26) finds the verse
+                   */
+                  indexWordStrongs(currentVerse.id, usfmData.attributes || {}, info.lang);
+                }
+              }
             break;
-            case 'wj*':
-              currentChapter.html += '</span>';
+            case 'w*':
+            case '+w*':
+              currentChapter.html += closeWordElement() + usfmData.text;
+              if ((verseBlockOpen) && (!footnoteBlockOpen)) {
+                currentVerse.text += usfmData.text;
+              }
             break;
             /**
-             * Quotes of Selah
+             * Alignment milestones (ie. \zaln-s |x-strong="G39720" x-lemma="Παῦλος"\*\w Paul\w*\zaln-e\*)
              */
-            case 'qs':
-              currentChapter.html += '<span class="qs">' + usfmData.text;
+            case 'zaln-s':
+              openAlignments.push(usfmData.attributes || {});
             break;
-            case 'qs*':
-              currentChapter.html += '</span>';
+            case 'zaln-e':
+              openAlignments.pop();
+            break;
+            /**
+             * Key term milestones (ie. \k-s |key="grace"\*grace\k-e\*) can span verses, so we leave them out
+             */
+            case 'k-s':
+            case 'k-e':
+            break;
+            /**
+             * The end of a milestone tag
+             */
+            case '*':
+              currentChapter.html += usfmData.text;
+              if ((verseBlockOpen) && (!footnoteBlockOpen)) {
+                currentVerse.text += usfmData.text;
+              }
             break;
             /**
-             * Name of God
+             * Character Styles (ie. \bd bold\bd*), and their nested forms (ie. \+bd bold\+bd*)
              */
+            case 'add':
+            case '+add':
+            case 'bd':
+            case '+bd':
+            case 'it':
+            case '+it':
+            case 'bdit':
+            case '+bdit':
+            case 'em':
+            case '+em':
+            case 'sc':
+            case '+sc':
+            case 'pn':
+            case '+pn':
+            case 'k':
+            case '+k':
+            case 'tl':
+            case '+tl':
+            case 'sig':
+            case '+sig':
+            case 'bk':
+            case '+bk':
+            case 'ord':
+            case '+ord':
+            case 'wj':
+            case '+wj':
+            case 'qs':
+            case '+qs':
             case 'nd':
-              currentChapter.html += '<span class="nog">' + usfmData.text;
+            case '+nd':
+              openCharacterStyles.push({key: usfmData.key.replace('+', ''), location: copyLocation()});
+              currentChapter.html += '<span class="' + characterStyles[usfmData.key.replace('+', '')] + '">' + usfmData.text;
+              if ((verseBlockOpen) && (!footnoteBlockOpen)) {
+                currentVerse.text += usfmData.text;
+              }
             break;
+            case 'add*':
+            case '+add*':
+            case 'bd*':
+            case '+bd*':
+            case 'it*':
+            case '+it*':
+            case 'bdit*':
+            case '+bdit*':
+            case 'em*':
+            case '+em*':
+            case 'sc*':
+            case '+sc*':
+            case 'pn*':
+            case '+pn*':
+            case 'k*':
+            case '+k*':
+            case 'tl*':
+            case '+tl*':
+            case 'sig*':
+            case '+sig*':
+            case 'bk*':
+            case '+bk*':
+            case 'ord*':
+            case '+ord*':
+            case 'wj*':
+            case '+wj*':
+            case 'qs*':
+            case '+qs*':
             case 'nd*':
-              currentChapter.html += '</span>';
+            case '+nd*':
+              validateCharacterStyleEnd(usfmData.key.replace('+', '').replace('*', ''));
+              currentChapter.html += '</span>' + usfmData.text;
+              if ((verseBlockOpen) && (!footnoteBlockOpen)) {
+                currentVerse.text += usfmData.text;
+              }
             break;
             default:
+              var tableCell = tableCellRegex.exec(usfmData.key);
+              if (tableCell !== null) {
+                currentChapter.html += closeVerseBlock();
+                currentChapter.html += closeTableCellBlock();
+                if (!tableRowBlockOpen) {
+                  currentChapter.html += openTableRowBlock();
+                }
+                currentChapter.html += openTableCellBlock(tableCell, usfmData.text);
+                var cellText = usfmData.text.replace(/^-\d+\s*/, '');
+                if (cellText !== '') {
+                  /**
+                   * Treat the text as part of the current verse, so it is still in a verse span and indexed
+                   */
+                  currentChapter.html += bibleFormatter.openVerse(currentVerse.id, null) + cellText;
+                  currentVerse.text += ' ' + cellText;
+                  verseBlockOpen = true;
+                }
+                break;
+              }
               if ((usfmData.key !== '') && (uwObject.unparsedTags.indexOf(usfmData.key) == -1)) {
                 uwObject.unparsedTags.push(usfmData.key);
               }
+              if ((usfmData.key !== '') && (chunkTags.indexOf(usfmData.key) == -1)) {
+                addIssue('warning', 'unknown-marker', 'The marker \\' + usfmData.key + ' is not supported.');
+              }
             break;
           }// End Switch
+          if (milestoneTags.indexOf(usfmData.key) == -1) {
+            lineStart = false;
+          }
         } // End loop over each tag
       } // End loop over each line
       /**
        * End of iterating over each line of the file
        * Now to clean up what remains
        */
+      while (openWordElements.length > 0) {
+        currentChapter.html += closeWordElement();
+      }
+      openAlignments = [];
+      validateEndOfVerse();
+      validateEndOfChapter();
       currentChapter.html += closeFootnoteBlock();
       currentChapter.html += closeVerseBlock();
+      currentChapter.html += closeTableBlock();
       if (createIndex && currentVerse.text !== '' && currentVerse.id !== null) {
         /**
          * Index the verse
@@ -628,6 +955,343 @@ var uwGenerateUsfm = function() {
     }
     return '';
   }
+  /**
+   * Opens the element for a word (\w).  If the word has a strong number or morphology, it is an l element like
+   * the other generators use (ie. <l s="G1722" m="Gr,P,,,,,D,,,">), so the lemma plugins can use it.  A gateway
+   * language word aligned to the original language (\zaln-s) is wrapped in an l element with the aligned strong
+   * numbers (ie. <l s="G3972"><span class="w">Paul</span></l>).
+   *
+   * @param  {Object} attributes The attributes of the word (See usfmParser.parseAttributes())
+   *
+   * @return {String}            The HTML to open the word
+   * @access private
+   */
+  function openWordElement(attributes) {
+    var strongs = formatStrongs(attributes.strong || '');
+    var morph = attributes['x-morph'] || attributes.morph || '';
+    if ((strongs === '') && (morph === '')) {
+      var alignedStrongs = getAlignedStrongs();
+      if (alignedStrongs !== '') {
+        openWordElements.push('</span></l>');
+        return '<l s="' + alignedStrongs + '"><span class="w"' + getAlignmentAttributes() + '>';
+      }
+      openWordElements.push('</span>');
+      return '<span class="w"' + getAlignmentAttributes() + '>';
+    }
+    openWordElements.push('</l>');
+    return '<l' + ((strongs !== '') ? ' s="' + strongs + '"' : '') + ((morph !== '') ? ' m="' + morph + '"' : '') + getAlignmentAttributes() + '>';
+  }
+  /**
+   * Get the strong numbers of the original language words that the current word is aligned to
+   *
+   * @return {String} The strong numbers seperated by a space (ie. G3588 G4245), or an empty string
+   * @access private
+   */
+  function getAlignedStrongs() {
+    var strongs = [];
+    for (var i = 0; i < openAlignments.length; i++) {
+      var formatted = formatStrongs(openAlignments[i]['x-strong'] || '');
+      if ((formatted !== '') && (strongs.indexOf(formatted) == -1)) {
+        strongs.push(formatted);
+      }
+    }
+    return strongs.join(' ');
+  }
+  /**
+   * Add the strong numbers of a word to the lemma index.  They are the strong attribute of the word, or the strong
+   * numbers of the original language words it is aligned to.
+   *
+   * @param  {String} verseId    The id of the verse (ie. JN3_16)
+   * @param  {Object} attributes The attributes of the word (See usfmParser.parseAttributes())
+   * @param  {String} lang       The language of the version
+   *
+   * @return {void}
+   * @access private
+   */
+  function indexWordStrongs(verseId, attributes, lang) {
+    var strongs = formatStrongs(attributes.strong || '') || getAlignedStrongs();
+    if (strongs !== '') {
+      verseIndexer.indexStrongs(verseId, strongs, bibleData.indexLemmaData, lang);
+    }
+  }
+  /**
+   * Get the HTML attributes for the original language words that the current word is aligned to.  It is empty
+   * unless uwObject.outputAlignment is true.
+   *
+   * @return {String} The HTML attributes
+   * @access private
+   */
+  function getAlignmentAttributes() {
+    if ((!uwObject.outputAlignment) || (openAlignments.length === 0)) {
+      return '';
+    }
+    var strongs = [];
+    var lemmas = [];
+    var morphs = [];
+    var contents = [];
+    for (var i = 0; i < openAlignments.length; i++) {
+      strongs.push(formatStrongs(openAlignments[i]['x-strong'] || ''));
+      lemmas.push(openAlignments[i]['x-lemma'] || '');
+      morphs.push(openAlignments[i]['x-morph'] || '');
+      contents.push(openAlignments[i]['x-content'] || '');
+    }
+    return ' data-strong="' + strongs.join(' ') + '" data-lemma="' + lemmas.join(' ') + '" data-morph="' +
+      morphs.join(' ') + '" data-content="' + contents.join(' ') + '" title="' + contents.join(' ') + '"';
+  }
+  /**
+   * Closes the last word element that was opened
+   *
+   * @return {String} The HTML to close the word or an empty string
+   * @access private
+   */
+  function closeWordElement() {
+    if (openWordElements.length > 0) {
+      return openWordElements.pop();
+    }
+    return '';
+  }
+  /**
+   * Format the strong numbers the way the app expects them.  The prefixes (ie. c:H0430), the leading zeros, and
+   * the extra digit that the unfoldingWord Greek New Testament adds (ie. G39720) are removed.
+   *
+   * @param  {String} strong The strong attribute of the word
+   *
+   * @return {String}        The strong numbers seperated by a space (ie. G3972)
+   * @access private
+   */
+  function formatStrongs(strong) {
+    var formatted = [];
+    var numbers = strong.split(/\s+/);
+    for (var i = 0; i < numbers.length; i++) {
+      var parts = /^([GH])(\d+)/i.exec(numbers[i].split(':').pop());
+      if (parts === null) {
+        continue;
+      }
+      var digits = parts[2];
+      if ((parts[1].toUpperCase() === 'G') && (digits.length === 5)) {
+        digits = digits.substring(0, 4);
+      }
+      formatted.push(parts[1].toUpperCase() + parseInt(digits, 10));
+    }
+    return formatted.join(' ');
+  }
+  /**
+   * Add an issue to the validationReport at the current location
+   *
+   * @param  {String} level     The level of the issue (error or warning)
+   * @param  {String} type      The type of issue (See uwObject.validationReport)
+   * @param  {String} message   A message describing the issue
+   * @param  {Object} location  The location of the issue (defaults to the current location)
+   *
+   * @return {void}
+   * @access private
+   */
+  function addIssue(level, type, message, location) {
+    var issue = {
+      level:    level,
+      type:     type,
+      message:  message
+    };
+    location = location || copyLocation();
+    for (var key in location) {
+      issue[key] = location[key];
+    }
+    uwObject.validationReport.issues.push(issue);
+    if (level === 'error') {
+      uwObject.validationReport.errors++;
+    } else {
+      uwObject.validationReport.warnings++;
+    }
+  }
+  /**
+   * Get a copy of the current validationLocation
+   *
+   * @return {Object} The location
+   * @access private
+   */
+  function copyLocation() {
+    return JSON.parse(JSON.stringify(validationLocation));
+  }
+  /**
+   * Check the book has an \id we know, and the \h and \toc headers
+   *
+   * @param  {String}  fileContent The content of the USFM file
+   *
+   * @return {Boolean}             Can we identify the book?
+   * @access private
+   */
+  function validateHeaders(fileContent) {
+    var id = /^\\id\s+(\S+)/m.exec(fileContent);
+    if (id === null) {
+      addIssue('error', 'missing-id', 'The book is missing the \\id marker.');
+      return false;
+    }
+    validationLocation.book = id[1].toUpperCase();
+    if (bibleDataParser.getBookInfoByUsfmCode(validationLocation.book) === null) {
+      addIssue('error', 'unknown-book', 'The book code ' + id[1] + ' in the \\id marker is not a known book.');
+      return false;
+    }
+    var headers = ['h', 'toc1', 'toc2', 'toc3'];
+    for (var i = 0; i < headers.length; i++) {
+      if (!new RegExp('^\\\\' + headers[i] + '\\s+\\S', 'm').test(fileContent)) {
+        addIssue('warning', 'missing-toc', 'The book is missing the \\' + headers[i] + ' marker.');
+      }
+    }
+    return true;
+  }
+  /**
+   * Check the verse number follows the last verse number in the chapter
+   *
+   * @param  {String} number The verse number or range (ie. 1-2)
+   *
+   * @return {void}
+   * @access private
+   */
+  function validateVerseNumber(number) {
+    var range = number.split('-');
+    var start = parseInt(range[0], 10);
+    var end = parseInt(range[range.length - 1], 10) || start;
+    validationLocation.verse = number;
+    if (chapterVerseCount > -1) {
+      chapterVerseCount++;
+    }
+    if (isNaN(start)) {
+      addIssue('error', 'missing-verse', 'The verse is missing its number.');
+      return;
+    }
+    if (start <= lastVerseNumber) {
+      addIssue('error', 'out-of-order-verse', 'Verse ' + number + ' follows verse ' + lastVerseNumber + '.');
+    } else if (start > lastVerseNumber + 1) {
+      if (start - 1 > lastVerseNumber + 1) {
+        addIssue('error', 'missing-verse', 'Verses ' + (lastVerseNumber + 1) + '-' + (start - 1) + ' are missing.');
+      } else {
+        addIssue('error', 'missing-verse', 'Verse ' + (lastVerseNumber + 1) + ' is missing.');
+      }
+    }
+    lastVerseNumber = Math.max(end, lastVerseNumber);
+  }
+  /**
+   * Check that the footnotes and character styles of the verse were closed
+   *
+   * @return {void}
+   * @access private
+   */
+  function validateEndOfVerse() {
+    if (footnoteLocation !== null) {
+      addIssue('error', 'unclosed-footnote', 'The footnote was not closed.', footnoteLocation);
+      footnoteLocation = null;
+    }
+    for (var i = 0; i < openCharacterStyles.length; i++) {
+      addIssue('error', 'unclosed-character-style', 'The \\' + openCharacterStyles[i].key + ' was not closed.', openCharacterStyles[i].location);
+    }
+    openCharacterStyles = [];
+  }
+  /**
+   * Check that the current chapter had verses
+   *
+   * @return {void}
+   * @access private
+   */
+  function validateEndOfChapter() {
+    if (chapterVerseCount === 0) {
+      addIssue('error', 'empty-chapter', 'Chapter ' + validationLocation.chapter + ' has no verses.');
+    }
+  }
+  /**
+   * Check that the closing character style matches the last one opened
+   *
+   * @param  {String} key The key of the character style being closed (ie. wj)
+   *
+   * @return {void}
+   * @access private
+   */
+  function validateCharacterStyleEnd(key) {
+    var opened = openCharacterStyles.pop();
+    if ((!opened) || (opened.key !== key)) {
+      addIssue('error', 'unmatched-character-style', 'The \\' + key + '* does not match an open \\' + key + '.');
+      if (opened) {
+        openCharacterStyles.push(opened);
+      }
+    }
+  }
+  /**
+   * Opens a table row, and opens the table if it is not open yet
+   *
+   * @return {String} The HTML to open the row
+   * @access private
+   */
+  function openTableRowBlock() {
+    var html = '';
+    if (!tableBlockOpen) {
+      html += closeListItemBlock();
+      html += closeTextBlock();
+      html += '<table class="t">' + uwObject.htmlBreakingElement;
+      tableBlockOpen = true;
+    }
+    tableRowBlockOpen = true;
+    return html + '<tr>';
+  }
+  /**
+   * Opens a table cell.  Right aligned cells (ie. \tcr1) get the class tcr, and centered cells (ie. \tcc1) get the
+   * class tcc.  A cell spanning columns (ie. \tc1-2) gets a colspan.
+   *
+   * @param  {Array}  tableCell The matches of the tableCellRegex for the cell tag
+   * @param  {String} text      The text that follows the tag
+   *
+   * @return {String}           The HTML to open the cell
+   * @access private
+   */
+  function openTableCellBlock(tableCell, text) {
+    var span = /^-(\d+)/.exec(text);
+    var colspan = '';
+    if (span !== null) {
+      colspan = ' colspan="' + (parseInt(span[1], 10) - parseInt(tableCell[3], 10) + 1) + '"';
+    }
+    tableCellBlock = (tableCell[1] === 'h') ? 'th' : 'td';
+    return '<' + tableCellBlock + ' class="t' + tableCell[1] + (tableCell[2] || '') + '"' + colspan + '>';
+  }
+  /**
+   * Checks if a table cell is open, and returns the correct HTML to close it
+   *
+   * @return {String} The HTML to close the cell or an empty string
+   * @access private
+   */
+  function closeTableCellBlock() {
+    if (tableCellBlock !== '') {
+      var html = '</' + tableCellBlock + '>';
+      tableCellBlock = '';
+      return html;
+    }
+    return '';
+  }
+  /**
+   * Checks if a table row is open, and returns the correct HTML to close it
+   *
+   * @return {String} The HTML to close the row or an empty string
+   * @access private
+   */
+  function closeTableRowBlock() {
+    var html = closeTableCellBlock();
+    if (tableRowBlockOpen) {
+      tableRowBlockOpen = false;
+      html += '</tr>' + uwObject.htmlBreakingElement;
+    }
+    return html;
+  }
+  /**
+   * Checks if a table is open, and returns the correct HTML to close it
+   *
+   * @return {String} The HTML to close the table or an empty string
+   * @access private
+   */
+  function closeTableBlock() {
+    var html = closeTableRowBlock();
+    if (tableBlockOpen) {
+      tableBlockOpen = false;
+      html += '</table>' + uwObject.htmlBreakingElement;
+    }
+    return html;
+  }
   /**
    * Add the prevId & nextId navigation based on the final chapter data. Warning!  This is
    * assuming the files are read in book order!  Therefore, filenames should start with the
@@ -677,6 +1341,7 @@ var uwGenerateUsfm = function() {
   function outputFinalComments() {
     if (uwObject.outputUnparsedTags === true) {
       console.log('Unparsed USFM Tags: [ ' + uwObject.unparsedTags.join(',') + ' ]');
+      console.log('Validation: ' + uwObject.validationReport.errors + ' errors, ' + uwObject.validationReport.warnings + ' warnings');
     }
   }
   /**
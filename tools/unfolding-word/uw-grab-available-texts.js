@@ -55,9 +55,60 @@ var uwGrabAvailableTexts = function() {
    * @access private
    */
   var moment = require('moment');
+  /**
+   * Nodejs package path for generating correct pathing
+   *
+   * @type {Object}
+   * @access private
+   */
+  var path = require('path');
+  /**
+   * Nodejs package crypto for hashing the downloaded files
+   *
+   * @type {Object}
+   * @access private
+   */
+  var crypto = require('crypto');
+  /**
+   * Nodejs package url for parsing urls
+   *
+   * @type {Object}
+   * @access private
+   */
+  var url = require('url');
+  /**
+   * A custom NodeJS file for reading the version 2 unfoldingWord catalog
+   *
+   * @type {Object}
+   * @access private
+   */
+  var v2Catalog = require('./lib/catalogs/v2-catalog.js');
+  /**
+   * A custom NodeJS file for reading Resource Container catalogs
+   *
+   * @type {Object}
+   * @access private
+   */
+  var rcCatalog = require('./lib/catalogs/rc-catalog.js');
+  /**
+   * The name of the folder in the destinationFolder where files are downloaded before they are moved into place
+   *
+   * @type {String}
+   * @access private
+   */
+  var stagingFolder = '.uw-staging';
+  /**
+   * The ids of every version in the catalog, including the ones that the filters skip.  The folders of these
+   * versions are kept when it prepares the folder, so a filtered grab does not remove the other versions.
+   *
+   * @type {Array}
+   * @access private
+   */
+  var catalogVersionIds = [];
   /**
    * The directory where you want the final files placed.  All folders starting with uw_ in this directory
-   * are removed when it prepares the folder.  This is relative to the script that uses this module.
+   * that are no longer in the catalog are removed when it prepares the folder.  This is relative to the
+   * script that uses this module.
    *
    * @type {String}
    * @access public
@@ -71,6 +122,23 @@ var uwGrabAvailableTexts = function() {
    */
   uwObject.catalogUrl = '';
 
+  /**
+   * The classes that can read a catalog.  Each class has a name, a canRead(body, location) method, and a
+   * getVersions(body, location) method (See lib/catalogs/v2-catalog.js).  Add your own to support other formats.
+   *
+   * @type {Array}
+   * @access public
+   */
+  uwObject.catalogs = [v2Catalog, rcCatalog];
+
+  /**
+   * The name of the catalog format to use.  If it is empty, we use the first catalog that can read it.
+   *
+   * @type {String}
+   * @access public
+   */
+  uwObject.catalogFormat = '';
+
   /**
    * The API url to grab the list of languages from.  It should return JSON.
    *
@@ -79,6 +147,27 @@ var uwGrabAvailableTexts = function() {
    */
   uwObject.languagesUrl = 'http://td.unfoldingword.org/exports/langnames.json';
 
+  /**
+   * A local folder that mirrors the remote files.  When set, every http(s) url (the catalogUrl, the languagesUrl,
+   * and the usfm files) is read from this folder instead, using the host and path of the url.  For example,
+   * https://api.unfoldingword.org/uw/txt/2/catalog.json is read from [mirrorFolder]/api.unfoldingword.org/uw/txt/2/catalog.json.
+   * This is the layout created by `wget --mirror`.
+   *
+   * @type {String}
+   * @access public
+   */
+  uwObject.mirrorFolder = '';
+
+  /**
+   * An object of url prefixes to rewrite before fetching a file.  The key is the prefix to replace, and the value
+   * is the replacement.  The replacement can be another url, a file:// url, or a local path.
+   * (ex. {'https://api.unfoldingword.org/': 'file:///srv/mirror/'})
+   *
+   * @type {Object}
+   * @access public
+   */
+  uwObject.urlRewrites = {};
+
   /**
    * Quiet the notifications produced by this script.  Does not silence errors.
    *
@@ -86,6 +175,129 @@ var uwGrabAvailableTexts = function() {
    */
   uwObject.silenceNotification = false;
 
+  /**
+   * Only grab the versions in these language codes (ex. ['en', 'fr', 'sw']).  A code without a region also matches
+   * the languages with a region (ie. pt matches pt-br).  If it is empty, all the languages are grabbed.
+   *
+   * @type {Array}
+   * @access public
+   */
+  uwObject.includeLanguages = [];
+
+  /**
+   * Skip the versions in these language codes.
+   *
+   * @type {Array}
+   * @access public
+   */
+  uwObject.excludeLanguages = [];
+
+  /**
+   * Only grab the versions with these slugs (ex. ['ulb', 'udb']).  If it is empty, all the versions are grabbed.
+   *
+   * @type {Array}
+   * @access public
+   */
+  uwObject.includeVersions = [];
+
+  /**
+   * Skip the versions with these slugs.
+   *
+   * @type {Array}
+   * @access public
+   */
+  uwObject.excludeVersions = [];
+
+  /**
+   * Only grab the versions with at least this checking level.  Set to 0 to grab all of them.
+   *
+   * @type {Number}
+   * @access public
+   */
+  uwObject.minCheckingLevel = 0;
+
+  /**
+   * The number of versions to download at the same time
+   *
+   * @type {Number}
+   * @access public
+   */
+  uwObject.concurrency = 2;
+
+  /**
+   * The number of files to download at the same time for each version
+   *
+   * @type {Number}
+   * @access public
+   */
+  uwObject.fileConcurrency = 4;
+
+  /**
+   * The number of milliseconds to wait on a usfm file request before giving up on it
+   *
+   * @type {Number}
+   * @access public
+   */
+  uwObject.timeout = 60000;
+
+  /**
+   * The number of times to retry a usfm file that failed to download
+   *
+   * @type {Number}
+   * @access public
+   */
+  uwObject.retries = 3;
+
+  /**
+   * The number of milliseconds to wait before the first retry.  The wait is doubled on each following retry.
+   *
+   * @type {Number}
+   * @access public
+   */
+  uwObject.retryDelay = 1000;
+
+  /**
+   * The files that could not be fetched during the last run.  Each is an object with the version id, the url
+   * and the error.
+   *
+   * @type {Array}
+   * @access public
+   */
+  uwObject.failures = [];
+
+  /**
+   * The name of the manifest file stored in the destinationFolder.  It keeps track of what was downloaded
+   * so we only download the versions and books that have changed.
+   *
+   * @type {String}
+   * @access public
+   */
+  uwObject.manifestFilename = 'uw-manifest.json';
+
+  /**
+   * The manifest of the files we have downloaded.  It is structured like:
+   *
+   * {
+   *   versions: {
+   *     uw_en_ulb: {
+   *       mod: '1437687666',
+   *       files: {
+   *         '01-GEN.usfm': {
+   *           src:   'https://api.unfoldingword.org/ulb/txt/1/ulb-en/01-GEN.usfm',
+   *           mod:   '1437687666',
+   *           size:  12345,
+   *           hash:  'md5 hash of the file'
+   *         }
+   *       }
+   *     }
+   *   }
+   * }
+   *
+   * @type {Object}
+   * @access public
+   */
+  uwObject.manifest = {versions: {}};
+
   /**
    * The list of languages downloaded from the API.
    *
@@ -97,18 +309,14 @@ var uwGrabAvailableTexts = function() {
   /**
    * Get the list of languages from the API.
    * @param {function} _callback What to do after we've gotten the list
+   * @throws {Error} If we are unable to get the list
    */
   uwObject.downloadLanguageData = function(_callback) {
 
-    display('Getting the list of languages from ' + uwObject.languagesUrl + '.');
-    request(uwObject.languagesUrl, function(error, response, body) {
+    display('Getting the list of languages from ' + uwObject.resolveLocation(uwObject.languagesUrl) + '.');
+    fetch(uwObject.languagesUrl, function(error, body) {
       if (error) {
-        display('Error - downloadLanguageData:', true);
-        console.log(error);
-      }
-      else if (response.statusCode != 200) {
-        display('Error - downloadLanguageData: status code = ' + response.statusCode, true);
-        display(body);
+        throw Error('uwGrabAvailableTexts - Unable to grab the list of languages: ' + error + '.');
       }
       else {
         uwObject.languageData = JSON.parse(body);
@@ -130,88 +338,420 @@ var uwGrabAvailableTexts = function() {
    * @author Johnathan Pulos <johnathan@missionaldigerati.org>
    */
   uwObject.getBibles = function(_callback) {
-    display('Getting the bibles available from ' + uwObject.catalogUrl + '.');
-    request(uwObject.catalogUrl, function(error, response, body) {
-      if (!error && response.statusCode == 200) {
-        var data = JSON.parse(body);
-        var bibles = [];
-        for (var i = 0; i < data.cat.length; i++) {
-          if (data.cat[i].slug == 'bible') {
-            bibles = bibles.concat(getBibleVersions(data.cat[i].langs));
-          }
+    display('Getting the bibles available from ' + uwObject.resolveLocation(uwObject.catalogUrl) + '.');
+    fetch(uwObject.catalogUrl, function(error, body) {
+      if (!error) {
+        var catalog = getCatalog(body, uwObject.catalogUrl);
+        if (catalog === null) {
+          throw Error('uwGrabAvailableTexts - Unable to read the catalog format of ' + uwObject.catalogUrl + '.');
         }
-        _callback(bibles);
+        display('Reading the ' + catalog.name + ' catalog.');
+        _callback(getBibleVersions(catalog.getVersions(body, uwObject.catalogUrl)));
       } else {
         throw Error('uwGrabAvailableTexts - Unable to grab Unfolding Word content: ' + error + '.');
       }
     });
   };
+  /**
+   * Resolve where a file should be read from.  It applies the urlRewrites, and then maps any remaining
+   * http(s) url into the mirrorFolder if one is set.
+   *
+   * @param  {String} location The url or path of the file
+   *
+   * @return {String}          The url or path to read the file from
+   * @access public
+   */
+  uwObject.resolveLocation = function(location) {
+    for (var prefix in uwObject.urlRewrites) {
+      if (location.indexOf(prefix) === 0) {
+        location = uwObject.urlRewrites[prefix] + location.substring(prefix.length);
+        break;
+      }
+    }
+    if ((uwObject.mirrorFolder !== '') && (isRemote(location))) {
+      var parsed = url.parse(location);
+      location = path.join(uwObject.mirrorFolder, parsed.host, decodeURIComponent(parsed.pathname));
+    }
+    return location;
+  };
   /**
    * Downloads all the usfm files from Unfolding Word, and sets up the version in the input directory
-   * with the correct info.json file.
+   * with the correct info.json file.  Only the given concurrency of versions are downloaded at the same time.
    *
-   * @param  {Array} bibles An array of the available versions
+   * @param  {Array}    bibles    An array of the available versions
+   * @param  {Function} _callback Called with the array of failures once all the versions are finished (optional)
    *
    * @return {void}
    * @access private
    *
    * @author Johnathan Pulos <johnathan@missionaldigerati.org>
    */
-  uwObject.downloadBibles = function(bibles) {
+  uwObject.downloadBibles = function(bibles, _callback) {
     display('Parsing the Bible data.');
-    for (var i = 0; i < bibles.length; i++) {
-      downloadThisOne(bibles[i]);
-    }
+    uwObject.failures = [];
+    eachLimit(bibles, uwObject.concurrency, downloadThisOne, function() {
+      displaySummary();
+      if (typeof _callback === 'function') {
+        _callback(uwObject.failures);
+      }
+    });
   };
 
-  function downloadThisOne(bible) {
-
-    var directoryPath = uwObject.destinationFolder + '/' + bible.version_info.id;
+  /**
+   * Downloads the usfm files that have changed for a single version.  The files are downloaded into a staging
+   * folder, and only moved into the version folder once they have all been received.  If any of them fail,
+   * the existing files are kept, and the failures are added to uwObject.failures.
+   *
+   * @param  {Object}   bible     The version object (See getBibleVersions())
+   * @param  {Function} _callback Called when the version is finished
+   *
+   * @return {void}
+   * @access private
+   */
+  function downloadThisOne(bible, _callback) {
+    var versionId = bible.version_info.id;
+    var directoryPath = path.join(uwObject.destinationFolder, versionId);
+    var stagingPath = path.join(uwObject.destinationFolder, stagingFolder, versionId);
 
-    mkdirp(directoryPath, function(err, madePath) {
+    mkdirp(directoryPath, function(err) {
       if (err) {
-        throw err;
+        display('Unable to create the folder for ' + versionId + ': ' + err, true);
+        uwObject.failures.push({version: versionId, url: directoryPath, error: err});
+        _callback();
+        return;
       }
-      else {
-        /**
-         * let's add the info.json file
-         */
-        fileSystem.writeFileSync(madePath + '/info.json', JSON.stringify(bible.version_info));
-        /**
-         * Let's create the about.html file
-         */
-        fileSystem.writeFileSync(madePath + '/about.html', bible.about);
-        /**
-         * Now download all the files
-         */
-        display('Downloading the usfm files... This may take a while... Go grab a cup of coffee...');
-        //noinspection JSPotentiallyInvalidConstructorUsage
-        var fileDownload = new download({});
-        for (var f = 0; f < bible.files.length; f++) {
-          fileDownload.get(bible.files[f]);
+      /**
+       * let's add the info.json file
+       */
+      fileSystem.writeFileSync(path.join(directoryPath, 'info.json'), JSON.stringify(bible.version_info));
+      /**
+       * Let's create the about.html file
+       */
+      fileSystem.writeFileSync(path.join(directoryPath, 'about.html'), bible.about);
+      /**
+       * Now download the files that have changed
+       */
+      var changedFiles = getChangedFiles(bible, directoryPath);
+      if (changedFiles.length === 0) {
+        display(versionId + ' is up to date.');
+        updateManifest(bible, directoryPath, []);
+        _callback();
+        return;
+      }
+      display('Downloading ' + changedFiles.length + ' usfm files for ' + versionId + '... This may take a while... Go grab a cup of coffee...');
+      fetchFiles(bible, changedFiles, stagingPath, function(failures, stagedFiles) {
+        if (failures.length > 0) {
+          display('Unable to download ' + failures.length + ' files for ' + versionId + ', keeping the existing files.', true);
+          for (var f = 0; f < failures.length; f++) {
+            failures[f].version = versionId;
+            uwObject.failures.push(failures[f]);
+          }
+          del.sync([stagingPath], {force: true});
+          _callback();
+          return;
         }
-        fileDownload.dest(madePath);
-        fileDownload.run();
+        for (var m = 0; m < stagedFiles.length; m++) {
+          fileSystem.renameSync(path.join(stagingPath, stagedFiles[m].stagedName), path.join(directoryPath, getFilename(bible, stagedFiles[m].url)));
+        }
+        del.sync([stagingPath], {force: true});
+        updateManifest(bible, directoryPath, changedFiles);
+        _callback();
+      });
+    });
+  }
+  /**
+   * Fetch the given files into the staging folder.  Files that resolve to a local path are copied, and the
+   * rest are downloaded.
+   *
+   * @param  {Object}   bible       The version object (See getBibleVersions())
+   * @param  {Array}    urls        The urls of the files to fetch
+   * @param  {String}   stagingPath The folder to place the files in
+   * @param  {Function} _callback   Called with an array of the files that could not be fetched ({url, error}), and an
+   *                                array of objects with the url and the name of each file in the staging folder
+   *
+   * @return {void}
+   * @access private
+   */
+  function fetchFiles(bible, urls, stagingPath, _callback) {
+    var remoteFiles = [];
+    var localFiles = [];
+    var stagedFiles = [];
+    for (var i = 0; i < urls.length; i++) {
+      var resolved = uwObject.resolveLocation(urls[i]);
+      var stagedFile = {
+        url:        urls[i],
+        stagedName: getFilename(bible, urls[i])
+      };
+      if (isRemote(resolved)) {
+        remoteFiles.push({url: urls[i], resolved: resolved, filename: stagedFile.stagedName});
+      } else {
+        localFiles.push({
+          url:      urls[i],
+          source:   toLocalPath(resolved),
+          filename: stagedFile.stagedName
+        });
       }
+      stagedFiles.push(stagedFile);
+    }
+    copyLocalFiles(localFiles, stagingPath, function(failures) {
+      eachLimit(remoteFiles, uwObject.fileConcurrency, function(remoteFile, done) {
+        downloadFile(remoteFile.resolved, stagingPath, remoteFile.filename, 0, function(error) {
+          if (error) {
+            failures.push({url: remoteFile.url, error: error});
+          }
+          done();
+        });
+      }, function() {
+        _callback(failures, stagedFiles);
+      });
     });
   }
+  /**
+   * Download a single file into the staging folder.  If it fails, it is retried until we run out of
+   * uwObject.retries, waiting twice as long before each retry.
+   *
+   * @param  {String}   location    The url of the file
+   * @param  {String}   stagingPath The folder to place the file in
+   * @param  {String}   filename    The name of the file in the staging folder (download names it after the
+   *                                whole url, query string included)
+   * @param  {Number}   attempt     The number of times we have already retried the file
+   * @param  {Function} _callback   Called with an error if the file could not be downloaded
+   *
+   * @return {void}
+   * @access private
+   */
+  function downloadFile(location, stagingPath, filename, attempt, _callback) {
+    //noinspection JSPotentiallyInvalidConstructorUsage
+    var fileDownload = new download({timeout: uwObject.timeout});
+    fileDownload.get(location);
+    fileDownload.dest(stagingPath);
+    fileDownload.rename(filename);
+    fileDownload.run(function(error) {
+      if (!error) {
+        _callback(null);
+        return;
+      }
+      if (attempt >= uwObject.retries) {
+        _callback(error);
+        return;
+      }
+      var delay = uwObject.retryDelay * Math.pow(2, attempt);
+      display('Unable to download ' + location + ' (' + error + '), retrying in ' + delay + 'ms.');
+      setTimeout(function() {
+        downloadFile(location, stagingPath, filename, attempt + 1, _callback);
+      }, delay);
+    });
+  }
+  /**
+   * Copy local files into the staging folder
+   *
+   * @param  {Array}    files       An array of objects with the url, the source path and the filename to copy to
+   * @param  {String}   stagingPath The folder to place the files in
+   * @param  {Function} _callback   Called with an array of the files that could not be copied ({url, error})
+   *
+   * @return {void}
+   * @access private
+   */
+  function copyLocalFiles(files, stagingPath, _callback) {
+    var failures = [];
+    if (files.length === 0) {
+      _callback(failures);
+      return;
+    }
+    mkdirp(stagingPath, function(err) {
+      for (var i = 0; i < files.length; i++) {
+        if (err) {
+          failures.push({url: files[i].url, error: err});
+          continue;
+        }
+        try {
+          fileSystem.writeFileSync(path.join(stagingPath, files[i].filename), fileSystem.readFileSync(files[i].source));
+        } catch (e) {
+          failures.push({url: files[i].url, error: e});
+        }
+      }
+      _callback(failures);
+    });
+  }
+  /**
+   * Check if the version passes the language, version and checking level filters
+   *
+   * @param  {Object}  version The Bible version from the catalog class (See lib/catalogs/v2-catalog.js)
+   *
+   * @return {Boolean}         Do we want to grab it?
+   * @access private
+   */
+  function isWanted(version) {
+    var lang = version.lang.toLowerCase();
+    var languages = [lang, lang.split('-')[0]];
+    var slug = version.slug.toLowerCase();
+    var checkingLevel = 0;
+    if ((version.status) && (version.status.checking_level)) {
+      checkingLevel = parseInt(version.status.checking_level, 10) || 0;
+    }
+    if ((uwObject.includeLanguages.length > 0) && (!inList(uwObject.includeLanguages, languages))) {
+      return false;
+    }
+    if (inList(uwObject.excludeLanguages, languages)) {
+      return false;
+    }
+    if ((uwObject.includeVersions.length > 0) && (!inList(uwObject.includeVersions, [slug]))) {
+      return false;
+    }
+    if (inList(uwObject.excludeVersions, [slug])) {
+      return false;
+    }
+    return (checkingLevel >= uwObject.minCheckingLevel);
+  }
+  /**
+   * Check if any of the values are in the list.  The list is compared case insensitive.
+   *
+   * @param  {Array}   list   The list to search
+   * @param  {Array}   values The lowercase values to look for
+   *
+   * @return {Boolean}        Is one of them in the list?
+   * @access private
+   */
+  function inList(list, values) {
+    for (var i = 0; i < list.length; i++) {
+      if (values.indexOf(String(list[i]).toLowerCase()) > -1) {
+        return true;
+      }
+    }
+    return false;
+  }
+  /**
+   * Call the iterator on each item, with no more than the given limit running at the same time
+   *
+   * @param  {Array}    items     The items to iterate over
+   * @param  {Number}   limit     The most items to run at the same time
+   * @param  {Function} iterator  Called with each item and a callback to call when the item is finished
+   * @param  {Function} _callback Called once all the items are finished
+   *
+   * @return {void}
+   * @access private
+   */
+  function eachLimit(items, limit, iterator, _callback) {
+    var started = 0;
+    var running = 0;
+    var finished = 0;
+    // NaN (ie. parseInt('abc')) would never start anything
+    limit = (limit >= 1) ? limit : 1;
+    if (items.length === 0) {
+      _callback();
+      return;
+    }
+    var next = function() {
+      while ((running < limit) && (started < items.length)) {
+        running++;
+        iterator(items[started++], function() {
+          running--;
+          finished++;
+          if (finished === items.length) {
+            _callback();
+          } else {
+            next();
+          }
+        });
+      }
+    };
+    next();
+  }
+  /**
+   * Display a summary of the files that failed to download
+   *
+   * @return {void}
+   * @access private
+   */
+  function displaySummary() {
+    if (uwObject.failures.length === 0) {
+      display('All the versions were downloaded successfully.');
+      return;
+    }
+    display(uwObject.failures.length + ' files failed to download:', true);
+    for (var i = 0; i < uwObject.failures.length; i++) {
+      var failure = uwObject.failures[i];
+      display('  ' + failure.version + ': ' + failure.url + ' (' + failure.error + ')', true);
+    }
+  }
+  /**
+   * Read the contents of a url or a local file
+   *
+   * @param  {String}   location  The url or path of the file (It is resolved using resolveLocation())
+   * @param  {Function} _callback Called with an error, or the body of the file
+   *
+   * @return {void}
+   * @access private
+   */
+  function fetch(location, _callback) {
+    var resolved = uwObject.resolveLocation(location);
+    if (!isRemote(resolved)) {
+      var body;
+      try {
+        body = fileSystem.readFileSync(toLocalPath(resolved), 'utf8');
+      } catch (e) {
+        _callback(e);
+        return;
+      }
+      _callback(null, body);
+      return;
+    }
+    request(resolved, function(error, response, body) {
+      if (error) {
+        _callback(error);
+      } else if (response.statusCode != 200) {
+        _callback(new Error('status code = ' + response.statusCode + ' for ' + resolved));
+      } else {
+        _callback(null, body);
+      }
+    });
+  }
+  /**
+   * Is the location a http(s) url?
+   *
+   * @param  {String}  location The url or path
+   *
+   * @return {Boolean}
+   * @access private
+   */
+  function isRemote(location) {
+    return /^https?:\/\//i.test(location);
+  }
+  /**
+   * Turn a file:// url into a local path.  Paths are returned as is.
+   *
+   * @param  {String} location The file:// url or path
+   *
+   * @return {String}          The local path
+   * @access private
+   */
+  function toLocalPath(location) {
+    if (location.indexOf('file://') === 0) {
+      return decodeURIComponent(url.parse(location).pathname);
+    }
+    return location;
+  }
   /**
    * Run the full process:
    *
-   * 1) Prepare the destinationFolder for the Bible versions
+   * 1) Load the manifest of the files we downloaded previously
    * 2) Retrieve the latest Bible versions from Unfolding Word
-   * 3) Create a directory for each version, add a info.json, and download the usm files
+   * 3) Prepare the destinationFolder by removing versions that are no longer available
+   * 4) Create a directory for each version, add a info.json, and download the usfm files that have changed
+   *
+   * @param  {Function} _callback Called with the array of failures once all the versions are finished (optional)
    *
    * @return {void}
    * @access public
    *
    * @author Johnathan Pulos <johnathan@missionaldigerati.org>
    */
-  uwObject.process = function() {
-    prepareFolder(function () {
-      uwObject.downloadLanguageData(function() {
-        uwObject.getBibles(function(bibles) {
-          uwObject.downloadBibles(bibles);
+  uwObject.process = function(_callback) {
+    loadManifest();
+    uwObject.downloadLanguageData(function() {
+      uwObject.getBibles(function(bibles) {
+        prepareFolder(catalogVersionIds, function() {
+          uwObject.downloadBibles(bibles, _callback);
         });
       });
     });
@@ -262,17 +802,33 @@ var uwGrabAvailableTexts = function() {
     }
   }
   /**
-   * Prepare the folders for the ufw content.  We remove all folders with a uw prefix
-   * in the destinationFolder folder.
+   * Prepare the folders for the ufw content.  We remove all folders with a uw prefix in the destinationFolder
+   * that are no longer in the catalog, and any files left in the staging folder by an interrupted run.  The
+   * filters only choose what is downloaded, the versions they skip are kept.
+   *
+   * @param  {Array}    versionIds  The ids of all the versions in the catalog
+   * @param  {Function} _callback   Called when the folder is ready
    *
    * @return {void}
    * @access private
    *
    * @author Johnathan Pulos <johnathan@missionaldigerati.org>
    */
-  function prepareFolder(_callback) {
+  function prepareFolder(versionIds, _callback) {
     display('Preparing the input folder.');
-    del([uwObject.destinationFolder + '/uw_*'], function (error) {
+    var patterns = [
+      path.join(uwObject.destinationFolder, 'uw_*'),
+      path.join(uwObject.destinationFolder, stagingFolder)
+    ];
+    for (var i = 0; i < versionIds.length; i++) {
+      patterns.push('!' + path.join(uwObject.destinationFolder, versionIds[i]));
+    }
+    for (var versionId in uwObject.manifest.versions) {
+      if (versionIds.indexOf(versionId) == -1) {
+        delete uwObject.manifest.versions[versionId];
+      }
+    }
+    del(patterns, {force: true}, function (error) {
       if (error) {
         display('Unable to locate directories to clean up received error: ' + error, true);
       } else {
@@ -281,21 +837,208 @@ var uwGrabAvailableTexts = function() {
     });
   }
   /**
-   * Iterates over the toc data, and makes an array of the files to download
+   * Load the manifest from the destinationFolder.  If it does not exist, we start with an empty manifest.
    *
-   * @param  {Array} tocData An array of JSON objects storing all the Bible files
+   * @return {void}
+   * @access private
+   */
+  function loadManifest() {
+    var manifestPath = path.join(uwObject.destinationFolder, uwObject.manifestFilename);
+    uwObject.manifest = {versions: {}};
+    if (fileSystem.existsSync(manifestPath)) {
+      try {
+        uwObject.manifest = JSON.parse(fileSystem.readFileSync(manifestPath, 'utf8'));
+      } catch (e) {
+        display('Unable to read the manifest ' + manifestPath + ', downloading everything.', true);
+      }
+    }
+  }
+  /**
+   * Write the manifest to the destinationFolder.
    *
-   * @return {Array}         An array of all the files to download
+   * @return {void}
+   * @access private
+   */
+  function saveManifest() {
+    var manifestPath = path.join(uwObject.destinationFolder, uwObject.manifestFilename);
+    fileSystem.writeFileSync(manifestPath, JSON.stringify(uwObject.manifest, null, 2));
+  }
+  /**
+   * Get the size and md5 hash of a file
+   *
+   * @param  {String} filePath The path to the file
+   *
+   * @return {Object}          An object with the size and hash of the file
+   * @access private
+   */
+  function getFileFingerprint(filePath) {
+    var content = fileSystem.readFileSync(filePath);
+    return {
+      size: content.length,
+      hash: crypto.createHash('md5').update(content).digest('hex')
+    };
+  }
+  /**
+   * Compare the version's files to the manifest, and return the urls of the files that need to be downloaded.
+   * A file needs to be downloaded if it is new, its source or modified date changed, or the local copy does
+   * not match the size and hash we recorded.
+   *
+   * @param  {Object} bible         The version object (See getBibleVersions())
+   * @param  {String} directoryPath The path to the version's folder
+   *
+   * @return {Array}                An array of the urls to download
+   * @access private
+   */
+  function getChangedFiles(bible, directoryPath) {
+    var changed = [];
+    var modified = bible.modified || {files: {}};
+    var versionManifest = uwObject.manifest.versions[bible.version_info.id] || {files: {}};
+    for (var i = 0; i < bible.files.length; i++) {
+      var fileUrl = bible.files[i];
+      var filePath = path.join(directoryPath, getFilename(bible, fileUrl));
+      var recorded = versionManifest.files[getFilename(bible, fileUrl)];
+      if ((!recorded) || (recorded.src !== fileUrl) || (recorded.mod !== modified.files[fileUrl]) || (!fileSystem.existsSync(filePath))) {
+        changed.push(fileUrl);
+        continue;
+      }
+      var fingerprint = getFileFingerprint(filePath);
+      if ((fingerprint.size !== recorded.size) || (fingerprint.hash !== recorded.hash)) {
+        changed.push(fileUrl);
+      }
+    }
+    return changed;
+  }
+  /**
+   * Record the version's files in the manifest, remove the files that are no longer in the version, and save
+   * the manifest.
+   *
+   * @param  {Object} bible         The version object (See getBibleVersions())
+   * @param  {String} directoryPath The path to the version's folder
+   * @param  {Array}  downloaded    The urls of the files that were just downloaded
+   *
+   * @return {void}
+   * @access private
+   */
+  function updateManifest(bible, directoryPath, downloaded) {
+    var modified = bible.modified || {files: {}};
+    var previous = uwObject.manifest.versions[bible.version_info.id] || {files: {}};
+    var versionManifest = {
+      mod:    modified.version,
+      files:  {}
+    };
+    for (var i = 0; i < bible.files.length; i++) {
+      var fileUrl = bible.files[i];
+      var filename = getFilename(bible, fileUrl);
+      if ((downloaded.indexOf(fileUrl) == -1) && (previous.files[filename])) {
+        versionManifest.files[filename] = previous.files[filename];
+        continue;
+      }
+      var fingerprint = getFileFingerprint(path.join(directoryPath, filename));
+      versionManifest.files[filename] = {
+        src:  fileUrl,
+        mod:  modified.files[fileUrl],
+        size: fingerprint.size,
+        hash: fingerprint.hash
+      };
+    }
+    for (var oldFilename in previous.files) {
+      var oldPath = path.join(directoryPath, oldFilename);
+      if ((!versionManifest.files[oldFilename]) && (fileSystem.existsSync(oldPath))) {
+        fileSystem.unlinkSync(oldPath);
+      }
+    }
+    uwObject.manifest.versions[bible.version_info.id] = versionManifest;
+    saveManifest();
+  }
+  /**
+   * Get the class that can read the catalog.  If the catalogFormat is set, we use the class with that name.
+   *
+   * @param  {String} body      The content of the catalog
+   * @param  {String} location  The url or path of the catalog
+   *
+   * @return {Object}           The catalog class, or null if none of them can read it
+   * @access private
+   */
+  function getCatalog(body, location) {
+    for (var i = 0; i < uwObject.catalogs.length; i++) {
+      var catalog = uwObject.catalogs[i];
+      if (uwObject.catalogFormat !== '') {
+        if (catalog.name == uwObject.catalogFormat) {
+          return catalog;
+        }
+      } else if (catalog.canRead(body, location)) {
+        return catalog;
+      }
+    }
+    return null;
+  }
+  /**
+   * Iterates over the version's files, and makes an array of the files to download
+   *
+   * @param  {Array} files An array of JSON objects storing all the Bible files
+   *
+   * @return {Array}       An array of all the files to download
    * @access private
    *
    * @author Johnathan Pulos <johnathan@missionaldigerati.org>
    */
-  function getFiles(tocData) {
-    var files = [];
-    for (var i = 0; i < tocData.length; i++) {
-      files.push(tocData[i].src);
+  function getFiles(files) {
+    var urls = [];
+    for (var i = 0; i < files.length; i++) {
+      urls.push(files[i].src);
+    }
+    return urls;
+  }
+  /**
+   * Iterates over the version data, and collects the modified dates of the version and its files
+   *
+   * @param  {Object} version The version object from the catalog class
+   *
+   * @return {Object}         An object with the version's modified date, and the modified date of each file keyed by url
+   * @access private
+   */
+  function getModified(version) {
+    var modified = {
+      version:  version.mod,
+      files:    {}
+    };
+    for (var i = 0; i < version.files.length; i++) {
+      modified.files[version.files[i].src] = version.files[i].mod;
+    }
+    return modified;
+  }
+  /**
+   * Iterates over the version's files, and collects the names the catalog class gave the files
+   *
+   * @param  {Object} version The version object from the catalog class
+   *
+   * @return {Object}         An object of filenames keyed by url, or null if the catalog did not name the files
+   * @access private
+   */
+  function getFilenames(version) {
+    var filenames = null;
+    for (var i = 0; i < version.files.length; i++) {
+      if (version.files[i].filename) {
+        filenames = filenames || {};
+        filenames[version.files[i].src] = version.files[i].filename;
+      }
+    }
+    return filenames;
+  }
+  /**
+   * Get the name of the file to store the given url in.  By default it is the name of the file in the url.
+   *
+   * @param  {Object} bible   The version object (See getBibleVersions())
+   * @param  {String} fileUrl The url of the file
+   *
+   * @return {String}         The filename
+   * @access private
+   */
+  function getFilename(bible, fileUrl) {
+    if ((bible.filenames) && (bible.filenames[fileUrl])) {
+      return bible.filenames[fileUrl];
     }
-    return files;
+    return path.basename(url.parse(fileUrl).pathname);
   }
 
   /**
@@ -316,8 +1059,8 @@ var uwGrabAvailableTexts = function() {
   }
 
   /**
-   * Iterates over the versions of the Bible in a specific language provided by the catalogUrl, and returns an
-   * array of objects with each version.
+   * Iterates over the versions of the Bible provided by the catalog class, and returns an array of objects with
+   * each version.
    *
    * Returned Version Object Structure:
    *
@@ -335,61 +1078,83 @@ var uwGrabAvailableTexts = function() {
    *   },
    *   files: [
    *     'https://api.unfoldingword.org/ulb/txt/1/ulb-en/01-EXD.usfm'
-   *   ]
+   *   ],
+   *   modified: {
+   *     version: '1437687666',
+   *     files: {
+   *       'https://api.unfoldingword.org/ulb/txt/1/ulb-en/01-EXD.usfm': '1437687666'
+   *     }
+   *   }
    * }
    *
-   * @param  {Array} languages An array of Bible versions available in that language
+   * If the catalog names the files, the object also has a filenames object with the name of each file keyed by url.
+   *
+   * @param  {Array} versions An array of Bible versions from the catalog class (See lib/catalogs/v2-catalog.js)
    *
    * @return {Array}  An array of version objects with all the important data
    * @access private
    *
    * @author Johnathan Pulos <johnathan@missionaldigerati.org>
    */
-  function getBibleVersions(languages) {
+  function getBibleVersions(versions) {
     var bibleVersions = [];
     var langCode;
-    for (var l = 0; l < languages.length; l++) {
-      if(languages[l].lc.indexOf('-') > -1) {
+    catalogVersionIds = [];
+    for (var i = 0; i < versions.length; i++) {
+      var version = versions[i];
+      if(version.lang.indexOf('-') > -1) {
         /**
          * Unique languages with a dash in them
          */
-        langCode = languages[l].lc.split('-')[0];
+        langCode = version.lang.split('-')[0];
       } else {
-        langCode = languages[l].lc;
+        langCode = version.lang;
+      }
+      catalogVersionIds.push('uw_' + langCode + '_' + version.slug);
+      if (!isWanted(version)) {
+        continue;
       }
 
       // get the information for this language
       var languageData = getLanguageData(langCode);
+      if ((!languageData) && (version.language)) {
+        languageData = {
+          lc:   langCode,
+          ln:   version.language.ln,
+          ang:  version.language.ln,
+          ld:   version.language.ld
+        };
+      }
       if (!languageData) {
         display('Error - getBibleVersions, Language not found: ' + langCode, true);
         continue;
       }
 
-      var versions = languages[l].vers;
-
-      for (var i = 0; i < versions.length; i++) {
-        var bible = {};
-        var version = versions[i];
-        var checkingLevel = '';
-        if ((version.hasOwnProperty('status')) && (version.status.hasOwnProperty('checking_level'))) {
-          checkingLevel = version.status.checking_level;
-        }
-        bible.about = createAboutFile(version);
-        bible.version_info = {
-          id:               'uw_' + langCode + '_' + version.slug,
-          abbr:             version.slug.toUpperCase(),
-          name:             version.name,
-          nameEnglish:      '',
-          lang:             languageData.lc,
-          langName:         languageData.ln,
-          langNameEnglish:  languageData.ang,
-          dir:              languageData.ld,
-          generator:        '../unfolding-word/uw-generate-usfm',
-          checking_level:   checkingLevel
-        };
-        bible.files = getFiles(version.toc);
-        bibleVersions.push(bible);
+      var bible = {};
+      var checkingLevel = '';
+      if ((version.hasOwnProperty('status')) && (version.status.hasOwnProperty('checking_level'))) {
+        checkingLevel = version.status.checking_level;
+      }
+      bible.about = createAboutFile(version);
+      bible.version_info = {
+        id:               'uw_' + langCode + '_' + version.slug,
+        abbr:             version.slug.toUpperCase(),
+        name:             version.name,
+        nameEnglish:      '',
+        lang:             languageData.lc,
+        langName:         languageData.ln,
+        langNameEnglish:  languageData.ang,
+        dir:              languageData.ld,
+        generator:        '../unfolding-word/uw-generate-usfm',
+        checking_level:   checkingLevel
+      };
+      bible.files = getFiles(version.files);
+      bible.modified = getModified(version);
+      var filenames = getFilenames(version);
+      if (filenames !== null) {
+        bible.filenames = filenames;
       }
+      bibleVersions.push(bible);
     }
     return bibleVersions;
   }
@@ -4,13 +4,86 @@
  */
 var uw = require('./uw-grab-available-texts');
 var path = require('path');
+var argv = require('minimist')(process.argv.slice(2), {string: ['catalog', 'catalog-format', 'languages', 'mirror', 'rewrite', 'lang', 'exclude-lang', 'versions', 'exclude-versions']});
+
+if (argv.h) {
+  console.log('----------------\n' +
+        'Grab Bibles Help\n' +
+        '--catalog URL|PATH     = the catalog to read the Bibles from\n' +
+        '--catalog-format NAME  = the format of the catalog (v2 or rc), it is detected by default\n' +
+        '--languages URL|PATH   = the list of languages (langnames.json)\n' +
+        '--mirror PATH          = read every url from a local mirror (ie. PATH/api.unfoldingword.org/uw/txt/2/catalog.json)\n' +
+        '--rewrite FROM=TO      = rewrite urls starting with FROM to start with TO (can be repeated)\n' +
+        '--concurrency NUMBER   = the number of versions to download at the same time (default 2)\n' +
+        '--timeout MS           = the milliseconds to wait on each usfm file before giving up (default 60000)\n' +
+        '--retries NUMBER       = the number of times to retry a usfm file that failed (default 3)\n' +
+        '--lang CODES           = only grab these comma separated language codes (ie. en,fr,sw)\n' +
+        '--exclude-lang CODES   = skip these comma separated language codes\n' +
+        '--versions SLUGS       = only grab these comma separated version slugs (ie. ulb,udb)\n' +
+        '--exclude-versions SLUGS = skip these comma separated version slugs\n' +
+        '--min-checking-level N = only grab the versions with at least this checking level\n');
+  return;
+}
 /**
  * Set some of the settings before processing
  *
  */
-uw.catalogUrl = 'https://api.unfoldingword.org/uw/txt/2/catalog.json';
+uw.catalogUrl = argv.catalog || 'https://api.unfoldingword.org/uw/txt/2/catalog.json';
+if (argv['catalog-format']) {
+  uw.catalogFormat = argv['catalog-format'];
+}
+if (argv.languages) {
+  uw.languagesUrl = argv.languages;
+}
+if (argv.mirror) {
+  uw.mirrorFolder = path.resolve(argv.mirror);
+}
+[].concat(argv.rewrite || []).forEach(function(rewrite) {
+  var separator = rewrite.indexOf('=');
+  uw.urlRewrites[rewrite.substring(0, separator)] = rewrite.substring(separator + 1);
+});
+if (argv.concurrency !== undefined) {
+  uw.concurrency = parseInt(argv.concurrency, 10);
+  if (isNaN(uw.concurrency) || uw.concurrency < 1) {
+    console.error('--concurrency must be a number greater than 0 (see -h)');
+    process.exitCode = 1;
+    return;
+  }
+}
+if (argv.timeout) {
+  uw.timeout = parseInt(argv.timeout, 10);
+}
+if (argv.retries !== undefined) {
+  uw.retries = parseInt(argv.retries, 10);
+}
+uw.includeLanguages = getList(argv.lang);
+uw.excludeLanguages = getList(argv['exclude-lang']);
+uw.includeVersions = getList(argv.versions);
+uw.excludeVersions = getList(argv['exclude-versions']);
+if (argv['min-checking-level']) {
+  uw.minCheckingLevel = parseInt(argv['min-checking-level'], 10);
+}
 uw.destinationFolder = path.join(process.cwd(), 'input');
 /**
- * Process the current Bibles
+ * Process the current Bibles, and exit with an error if any of the files failed
  */
-uw.process();
+uw.process(function(failures) {
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  }
+});
+
+/**
+ * Get an array from an option that can be comma separated and repeated
+ *
+ * @param  {String|Array} value The value of the option
+ *
+ * @return {Array}              The values
+ */
+function getList(value) {
+  return [].concat(value || []).join(',').split(',').map(function(item) {
+    return item.trim();
+  }).filter(function(item) {
+    return item !== '';
+  });
+}
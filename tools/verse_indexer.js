@@ -1,22 +1,34 @@
 var fs = require('fs'),
 	path = require('path'),
 	base32 = require('base32'),
-	natural = require('natural');
+	wordNormalizer = require('./word_normalizer.js'),
+	wordSegmenter = require('./word_segmenter.js');
 
 var
 	useBase32 = true,
 	removeRegChars = ['\\', '^', '$', '.', '|', '?', '*', '+', '(', ')', '[', ']', '{', '}'];
 	otherRemoveChars = [
 		// roman
-		',',';', '!', '-', '–', '―', '—', '~', ':', '"', '/', "'s", '’s', "'", '‘', '’', '“', '”', '¿', '<', '>', '&',
-		// Chinese
-		'。', '：', '，', '”', '“', '）', '（', '~', '「', '」'];
+		',',';', '!', '-', '–', '―', '—', '~', ':', '"', '/', "'s", '’s', "'", '‘', '’', '“', '”', '¿', '<', '>', '&'],
+	// punctuation that can sit between two words without a space, so it becomes a space
+	separatorChars = [
+		// roman, greek
+		'¡', '«', '»', '„', '‚', '‹', '›', '…', '·', '\u037E',
+		// arabic, urdu
+		'،', '؛', '؟', '۔',
+		// hebrew: sof pasuq, maqaf, paseq
+		'\u05C3', '\u05BE', '\u05C0',
+		// devanagari, ethiopic, armenian
+		'।', '॥', '።', '፣', '፤', '։',
+		// CJK
+		'。', '：', '，', '）', '（', '「', '」', '、', '？', '！', '；', '《', '》', '『', '』'];
 
 	// removeChars = ['.',',',';','?','!','-','–','―','—','~',':','"',')','(','[',']','/','\\',"'s",'’s',"'",'‘','’','“','”', '¿', '*', '<','>','&','{','}'],
 
 
 	restrictedWords = ['a', 'and', 'about', 'above', 'across', 'after', 'against', 'along', 'among', 'around', 'at', 'before', 'behind', 'below', 'beneath', 'beside', 'between', 'beyond', 'but', 'by', 'constructor', 'despite', 'down', 'during', 'except', 'for', 'from', 'in', 'inside', 'into', 'like', 'near', 'of', 'off', 'on', 'onto', 'id', 'outside', 'over', 'past', 'since', 'the', 'through', 'throughout', 'till', 'to', 'toward', 'under', 'underneath', 'until', 'up', 'upon', 'with', 'within', 'without'],
-	regExp = new RegExp('(' + '\\' + removeRegChars.join('|\\') + '|' + otherRemoveChars.join('|') + ')', 'gi');
+	regExp = new RegExp('(' + '\\' + removeRegChars.join('|\\') + '|' + otherRemoveChars.join('|') + ')', 'gi'),
+	separatorRegExp = new RegExp('[' + separatorChars.join('') + ']', 'g');
 
 function indexVerse(verseCode, text, indexData, lang) {
 
@@ -24,34 +36,39 @@ function indexVerse(verseCode, text, indexData, lang) {
 	//for (var i=0, il=removeChars.length; i<il; i++) {
 	//	text = text.replace(removeChars[i], '')
 	//}
-	text = text.replace(regExp, '');
+	text = text
+			.replace(separatorRegExp, ' ')
+			.replace(regExp, '');
 
-	var words = text.split(' ');
-
-	if (lang == 'chs' || lang == 'cht' || lang == 'cmn' || lang == 'zho') {
-		words = text;
-	}
+	var words = text.split(' '),
+		// Thai, Japanese, Chinese, etc. are indexed by characters and pairs of characters
+		segmenter = wordSegmenter.getSegmenter(lang);
 
 	for (var i=0, il=words.length; i<il; i++)  {
-		var word = words[i].trim().toLowerCase();
+		// the same normalizing as SearchTools, so the search finds Bénédiction with benediction
+		var word = wordNormalizer.normalize(words[i].trim(), lang);
 
 		if (word != '' && restrictedWords.indexOf(word) == -1) {
 
-			var
-				key = word,
-				wordData = indexData[key];
-
-			// create it
-			if (!wordData) {
-				wordData = {
-					"term": word,
-					"occurrences": []
+			var keys = segmenter != null ? segmenter.getIndexKeys(word) : [word];
+
+			for (var j=0, jl=keys.length; j<jl; j++) {
+				var
+					key = keys[j],
+					wordData = indexData[key];
+
+				// create it
+				if (!wordData) {
+					wordData = {
+						"term": key,
+						"occurrences": []
+					}
+					indexData[key] = wordData;
 				}
-				indexData[key] = wordData;
-			}
 
-			if (wordData['occurrences'].indexOf(verseCode) == -1) {
-				wordData['occurrences'].push(verseCode);
+				if (wordData['occurrences'].indexOf(verseCode) == -1) {
+					wordData['occurrences'].push(verseCode);
+				}
 			}
 		}
 	}
@@ -133,6 +150,9 @@ function createIndexFiles(indexPath, indexData, type) {
 			fs.writeFileSync(hashPath, JSON.stringify(hashData));
 		}
 
+		// every word in sorted order, so the search can expand wildcards (bless*, ?ove) without loading every index
+		fs.writeFileSync(path.join(indexPath, '_terms.json'), JSON.stringify(Object.keys(indexData).sort()));
+
 
 	} else if (type == 'strongs') {
 
@@ -196,16 +216,7 @@ function createHashedIndexFiles(lang, indexPath, indexData, type) {
 
 	var words_to_stem = {};
 	var stem_to_words = {};
-	var stemmer = null;
-
-	switch (lang) {
-		case 'eng':
-			stemmer = natural.PorterStemmer;
-			break;
-		case 'esp':
-			stemmer = natural.PorterStemmerEs;
-			break;
-	}
+	var stemmer = wordNormalizer.getStemmer(lang);
 
 	//console.log('trying to create index', stemmer);
 
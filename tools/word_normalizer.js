@@ -0,0 +1,99 @@
+var natural = require('natural'),
+	indonesianStemmer = require('./stemmers/indonesian.js'),
+	swahiliStemmer = require('./stemmers/swahili.js');
+
+var
+	// info.lang => {stem: function(word)}, the lang can be the 2 letter unfoldingWord code or the 3 letter code
+	stemmers = {},
+	// info.lang => function(word), replaces normalizeWord for that language.  SearchTools.normalizers needs the same function.
+	normalizers = {},
+
+	// Hebrew cantillation and vowel points (not maqaf, paseq or sof pasuq), Arabic harakat and tatweel
+	pointsRegExp = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u0610-\u061A\u0640\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7\u06E8\u06EA-\u06ED]/g,
+	// accents on latin letters (é => e), other scripts keep them (й stays й)
+	latinMarksRegExp = /([a-zA-Z])[\u0300-\u036F]+/g;
+
+/**
+ * The same as SearchTools.normalizeWord, so the words in the index and in the search match.
+ * Bénédiction => benediction, בְּרֵאשִׁית => בראשית
+ */
+function normalizeWord(word) {
+
+	if (word.normalize) {
+		word = word.normalize('NFD');
+	}
+
+	word = word
+			.replace(pointsRegExp, '')
+			.replace(latinMarksRegExp, '$1');
+
+	if (word.normalize) {
+		word = word.normalize('NFC');
+	}
+
+	return word.toLowerCase();
+}
+
+function findLanguage(registry, lang) {
+	if (typeof lang != 'string') {
+		return null;
+	}
+
+	lang = lang.toLowerCase();
+
+	if (typeof registry[lang] != 'undefined') {
+		return registry[lang];
+	}
+
+	// pt-br => pt
+	lang = lang.split('-')[0];
+
+	return typeof registry[lang] != 'undefined' ? registry[lang] : null;
+}
+
+function registerStemmer(langs, stemmer) {
+	for (var i=0, il=langs.length; i<il; i++) {
+		stemmers[langs[i]] = stemmer;
+	}
+}
+
+function registerNormalizer(langs, normalizer) {
+	for (var i=0, il=langs.length; i<il; i++) {
+		normalizers[langs[i]] = normalizer;
+	}
+}
+
+function getStemmer(lang) {
+	return findLanguage(stemmers, lang);
+}
+
+function getNormalizer(lang) {
+	return findLanguage(normalizers, lang) || normalizeWord;
+}
+
+function normalize(word, lang) {
+	return getNormalizer(lang)(word);
+}
+
+// natural 0.2 has a Portuguese stemmer, but doesn't export it
+var portugueseStemmer = natural.PorterStemmerPt || require('natural/lib/natural/stemmers/porter_stemmer_pt');
+
+registerStemmer(['en', 'eng'], natural.PorterStemmer);
+registerStemmer(['es', 'esp', 'spa'], natural.PorterStemmerEs);
+registerStemmer(['fr', 'fra', 'fre'], natural.PorterStemmerFr);
+registerStemmer(['pt', 'por'], portugueseStemmer);
+registerStemmer(['ru', 'rus'], natural.PorterStemmerRu);
+registerStemmer(['it', 'ita'], natural.PorterStemmerIt);
+registerStemmer(['fa', 'fas', 'per'], natural.PorterStemmerFa);
+registerStemmer(['no', 'nor', 'nob'], natural.PorterStemmerNo);
+registerStemmer(['id', 'ind'], indonesianStemmer);
+registerStemmer(['sw', 'swa', 'swh'], swahiliStemmer);
+
+module.exports = {
+	normalizeWord: normalizeWord,
+	normalize: normalize,
+	registerStemmer: registerStemmer,
+	registerNormalizer: registerNormalizer,
+	getStemmer: getStemmer,
+	getNormalizer: getNormalizer
+}
@@ -0,0 +1,99 @@
+/*
+* Splits the words of scripts written without spaces (Thai, Lao, Khmer, Burmese, Japanese, Chinese).
+* Without a dictionary, the words are split into characters and indexed under every character
+* and every pair of characters (bigrams).  SearchTools looks up the pairs of the search and
+* then checks that the characters are next to each other in the verse.
+*
+* SearchTools.ngramLanguages and SearchTools.segmentWord need the same languages and characters
+*/
+
+var
+	// info.lang => {segment: function(word), getIndexKeys: function(word)}
+	segmenters = {},
+
+	// Thai, Lao, Burmese, Khmer, kana and CJK ideographs
+	unspacedChars = '\u0E00-\u0EFF\u1000-\u109F\u1780-\u17FF\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF',
+	// Thai, Lao, Burmese and Khmer vowel signs and tone marks, Japanese (han)dakuten
+	markChars = '\u0E31\u0E34-\u0E3A\u0E47-\u0E4E\u0EB1\u0EB4-\u0EBC\u0EC8-\u0ECD\u102B-\u103E\u1056-\u1059\u105E-\u1060\u1062-\u1064\u1067-\u106D\u1071-\u1074\u1082-\u108D\u108F\u109A-\u109D\u17B4-\u17D1\u17D3\u17DD\u3099\u309A',
+
+	// a letter with its marks, and the Khmer and Burmese letters stacked under it
+	clusterRegExp = new RegExp('[' + unspacedChars + '](?:[' + markChars + ']|\u17D2[\u1780-\u17B3]|\u1039[\u1000-\u1021])*|[^' + unspacedChars + ']+', 'g');
+
+/**
+ * Letters and their marks: กรุงเทพ => ['ก', 'รุ', 'ง', 'เ', 'ท', 'พ'], other scripts stay together (ไทย123 => ['ไ', 'ท', 'ย', '123'])
+ */
+function segmentCharacters(word) {
+	return word.match(clusterRegExp) || [];
+}
+
+/**
+ * Pairs of characters next to each other: ['ก', 'รุ', 'ง'] => ['กรุ', 'รุง'], a single character is its own key
+ */
+function getNgrams(characters) {
+	var ngrams = [];
+
+	if (characters.length == 1) {
+		return characters.slice(0);
+	}
+
+	for (var i=0, il=characters.length-1; i<il; i++) {
+		ngrams.push(characters[i] + characters[i+1]);
+	}
+
+	return ngrams;
+}
+
+var ngramSegmenter = {
+	segment: segmentCharacters,
+
+	// every character, so a search for one character finds it, and every pair
+	getIndexKeys: function(word) {
+		var characters = segmentCharacters(word),
+			keys = characters.slice(0);
+
+		if (characters.length > 1) {
+			keys = keys.concat(getNgrams(characters));
+		}
+
+		return keys;
+	}
+};
+
+function registerSegmenter(langs, segmenter) {
+	for (var i=0, il=langs.length; i<il; i++) {
+		segmenters[langs[i]] = segmenter;
+	}
+}
+
+/**
+ * The segmenter for the lang (th-TH falls back to th), null when words are separated by spaces
+ */
+function getSegmenter(lang) {
+	if (typeof lang != 'string') {
+		return null;
+	}
+
+	lang = lang.toLowerCase();
+
+	if (typeof segmenters[lang] != 'undefined') {
+		return segmenters[lang];
+	}
+
+	lang = lang.split('-')[0];
+
+	return typeof segmenters[lang] != 'undefined' ? segmenters[lang] : null;
+}
+
+registerSegmenter(['th', 'tha'], ngramSegmenter);
+registerSegmenter(['lo', 'lao'], ngramSegmenter);
+registerSegmenter(['km', 'khm'], ngramSegmenter);
+registerSegmenter(['my', 'mya', 'bur'], ngramSegmenter);
+registerSegmenter(['ja', 'jpn'], ngramSegmenter);
+registerSegmenter(['zh', 'chi', 'chs', 'cht', 'cmn', 'zho'], ngramSegmenter);
+
+module.exports = {
+	segmentCharacters: segmentCharacters,
+	getNgrams: getNgrams,
+	registerSegmenter: registerSegmenter,
+	getSegmenter: getSegmenter
+}